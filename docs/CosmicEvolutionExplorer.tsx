@@ -1,6 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, ZAxis } from 'recharts';
-import { Activity, Zap, Globe, Dna, TrendingUp, Calendar, AlertCircle, Play, Pause } from 'lucide-react';
+import { Activity, Zap, Globe, Dna, TrendingUp, Calendar, AlertCircle, Play, Pause, Download, RefreshCw } from 'lucide-react';
+import { downloadCalendar } from '@/services/calendarExport';
+import { createFTRTEngine } from '@/services/ftrtEngine';
+import {
+  fetchSolarCycleData,
+  fetchSolarPredictions,
+  fetchFlareCatalog,
+  getSolarStatistics,
+  generateFallbackSolarData
+} from '@/services/solarAPI';
+import { simulateGeomagneticData, generateFallbackGeomagData } from '@/services/geomagService';
+import { forecastSolarCycle, compareWithNOAAPrediction } from '@/services/solarForecast';
+import { NetworkError, HttpError, ParseError } from '@/services/httpClient';
+
+// Motor FTRT compartido: los cálculos pesados corren en workers con progreso y cancelación
+const ftrtEngine = createFTRTEngine();
 
 const CosmicEvolutionExplorer = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -11,39 +26,114 @@ const CosmicEvolutionExplorer = () => {
   const [isAnimating, setIsAnimating] = useState(false);
   const [animationFrame, setAnimationFrame] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [calendarYears, setCalendarYears] = useState(2);
+  const [dataError, setDataError] = useState(null);
+  const [solarStats, setSolarStats] = useState(null);
+  const [solarForecast, setSolarForecast] = useState(null);
+  const [noaaPredictions, setNoaaPredictions] = useState([]);
+  const [flareCatalog, setFlareCatalog] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [nextAlignment, setNextAlignment] = useState(null);
+  const exportController = useRef(null);
+
+  // Cancelar una exportación en curso al desmontar
+  useEffect(() => () => exportController.current?.abort(), []);
+
+  // Exportar picos FTRT, alineaciones y ciclo solar como .ics (en el motor FTRT,
+  // fuera del hilo principal)
+  const exportCalendar = async () => {
+    const start = new Date();
+    const end = new Date(start);
+    end.setFullYear(end.getFullYear() + calendarYears);
+    const controller = new AbortController();
+    exportController.current = controller;
+    setExportProgress(0);
+    try {
+      const ics = await ftrtEngine.calendar(start, end, {}, {
+        signal: controller.signal,
+        onProgress: ({ fraction }) => setExportProgress(fraction)
+      });
+      downloadCalendar(ics, `ftrt-${start.toISOString().slice(0, 10)}-${calendarYears}y.ics`);
+    } catch (error) {
+      if (!controller.signal.aborted) console.warn('Exportación del calendario fallida:', error.message);
+    } finally {
+      exportController.current = null;
+      setExportProgress(null);
+    }
+  };
+
+  const cancelExport = () => exportController.current?.abort();
+
+  // Próxima alineación Venus-Tierra-Júpiter (misma tolerancia que el calendario exportado),
+  // buscada en el motor FTRT para no bloquear el primer render
+  useEffect(() => {
+    const controller = new AbortController();
+    const planets = ['venus', 'earth', 'jupiter'];
+    ftrtEngine.nextConjunction(planets, new Date(), { tolerance: 10 }, { signal: controller.signal })
+      .then(setNextAlignment)
+      .catch(error => {
+        if (!controller.signal.aborted) console.warn('Búsqueda de la próxima alineación fallida:', error.message);
+      });
+    return () => controller.abort();
+  }, []);
 
   // Cargar datos reales de APIs
   useEffect(() => {
     loadRealData();
   }, []);
 
-  const loadRealData = async () => {
+  // Registro mensual completo: los gráficos muestran los últimos 100 meses y
+  // las estadísticas por ciclo usan toda la serie suavizada a 13 meses
+  const applySolarData = (solarHistory) => {
+    const processedSolar = solarHistory.slice(-100);
+    setSolarData(processedSolar);
+    setCurrentSolarActivity(processedSolar[processedSolar.length - 1]);
+    setSolarStats(getSolarStatistics(solarHistory));
+
+    // Pronóstico propio del ciclo actual (Hathaway) para contrastar con NOAA
+    try {
+      setSolarForecast(forecastSolarCycle(solarHistory));
+    } catch (error) {
+      console.warn('Pronóstico del ciclo no disponible:', error.message);
+      setSolarForecast(null);
+    }
+
+    // Datos geomagnéticos simulados a partir de las manchas solares (semilla fija:
+    // cada recarga muestra la misma serie)
+    setGeomagData(simulateGeomagneticData(processedSolar).data);
+  };
+
+  // Mensaje para el aviso de datos de respaldo según el tipo de fallo
+  const describeDataError = (error) => {
+    if (error instanceof NetworkError) {
+      return error.timeout ? 'NOAA no respondió a tiempo' : 'Sin conexión con NOAA';
+    }
+    if (error instanceof HttpError) {
+      return error.status === 429 ? 'NOAA limitó las peticiones; reintenta en unos minutos' : `NOAA respondió ${error.status}`;
+    }
+    if (error instanceof ParseError) return 'NOAA envió datos con un formato inesperado';
+    return 'Error cargando datos';
+  };
+
+  // refresh = true ignora la caché local (botón "Actualizar")
+  const loadRealData = async (refresh = false) => {
     setLoading(true);
+    setDataError(null);
     try {
-      // Datos solares reales (manchas solares históricas)
-      const solarResponse = await fetch('https://services.swpc.noaa.gov/json/solar-cycle/observed-solar-cycle-indices.json');
-      const solarJson = await solarResponse.json();
-      
-      // Procesar últimos 100 puntos de datos solares
-      const processedSolar = solarJson.slice(-100).map(item => ({
-        date: item['time-tag'],
-        sunspots: parseFloat(item['ssn']) || 0,
-        flux: parseFloat(item['f10.7']) || 0,
-        year: new Date(item['time-tag']).getFullYear()
-      }));
-      
-      setSolarData(processedSolar);
-      setCurrentSolarActivity(processedSolar[processedSolar.length - 1]);
-
-      // Datos geomagnéticos simulados basados en patrones reales
-      const geomagSimulated = processedSolar.map((item, idx) => ({
-        date: item.date,
-        kpIndex: Math.sin(idx / 10) * 3 + 5 + Math.random() * 2,
-        fieldStrength: 50000 - (item.sunspots * 10) + Math.random() * 1000,
-        year: item.year
-      }));
-      
-      setGeomagData(geomagSimulated);
+      // Datos solares reales (registro completo desde 1749), servidos desde la caché si
+      // existen; una copia antigua se muestra al instante y se actualiza en segundo plano
+      const solarHistory = await fetchSolarCycleData(Infinity, { refresh, onUpdate: applySolarData });
+      applySolarData(solarHistory);
+
+      // Predicción oficial NOAA, solo para comparar; su fallo no bloquea el panel
+      fetchSolarPredictions({ refresh, onUpdate: setNoaaPredictions })
+        .then(setNoaaPredictions)
+        .catch(error => console.warn('Predicción NOAA no disponible:', error.message));
+
+      // Fulguraciones ≥ C detectadas en la serie GOES de rayos X (7 días)
+      fetchFlareCatalog({ refresh, onUpdate: setFlareCatalog })
+        .then(setFlareCatalog)
+        .catch(error => console.warn('Catálogo de fulguraciones no disponible:', error.message));
 
       // Eventos evolutivos históricos con correlación cósmica
       const evolutionData = [
@@ -113,32 +203,17 @@ const CosmicEvolutionExplorer = () => {
 
     } catch (error) {
       console.error('Error cargando datos:', error);
-      // Datos de respaldo si falla la API
-      setSolarData(generateFallbackSolarData());
-      setGeomagData(generateFallbackGeomagData());
+      setDataError(describeDataError(error));
+      // Datos de respaldo sintéticos (reproducibles) si falla la API
+      setSolarData(generateFallbackSolarData().data);
+      setSolarStats(null);
+      setSolarForecast(null);
+      setGeomagData(generateFallbackGeomagData().data);
     } finally {
       setLoading(false);
     }
   };
 
-  const generateFallbackSolarData = () => {
-    return Array.from({ length: 100 }, (_, i) => ({
-      date: `2015-${String(Math.floor(i / 12) + 1).padStart(2, '0')}`,
-      sunspots: Math.sin(i / 11) * 80 + 100 + Math.random() * 30,
-      flux: Math.sin(i / 11) * 50 + 120 + Math.random() * 20,
-      year: 2015 + Math.floor(i / 12)
-    }));
-  };
-
-  const generateFallbackGeomagData = () => {
-    return Array.from({ length: 100 }, (_, i) => ({
-      date: `2015-${String(Math.floor(i / 12) + 1).padStart(2, '0')}`,
-      kpIndex: Math.random() * 9,
-      fieldStrength: 48000ftrt_cosmic_explorer. + Math.sin(i / 20) * 2000 + Math.random() * 1000,
-      year: 2015 + Math.floor(i / 12)
-    }));
-  };
-
   useEffect(() => {
     if (isAnimating) {
       const interval = setInterval(() => {
@@ -148,6 +223,16 @@ const CosmicEvolutionExplorer = () => {
     }
   }, [isAnimating, solarData.length]);
 
+  const CYCLE_PHASES = { rising: 'En ascenso', declining: 'En descenso', complete: 'Completo' };
+  const currentCycle = solarStats?.cycles.current;
+  const formatYears = (value) => (value === null ? '—' : `${value.toFixed(1)} a`);
+  const formatUTC = (iso) => `${iso.slice(5, 10)} ${iso.slice(11, 16)}`;
+  const FLARE_COLORS = { C: 'text-yellow-400', M: 'text-orange-400', X: 'text-red-400' };
+  const PLANET_NAMES = { venus: 'Venus', earth: 'Tierra', jupiter: 'Júpiter' };
+  const noaaComparison = solarForecast && noaaPredictions.length > 0
+    ? compareWithNOAAPrediction(solarForecast, noaaPredictions)
+    : null;
+
   const DashboardView = () => (
     <div className="space-y-6">
       {/* Header con actividad solar actual */}
@@ -159,6 +244,20 @@ const CosmicEvolutionExplorer = () => {
               Actividad Solar en Tiempo Real
             </h2>
             <p className="text-purple-200 mt-2">Datos NOAA Space Weather Prediction Center</p>
+            <button
+              onClick={() => loadRealData(true)}
+              disabled={loading}
+              className="flex items-center gap-2 mt-3 px-3 py-1 text-sm bg-purple-700 hover:bg-purple-600 text-white rounded-lg transition-colors disabled:opacity-50"
+            >
+              <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+              Actualizar
+            </button>
+            {dataError && (
+              <p className="flex items-center gap-2 mt-2 text-sm text-amber-300">
+                <AlertCircle size={14} />
+                {dataError} — mostrando datos de respaldo
+              </p>
+            )}
           </div>
           {currentSolarActivity && (
             <div className="text-right">
@@ -179,8 +278,10 @@ const CosmicEvolutionExplorer = () => {
         <MetricCard 
           icon={<Activity className="text-orange-400" />}
           title="Ciclo Solar"
-          value="Ciclo 25"
-          subtitle="En ascenso"
+          value={currentCycle?.number ? `Ciclo ${currentCycle.number}` : 'Ciclo —'}
+          subtitle={currentCycle
+            ? `${CYCLE_PHASES[currentCycle.phase]} · máx. ${Math.round(currentCycle.amplitude)}`
+            : 'Sin datos de ciclo'}
           color="orange"
         />
         <MetricCard 
@@ -255,6 +356,83 @@ const CosmicEvolutionExplorer = () => {
         </ResponsiveContainer>
       </div>
 
+      {/* Estadísticas por ciclo (SN suavizado a 13 meses) */}
+      {solarStats && solarStats.cycles.list.length > 0 && (
+        <div className="bg-gray-900 p-6 rounded-lg border border-gray-700">
+          <h3 className="text-xl font-bold text-white mb-1">Ciclos Solares</h3>
+          <p className="text-sm text-gray-400 mb-4">
+            Media de {solarStats.cycles.count} ciclos completos: {formatYears(solarStats.cycles.meanLength)} de
+            duración, amplitud {Math.round(solarStats.cycles.meanAmplitude ?? 0)}, subida {formatYears(solarStats.cycles.meanRiseTime)}
+          </p>
+          <table className="w-full text-sm text-left text-gray-300">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-1">Ciclo</th>
+                <th>Mínimo</th>
+                <th>Máximo</th>
+                <th>Amplitud</th>
+                <th>Duración</th>
+                <th>Subida</th>
+                <th>Bajada</th>
+                <th>Ratio Waldmeier</th>
+              </tr>
+            </thead>
+            <tbody>
+              {solarStats.cycles.list.slice(-6).reverse().map(cycle => (
+                <tr key={cycle.start} className="border-t border-gray-800">
+                  <td className="py-1 font-bold text-orange-400">{cycle.number ?? '—'}</td>
+                  <td>{cycle.start}</td>
+                  <td>{cycle.max.date}</td>
+                  <td>{Math.round(cycle.amplitude)}</td>
+                  <td>{formatYears(cycle.length)}</td>
+                  <td>{formatYears(cycle.riseTime)}</td>
+                  <td>{formatYears(cycle.decayTime)}</td>
+                  <td>{cycle.waldmeierRatio === null ? '—' : cycle.waldmeierRatio.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Fulguraciones GOES (0.1-0.8 nm) */}
+      {flareCatalog && (
+        <div className="bg-gray-900 p-6 rounded-lg border border-gray-700">
+          <h3 className="text-xl font-bold text-white mb-1">Fulguraciones Solares (7 días)</h3>
+          <p className="text-sm text-gray-400 mb-4">
+            {flareCatalog.counts.total} eventos ≥ C: {flareCatalog.counts.C} C, {flareCatalog.counts.M} M,
+            {' '}{flareCatalog.counts.X} X
+            {flareCatalog.largest && ` · mayor ${flareCatalog.largest.classification} (${formatUTC(flareCatalog.largest.peak)})`}
+          </p>
+          {flareCatalog.events.length > 0 && (
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-500 uppercase">
+                <tr>
+                  <th className="py-1">Clase</th>
+                  <th>Inicio</th>
+                  <th>Pico</th>
+                  <th>Fin</th>
+                  <th>Duración</th>
+                  <th>Flujo integrado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flareCatalog.events.slice(-8).reverse().map(flare => (
+                  <tr key={flare.start} className="border-t border-gray-800">
+                    <td className={`py-1 font-bold ${FLARE_COLORS[flare.class]}`}>{flare.classification}</td>
+                    <td>{formatUTC(flare.start)}</td>
+                    <td>{formatUTC(flare.peak)}</td>
+                    <td>{flare.end ? formatUTC(flare.end) : 'en curso'}</td>
+                    <td>{Math.round(flare.durationMinutes)} min</td>
+                    <td>{flare.integratedFlux.toExponential(1)} J/m²</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       {/* Correlación Geomagnética */}
       <div className="bg-gray-900 p-6 rounded-lg border border-gray-700">
         <h3 className="text-xl font-bold text-white mb-4">Campo Geomagnético vs Actividad Solar</h3>
@@ -420,6 +598,35 @@ const CosmicEvolutionExplorer = () => {
           Análisis de Correlación FTRT
         </h2>
         <p className="text-pink-200 mt-2">Fuerzas de Marea vs Eventos Evolutivos</p>
+        <div className="flex items-center gap-3 mt-4">
+          <select
+            value={calendarYears}
+            onChange={(e) => setCalendarYears(Number(e.target.value))}
+            className="px-3 py-2 bg-gray-900 text-white rounded-lg border border-pink-500"
+          >
+            <option value={1}>1 año</option>
+            <option value={2}>2 años</option>
+            <option value={5}>5 años</option>
+          </select>
+          <button
+            onClick={exportCalendar}
+            disabled={exportProgress !== null}
+            className="flex items-center gap-2 px-4 py-2 bg-pink-600 hover:bg-pink-700 disabled:opacity-60 text-white rounded-lg transition-colors"
+          >
+            <Download size={16} />
+            {exportProgress === null
+              ? 'Exportar calendario (.ics)'
+              : `Calculando picos FTRT… ${Math.round(exportProgress * 100)}%`}
+          </button>
+          {exportProgress !== null && (
+            <button
+              onClick={cancelExport}
+              className="px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white rounded-lg border border-pink-500 transition-colors"
+            >
+              Cancelar
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Mapa de correlación */}
@@ -463,14 +670,38 @@ const CosmicEvolutionExplorer = () => {
         <div className="bg-gradient-to-r from-purple-950 to-indigo-950 p-6 rounded-lg border border-purple-700">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div>
-              <div className="text-sm text-purple-300 mb-2">Ciclo Solar 25-26</div>
-              <div className="text-3xl font-bold text-yellow-400">2024-2040</div>
-              <div className="text-sm text-gray-400 mt-2">Máximo solar esperado 2025-2026</div>
+              <div className="text-sm text-purple-300 mb-2">
+                Ciclo Solar {solarForecast?.cycle ?? '—'} · pronóstico Hathaway
+              </div>
+              <div className="text-3xl font-bold text-yellow-400">
+                {solarForecast ? solarForecast.predictedMaximum.date : '—'}
+              </div>
+              <div className="text-sm text-gray-400 mt-2">
+                {solarForecast
+                  ? `Máximo ${solarForecast.predictedMaximum.reached ? 'alcanzado' : 'previsto'}: ` +
+                    `${Math.round(solarForecast.predictedMaximum.sunspots)} ` +
+                    `(${Math.round(solarForecast.predictedMaximum.lower)}–${Math.round(solarForecast.predictedMaximum.upper)})`
+                  : 'Pronóstico no disponible'}
+              </div>
+              {noaaComparison?.maximum && (
+                <div className="text-xs text-gray-500 mt-1">
+                  NOAA: {noaaComparison.maximum.noaa.date} · {Math.round(noaaComparison.maximum.noaa.sunspots)}
+                  {' '}(diferencia {noaaComparison.maximum.difference > 0 ? '+' : ''}
+                  {Math.round(noaaComparison.maximum.difference)}, RMS {Math.round(noaaComparison.rmsDifference ?? 0)})
+                </div>
+              )}
             </div>
             <div>
               <div className="text-sm text-purple-300 mb-2">FTRT Peak Próximo</div>
-              <div className="text-3xl font-bold text-pink-400">2027</div>
-              <div className="text-sm text-gray-400 mt-2">Alineación Júpiter-Saturno</div>
+              <div className="text-3xl font-bold text-pink-400">
+                {nextAlignment ? nextAlignment.date.slice(0, 10) : '—'}
+              </div>
+              <div className="text-sm text-gray-400 mt-2">
+                {nextAlignment
+                  ? `Alineación ${nextAlignment.planets.map(p => PLANET_NAMES[p]).join('-')} ` +
+                    `(dispersión ${nextAlignment.spread.toFixed(1)}°)`
+                  : 'Sin alineación en los próximos 200 años'}
+              </div>
             </div>
             <div>
               <div className="text-sm text-purple-300 mb-2">Riesgo Mutagénico</div>
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Export upcoming FTRT peaks, planetary alignments and solar-cycle milestones
+ * as an iCalendar (.ics) file
+ *
+ * Usage:
+ *   node scripts/exportCalendar.mjs [--start 2026-01-01] [--years 2] [--out ftrt.ics]
+ *     [--no-peaks] [--no-alignments] [--no-solar] [--normalization percentile]
+ *     [--tolerance 10]
+ *
+ * Source modules are loaded through Vite so the '@/' aliases and
+ * import.meta.env resolve exactly as in the app.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { createServer } from 'vite';
+
+const parseArgs = argv => {
+  const args = { start: null, years: 2, out: null, normalization: undefined, tolerance: 10 };
+  const flags = new Set();
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--no-')) {
+      flags.add(arg.slice(5));
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    }
+  }
+  return { ...args, flags };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const start = args.start ? new Date(args.start) : new Date();
+  const years = Number(args.years);
+  if (Number.isNaN(start.getTime()) || !(years > 0)) {
+    throw new Error('Invalid --start or --years');
+  }
+  const end = new Date(start);
+  end.setUTCFullYear(end.getUTCFullYear() + Math.floor(years));
+  end.setTime(end.getTime() + (years % 1) * 365.25 * 86400000);
+
+  const server = await createServer({
+    server: { middlewareMode: true },
+    appType: 'custom',
+    logLevel: 'error'
+  });
+
+  try {
+    const { generateFTRTCalendar } = await server.ssrLoadModule('/src/services/calendarExport.js');
+    const ics = generateFTRTCalendar(start, end, {
+      ftrtPeaks: args.flags.has('peaks') ? false : { normalization: args.normalization },
+      alignments: args.flags.has('alignments') ? false : { tolerance: Number(args.tolerance) },
+      solarCycle: args.flags.has('solar') ? false : {}
+    });
+
+    if (args.out) {
+      writeFileSync(args.out, ics);
+      const count = (ics.match(/BEGIN:VEVENT/g) || []).length;
+      console.log(`Wrote ${count} events to ${args.out}`);
+    } else {
+      process.stdout.write(ics);
+    }
+  } finally {
+    await server.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Calendar export failed:', error.message);
+  process.exit(1);
+});
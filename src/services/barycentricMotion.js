@@ -0,0 +1,112 @@
+/**
+ * Solar Barycentric Motion
+ * The Sun's orbit about the solar-system barycentre (SSB) and the rate of
+ * change of its orbital angular momentum, the forcing favoured by the
+ * spin-orbit coupling alternative to the tidal hypothesis
+ */
+
+import { PLANETS, MOON, SUN_MASS, SUN_RADIUS, AU } from '@/utils/constants';
+import { getEphemerisProvider } from '@/services/ephemerisProviders';
+
+const SECONDS_PER_DAY = 86400;
+
+// Step (days) of the central differences giving velocity and acceleration
+const DIFFERENCE_STEP = 0.5;
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+
+/**
+ * Mass of a planet as seen from the Sun; the Earth entry is the Earth-Moon
+ * barycentre, so it carries the Moon's mass
+ */
+const barycentricMass = planetName => {
+  return PLANETS[planetName].mass + (planetName === 'earth' ? MOON.mass : 0);
+};
+
+/**
+ * Heliocentric position (AU) of the SSB and each planet's share of it
+ * @param {number} julianDay - Julian Date
+ * @param {Object} provider - Resolved ephemeris provider
+ * @returns {Object} {position: Sun relative to the SSB (AU), contributions}
+ */
+const solarOffset = (julianDay, provider) => {
+  const planets = Object.keys(PLANETS);
+  const totalMass = SUN_MASS + planets.reduce((sum, p) => sum + barycentricMass(p), 0);
+  const position = [0, 0, 0];
+  const contributions = {};
+
+  planets.forEach(planetName => {
+    const p = provider.getPosition(planetName, julianDay);
+    const weight = barycentricMass(planetName) / totalMass;
+    // The Sun sits opposite the mass-weighted planets
+    const share = [-p.x * weight, -p.y * weight, -p.z * weight];
+    contributions[planetName] = norm(share);
+    position[0] += share[0];
+    position[1] += share[1];
+    position[2] += share[2];
+  });
+
+  return { position, contributions };
+};
+
+/**
+ * Barycentric state of the Sun at a Julian Date
+ * Velocity and acceleration are central differences of the provider's
+ * positions, so any ephemeris provider can be used
+ * @param {number} julianDay - Julian Date
+ * @param {Object} options - {provider}
+ * @returns {Object} {position (AU), velocity (m/s), acceleration (m/s²),
+ *   distance (AU), distanceSolarRadii, speed (m/s), angularMomentum (kg·m²/s),
+ *   angularMomentumRate (vector dL/dt, N·m), dLdt (ecliptic-normal component),
+ *   dominantPlanet, contributions (AU offset per planet)}
+ */
+export const calculateSolarBarycentricState = (julianDay, options = {}) => {
+  const provider = getEphemerisProvider(options.provider);
+  const h = DIFFERENCE_STEP;
+
+  const current = solarOffset(julianDay, provider);
+  const before = solarOffset(julianDay - h, provider).position;
+  const after = solarOffset(julianDay + h, provider).position;
+
+  const metersPerStep = AU / (h * SECONDS_PER_DAY);
+  const position = current.position;
+  const positionMeters = position.map(c => c * AU);
+  const velocity = [0, 1, 2].map(k => (after[k] - before[k]) / 2 * metersPerStep);
+  const acceleration = [0, 1, 2].map(k =>
+    (after[k] - 2 * position[k] + before[k]) * AU / Math.pow(h * SECONDS_PER_DAY, 2)
+  );
+
+  const angularMomentum = cross(positionMeters, velocity).map(c => c * SUN_MASS);
+  // d/dt (M R × V) = M (R × A), since V × V vanishes
+  const angularMomentumRate = cross(positionMeters, acceleration).map(c => c * SUN_MASS);
+
+  const dominantPlanet = Object.keys(current.contributions).reduce((max, planet) =>
+    current.contributions[planet] > current.contributions[max] ? planet : max
+  );
+
+  return {
+    julianDay,
+    position,
+    velocity,
+    acceleration,
+    distance: norm(position),
+    distanceSolarRadii: norm(positionMeters) / SUN_RADIUS,
+    speed: norm(velocity),
+    angularMomentum,
+    angularMomentumRate,
+    dLdt: angularMomentumRate[2],
+    dominantPlanet,
+    contributions: current.contributions,
+    ephemeris: provider.id
+  };
+};
+
+export default {
+  calculateSolarBarycentricState
+};
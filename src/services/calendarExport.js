@@ -0,0 +1,389 @@
+/**
+ * Calendar Export Service
+ * RFC 5545 (iCalendar) export of forecast FTRT peaks, multi-planet alignments
+ * and solar-cycle milestones. UIDs are derived from the event's identity
+ * (series and configuration cycle of a peak, bodies and cycle of an alignment,
+ * cycle number of a milestone) rather than its date, so re-importing a refined
+ * forecast replaces events instead of duplicating them.
+ */
+
+import {
+  PROJECT_INFO,
+  MOON,
+  J2000_EPOCH,
+  SOLAR_CYCLE_AVERAGE_LENGTH,
+  SOLAR_CYCLE_MEAN_RISE_TIME,
+  SOLAR_CYCLE_MINIMA,
+  SOLAR_CYCLE_MAXIMA
+} from '@/utils/constants';
+import { decimalYearToDate, dateToDecimalYear } from '@/utils/dateHelpers';
+import { iterateFTRTChunks, detectFTRTPeaks, getTargetBody } from '@/services/ftrtCalculator';
+import { getPlanetarySystem, getPlanetMeanLongitude, getPlanetMeanMotion } from '@/services/planetarySystems';
+import { getLunarArguments } from '@/utils/orbitalMechanics';
+import { findConjunctions } from '@/services/conjunctionSearch';
+
+const UID_DOMAIN = 'ftrt-cosmic-evolution-explorer';
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+const DEFAULT_ALIGNMENT_GROUPS = [
+  ['venus', 'earth', 'jupiter'],
+  ['mercury', 'venus', 'earth'],
+  ['earth', 'jupiter', 'saturn'],
+  ['jupiter', 'saturn']
+];
+
+const capitalize = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format a Date as an RFC 5545 UTC date-time (e.g. 20250323T120000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} Basic-format UTC date-time
+ */
+export const formatICSDateTime = date => {
+  return `${formatICSDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}` +
+    `${pad(date.getUTCSeconds())}Z`;
+};
+
+/**
+ * Format a Date as an RFC 5545 DATE value (e.g. 20250323), using its UTC day
+ * @param {Date} date - Date to format
+ * @returns {string} Basic-format date
+ */
+export const formatICSDate = date => {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Escape a TEXT property value (backslash, semicolon, comma, newline)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeICSText = text => {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space
+ * Multi-byte UTF-8 characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+export const foldICSLine = line => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      // Continuation lines spend one octet on the leading space
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Stable event UID from an event kind and a natural key
+ * @param {string} kind - Event family (ftrt-peak, alignment, solar-cycle)
+ * @param {string} key - Identifying key within the family
+ * @returns {string} UID
+ */
+export const createEventUID = (kind, key) => {
+  const safeKey = String(key).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  return `${kind}-${safeKey}@${UID_DOMAIN}`;
+};
+
+/**
+ * Serialize calendar events into an iCalendar document
+ * @param {Array<Object>} events - {uid, start, end?, allDay?, summary, description?,
+ *   categories?}
+ * @param {Object} options - {name: calendar display name, now: DTSTAMP date}
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (events, options = {}) => {
+  const { name = PROJECT_INFO.name, now = new Date() } = options;
+  const dtstamp = formatICSDateTime(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${PROJECT_INFO.authors[0]}//${PROJECT_INFO.name} ${PROJECT_INFO.version}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${dtstamp}`);
+    if (event.allDay) {
+      const end = event.end ?? new Date(event.start.getTime() + 86400000);
+      lines.push(`DTSTART;VALUE=DATE:${formatICSDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatICSDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${formatICSDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatICSDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeICSText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeICSText).join(',')}`);
+    }
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Half-turn cycle of the configuration that raises tidal peaks on a target
+ * Earth: mean lunar elongation (even cycles at new Moon, odd at full Moon).
+ * Other targets: mean longitude difference of the two strongest tide-raising
+ * planets (mass / a³; even cycles at conjunction, odd at opposition).
+ * @param {Object} target - Target body (see getTargetBody)
+ * @param {Object} system - Planetary system
+ * @returns {Object} {bodies, cycleAt: julianDay -> cycle index}
+ */
+const createPeakCycle = (target, system) => {
+  if (target.key === 'earth') {
+    const epochElongation = getLunarArguments(J2000_EPOCH).elongation;
+    const elongation = julianDay => epochElongation + 360 * (julianDay - J2000_EPOCH) / MOON.synodicPeriod;
+    return { bodies: ['moon', 'sun'], cycleAt: julianDay => Math.round(elongation(julianDay) / 180) };
+  }
+
+  const strength = name => system.planets[name].mass / system.planets[name].semiMajorAxis ** 3;
+  const bodies = target.sources
+    .filter(name => system.planets[name])
+    .sort((a, b) => strength(b) - strength(a))
+    .slice(0, 2)
+    .sort((a, b) => getPlanetMeanMotion(b, system) - getPlanetMeanMotion(a, system));
+  const separation = julianDay =>
+    getPlanetMeanLongitude(bodies[0], julianDay, system) - getPlanetMeanLongitude(bodies[1], julianDay, system);
+  return { bodies, cycleAt: julianDay => Math.round(separation(julianDay) / 180) };
+};
+
+/**
+ * Forecast FTRT peaks as calendar events spanning their half-prominence window
+ * @param {Date} startDate - Horizon start
+ * @param {Date} endDate - Horizon end
+ * @param {Object} options - {stepDays (default 1), threshold, normalization, provider,
+ *   system, target, metric, peaks: detectFTRTPeaks options}
+ * @returns {Array<Object>} Calendar events
+ */
+export const collectFTRTPeakEvents = (startDate, endDate, options = {}) => {
+  const { stepDays = 1, threshold = null } = options;
+  const chunks = iterateFTRTChunks(startDate, endDate, { ...options, stepDays });
+  const peaks = detectFTRTPeaks(chunks, threshold, options.peaks);
+  const system = getPlanetarySystem(options.system);
+  const target = getTargetBody(options.target, system);
+  const series = `${system.id}-${target.key}-${options.metric ?? 'tidal'}`;
+  const { bodies, cycleAt } = createPeakCycle(target, system);
+  const keys = new Map();
+
+  // UID: series plus the configuration cycle of the maximum. Maxima sit near the
+  // alignments, a quarter turn from the cycle boundaries, so refined forecasts keep
+  // them in their cycle; peaks sharing a cycle are numbered in order
+  const peakUID = peak => {
+    const key = `${series}-${bodies.join('-')}-cycle-${cycleAt(peak.julianDay)}`;
+    const count = (keys.get(key) ?? 0) + 1;
+    keys.set(key, count);
+    return createEventUID('ftrt-peak', count === 1 ? key : `${key}-${count}`);
+  };
+
+  return peaks.map(peak => ({
+    uid: peakUID(peak),
+    start: new Date(peak.start),
+    end: new Date(peak.end),
+    summary: `FTRT peak (${peak.significance}) - ${capitalize(peak.dominantPlanet)} dominant`,
+    description: [
+      `Maximum: ${peak.date}`,
+      `Index: ${peak.index.toFixed(3)}`,
+      `Prominence: ${peak.prominence.toFixed(3)}`,
+      `Half-prominence width: ${peak.width.toFixed(1)} days`,
+      `Dominant planet: ${capitalize(peak.dominantPlanet)}`
+    ].join('\n'),
+    categories: ['FTRT', `Significance: ${peak.significance}`]
+  }));
+};
+
+/**
+ * Multi-planet alignments (conjunctions and, optionally, oppositions) as
+ * all-day calendar events
+ * @param {Date} startDate - Horizon start
+ * @param {Date} endDate - Horizon end
+ * @param {Object} options - {groups: planet groups, tolerance (degrees),
+ *   includeOppositions, provider}
+ * @returns {Array<Object>} Calendar events
+ */
+export const collectAlignmentEvents = (startDate, endDate, options = {}) => {
+  const { groups = DEFAULT_ALIGNMENT_GROUPS, tolerance = 10, includeOppositions = true } = options;
+  const events = [];
+
+  groups.forEach(planets => {
+    findConjunctions(planets, startDate, endDate, { tolerance, includeOppositions, provider: options.provider })
+      .forEach(alignment => {
+        const date = new Date(alignment.date);
+        const names = alignment.planets.map(capitalize).join(', ');
+        events.push({
+          uid: createEventUID('alignment', `${alignment.planets.join('-')}-cycle-${alignment.cycle}`),
+          start: date,
+          allDay: true,
+          summary: `Planetary alignment (${alignment.type}): ${names}`,
+          description: [
+            `Exact time: ${alignment.date}`,
+            `Angular spread: ${alignment.spread.toFixed(2)}°`,
+            ...Object.entries(alignment.longitudes).map(([planet, longitude]) =>
+              `${capitalize(planet)} heliocentric longitude: ${longitude.toFixed(2)}°`)
+          ].join('\n'),
+          categories: ['Alignment', capitalize(alignment.type)]
+        });
+      });
+  });
+
+  return events.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Solar-cycle minima and maxima as all-day calendar events
+ * Past extrema are the catalogued ones (SOLAR_CYCLE_MINIMA / SOLAR_CYCLE_MAXIMA);
+ * later ones are extrapolated from the latest observed minimum with the mean
+ * cycle length and rise time. UIDs carry the cycle number, so refined
+ * predictions move the existing events
+ * @param {Date} startDate - Horizon start
+ * @param {Date} endDate - Horizon end
+ * @param {Object} options - {milestones: explicit [{cycle, kind, year, predicted}]}
+ * @returns {Array<Object>} Calendar events
+ */
+export const collectSolarCycleEvents = (startDate, endDate, options = {}) => {
+  const milestones = options.milestones ?? predictSolarCycleMilestones(
+    dateToDecimalYear(startDate),
+    dateToDecimalYear(endDate)
+  );
+
+  return milestones
+    .map(milestone => ({ ...milestone, date: decimalYearToDate(milestone.year) }))
+    .filter(milestone => milestone.date >= startDate && milestone.date <= endDate)
+    .map(milestone => ({
+      uid: createEventUID('solar-cycle', `${milestone.cycle}-${milestone.kind}`),
+      start: milestone.date,
+      allDay: true,
+      summary: `Solar cycle ${milestone.cycle} ${milestone.kind}${milestone.predicted ? ' (predicted)' : ''}`,
+      description: milestone.predicted
+        ? `Extrapolated from cycle ${SOLAR_CYCLE_MINIMA.length} with a ` +
+          `${SOLAR_CYCLE_AVERAGE_LENGTH}-year mean cycle length.`
+        : `Observed ${milestone.kind} of solar cycle ${milestone.cycle}.`,
+      categories: ['Solar cycle', capitalize(milestone.kind)]
+    }));
+};
+
+/**
+ * Solar-cycle extrema between two decimal years: catalogued ones, then
+ * extrapolations for the cycles (or maximum) not observed yet
+ */
+const predictSolarCycleMilestones = (startYear, endYear) => {
+  const milestones = [];
+  const inRange = year => year >= startYear && year <= endYear;
+  const add = (cycle, kind, year, predicted) => {
+    if (inRange(year)) milestones.push({ cycle, kind, year, predicted });
+  };
+
+  SOLAR_CYCLE_MINIMA.forEach((minimum, index) => {
+    add(index + 1, 'minimum', minimum, false);
+    if (index < SOLAR_CYCLE_MAXIMA.length) add(index + 1, 'maximum', SOLAR_CYCLE_MAXIMA[index], false);
+  });
+
+  const lastCycle = SOLAR_CYCLE_MINIMA.length;
+  const lastMinimum = SOLAR_CYCLE_MINIMA[lastCycle - 1];
+  if (SOLAR_CYCLE_MAXIMA.length < lastCycle) {
+    add(lastCycle, 'maximum', lastMinimum + SOLAR_CYCLE_MEAN_RISE_TIME, true);
+  }
+  for (let k = 1; lastMinimum + k * SOLAR_CYCLE_AVERAGE_LENGTH <= endYear; k++) {
+    const cycleMinimum = lastMinimum + k * SOLAR_CYCLE_AVERAGE_LENGTH;
+    add(lastCycle + k, 'minimum', cycleMinimum, true);
+    add(lastCycle + k, 'maximum', cycleMinimum + SOLAR_CYCLE_MEAN_RISE_TIME, true);
+  }
+
+  return milestones;
+};
+
+/**
+ * Collect every requested event family for a horizon
+ * @param {Date} startDate - Horizon start
+ * @param {Date} endDate - Horizon end
+ * @param {Object} options - {ftrtPeaks, alignments, solarCycle: per-family options
+ *   objects, or false to skip the family}
+ * @returns {Array<Object>} Calendar events sorted by start
+ */
+export const collectCalendarEvents = (startDate, endDate, options = {}) => {
+  const { ftrtPeaks = {}, alignments = {}, solarCycle = {} } = options;
+  const events = [];
+
+  if (ftrtPeaks) events.push(...collectFTRTPeakEvents(startDate, endDate, ftrtPeaks));
+  if (alignments) events.push(...collectAlignmentEvents(startDate, endDate, alignments));
+  if (solarCycle) events.push(...collectSolarCycleEvents(startDate, endDate, solarCycle));
+
+  return events.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Generate an .ics calendar for a forecast horizon
+ * @param {Date} startDate - Horizon start
+ * @param {Date} endDate - Horizon end
+ * @param {Object} options - collectCalendarEvents options plus buildCalendar options
+ * @returns {string} iCalendar text
+ */
+export const generateFTRTCalendar = (startDate, endDate, options = {}) => {
+  return buildCalendar(collectCalendarEvents(startDate, endDate, options), options);
+};
+
+/**
+ * Offer an .ics document as a browser download
+ * @param {string} ics - iCalendar text
+ * @param {string} filename - Suggested file name
+ */
+export const downloadCalendar = (ics, filename = 'ftrt-calendar.ics') => {
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  formatICSDateTime,
+  formatICSDate,
+  escapeICSText,
+  foldICSLine,
+  createEventUID,
+  buildCalendar,
+  collectFTRTPeakEvents,
+  collectAlignmentEvents,
+  collectSolarCycleEvents,
+  collectCalendarEvents,
+  generateFTRTCalendar,
+  downloadCalendar
+};
@@ -0,0 +1,157 @@
+/**
+ * CME Catalog
+ * Importers for coronal mass ejection (CME) and geomagnetic storm catalogs
+ * in the JSON layout of NASA's DONKI database: the CME endpoint (events with
+ * nested cmeAnalyses), the flat CMEAnalysis endpoint and the GST (storm)
+ * endpoint. Files are read locally and normalized for cmeLinking.js.
+ */
+
+/**
+ * Parse a heliographic source location ('S17E32', 'N05W10')
+ * North and west are positive (Stonyhurst coordinates, Earth at longitude 0)
+ * @returns {Object|null} {latitude, longitude} in degrees, or null when unreadable
+ */
+export const parseSourceLocation = location => {
+  const match = /^\s*([NS])(\d{1,2})([EW])(\d{1,3})\s*$/i.exec(location ?? '');
+  if (!match) return null;
+  const [, ns, lat, ew, lon] = match;
+  return {
+    latitude: Number(lat) * (ns.toUpperCase() === 'N' ? 1 : -1),
+    longitude: Number(lon) * (ew.toUpperCase() === 'W' ? 1 : -1)
+  };
+};
+
+/**
+ * Angular distance (degrees) between a direction and the Sun–Earth line
+ */
+export const earthSeparation = (latitude, longitude) => {
+  const rad = Math.PI / 180;
+  const cos = Math.cos(latitude * rad) * Math.cos(longitude * rad);
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / rad;
+};
+
+/**
+ * ISO time from DONKI time strings ('2024-05-10T06:36Z'), or null
+ */
+const toISO = value => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+};
+
+const toNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Normalize one CME from its event and chosen analysis
+ */
+const toCME = (event, analysis, options) => {
+  const { margin = 0 } = options;
+  const source = parseSourceLocation(event.sourceLocation);
+  const latitude = toNumber(analysis?.latitude) ?? source?.latitude ?? null;
+  const longitude = toNumber(analysis?.longitude) ?? source?.longitude ?? null;
+  const halfAngle = toNumber(analysis?.halfAngle);
+  const separation = latitude !== null && longitude !== null ? earthSeparation(latitude, longitude) : null;
+
+  return {
+    id: event.activityID ?? analysis?.associatedCMEID ?? null,
+    startTime: toISO(event.startTime),
+    time21_5: toISO(analysis?.time21_5),
+    speed: toNumber(analysis?.speed),
+    halfAngle,
+    latitude,
+    longitude,
+    type: analysis?.type ?? null,
+    sourceLocation: event.sourceLocation || null,
+    source,
+    activeRegion: event.activeRegionNum ?? null,
+    catalog: event.catalog ?? analysis?.catalog ?? null,
+    earthSeparation: separation,
+    earthDirected: separation !== null && halfAngle !== null ? separation <= halfAngle + margin : null,
+    linkedEvents: (event.linkedEvents ?? []).map(linked => linked.activityID),
+    note: event.note || analysis?.note || null
+  };
+};
+
+/**
+ * Parse a DONKI CME catalog
+ * @param {Array<Object>} json - CME endpoint events ({activityID, startTime,
+ *   sourceLocation, cmeAnalyses, linkedEvents}) or CMEAnalysis records
+ *   ({associatedCMEID, time21_5, speed, halfAngle, latitude, longitude})
+ * @param {Object} options - {margin: degrees added to the half-angle when
+ *   deciding whether the CME is Earth-directed (default 0)}
+ * @returns {Array<Object>} CMEs {id, startTime, time21_5 (ISO; time at 21.5
+ *   solar radii), speed (km/s), halfAngle, latitude, longitude (direction,
+ *   degrees; the source location when there is no analysis), type,
+ *   sourceLocation, source, activeRegion, catalog, earthSeparation (degrees),
+ *   earthDirected (null when direction or width are unknown), linkedEvents, note},
+ *   by start time. The most accurate analysis of each event is used.
+ * @throws {Error} When the payload is not a CME catalog
+ */
+export const parseCMECatalog = (json, options = {}) => {
+  if (!Array.isArray(json)) throw new Error('Expected a CME catalog: list of DONKI CME records');
+
+  return json
+    .map(record => {
+      if ('associatedCMEID' in record) {
+        // CMEAnalysis record: the start time leads the CME id (2024-05-10T06:36:00-CME-001)
+        const startTime = record.associatedCMEstartTime ?? record.associatedCMEID?.replace(/-CME-\d+$/, 'Z');
+        return toCME({ activityID: record.associatedCMEID, startTime }, record, options);
+      }
+      if (!('activityID' in record) || !('startTime' in record)) {
+        throw new Error(`Not a DONKI CME record: ${JSON.stringify(record).slice(0, 80)}`);
+      }
+      const analyses = record.cmeAnalyses ?? [];
+      const analysis = analyses.find(a => a.isMostAccurate) ?? analyses[analyses.length - 1] ?? null;
+      return toCME(record, analysis, options);
+    })
+    .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+};
+
+/**
+ * Parse a DONKI geomagnetic storm (GST) catalog
+ * @param {Array<Object>} json - GST records {gstID, startTime, allKpIndex:
+ *   [{observedTime, kpIndex}], linkedEvents}
+ * @returns {Array<Object>} Storms {id, start, end (ISO; end of the last
+ *   3-hour Kp interval), peakKp, linkedEvents}, in the interval layout of
+ *   detectGeomagneticStorms
+ */
+export const parseStormCatalog = json => {
+  if (!Array.isArray(json)) throw new Error('Expected a GST catalog: list of DONKI storm records');
+
+  return json
+    .map(record => {
+      const readings = (record.allKpIndex ?? []).filter(k => Number.isFinite(Number(k.kpIndex)));
+      const last = readings.length > 0 ? Math.max(...readings.map(k => Date.parse(k.observedTime))) : null;
+      return {
+        id: record.gstID ?? null,
+        start: toISO(record.startTime),
+        end: last !== null ? new Date(last + 3 * 60 * 60 * 1000).toISOString() : null,
+        peakKp: readings.length > 0 ? Math.max(...readings.map(k => Number(k.kpIndex))) : null,
+        linkedEvents: (record.linkedEvents ?? []).map(linked => linked.activityID)
+      };
+    })
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+};
+
+/**
+ * Import a local DONKI catalog file
+ * @param {string|File|Blob} file - File contents, or a File/Blob (e.g. from a file input)
+ * @param {string} kind - 'cme' (default) or 'storms'
+ * @param {Object} options - parseCMECatalog options
+ * @returns {Promise<Array<Object>>} CMEs or storms
+ */
+export const importCatalogFile = async (file, kind = 'cme', options = {}) => {
+  const text = typeof file === 'string' ? file : await file.text();
+  const json = JSON.parse(text);
+  if (kind === 'storms') return parseStormCatalog(json);
+  if (kind === 'cme') return parseCMECatalog(json, options);
+  throw new Error(`Unknown catalog kind: ${kind}`);
+};
+
+export default {
+  parseSourceLocation,
+  earthSeparation,
+  parseCMECatalog,
+  parseStormCatalog,
+  importCatalogFile
+};
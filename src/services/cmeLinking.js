@@ -0,0 +1,159 @@
+/**
+ * CME Linking
+ * Links coronal mass ejections to the geomagnetic storms they cause. Each
+ * CME's Sun–Earth transit is estimated with the drag-based model (Vršnak et
+ * al. 2013: the CME relaxes toward the ambient solar-wind speed under
+ * aerodynamic drag), and the predicted arrival is matched to the storm that
+ * begins closest to it. Hit/miss statistics score the Earth-directed events.
+ */
+
+const SOLAR_RADIUS_KM = 695700;
+const AU_KM = 149597870.7;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Drag-based model defaults: drag parameter γ (1/km), ambient solar-wind
+// speed (km/s), start distance (the 21.5 solar radii of DONKI analyses) and target
+export const DRAG_BASED_MODEL = {
+  gamma: 0.2e-7,
+  solarWindSpeed: 400,
+  startDistanceKm: 21.5 * SOLAR_RADIUS_KM,
+  targetDistanceKm: AU_KM
+};
+
+// Matching window: storms starting from `before` hours ahead of the predicted
+// arrival to `after` hours after it (storm onset lags the shock)
+export const LINKING_WINDOW = { before: 12, after: 24 };
+
+/**
+ * Heliocentric distance and speed after t seconds (drag-based model)
+ */
+const dragBasedState = (t, speed, model) => {
+  const { gamma, solarWindSpeed: w, startDistanceKm } = model;
+  const dv = speed - w;
+  if (dv === 0) return { distance: startDistanceKm + w * t, speed: w };
+  const sign = Math.sign(dv);
+  const growth = 1 + sign * gamma * dv * t;
+  return {
+    distance: startDistanceKm + w * t + (sign / gamma) * Math.log(growth),
+    speed: w + dv / growth
+  };
+};
+
+/**
+ * Transit time to the target distance with the drag-based model
+ * @param {number} speed - CME speed at the start distance (km/s)
+ * @param {Object} options - Overrides of DRAG_BASED_MODEL
+ * @returns {Object|null} {transitHours, arrivalSpeed (km/s)}, or null for a non-positive speed
+ */
+export const dragBasedTransit = (speed, options = {}) => {
+  const model = { ...DRAG_BASED_MODEL, ...options };
+  if (!(speed > 0)) return null;
+
+  // Distance grows monotonically: bisect between launch and an upper bound
+  let low = 0;
+  let high = HOUR_MS / 1000;
+  while (dragBasedState(high, speed, model).distance < model.targetDistanceKm) high *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (dragBasedState(mid, speed, model).distance < model.targetDistanceKm) low = mid;
+    else high = mid;
+  }
+
+  return { transitHours: high / 3600, arrivalSpeed: dragBasedState(high, speed, model).speed };
+};
+
+/**
+ * Predicted arrival of a CME at Earth
+ * Uses the time at 21.5 solar radii when available; otherwise the start time,
+ * propagating from one solar radius
+ * @param {Object} cme - parseCMECatalog record
+ * @param {Object} options - Overrides of DRAG_BASED_MODEL
+ * @returns {Object|null} {arrival (ISO), transitHours, arrivalSpeed}, or null without speed or time
+ */
+export const predictArrival = (cme, options = {}) => {
+  const launch = cme.time21_5 ?? cme.startTime;
+  if (!launch) return null;
+  const model = cme.time21_5 ? options : { startDistanceKm: SOLAR_RADIUS_KM, ...options };
+  const transit = dragBasedTransit(cme.speed, model);
+  if (!transit) return null;
+  return {
+    arrival: new Date(Date.parse(launch) + transit.transitHours * HOUR_MS).toISOString(),
+    ...transit
+  };
+};
+
+const meanOrNull = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Link CMEs to geomagnetic storms
+ * Each storm is linked to at most one CME: candidate pairs inside the window
+ * are taken in order of increasing timing error
+ * @param {Array<Object>} cmes - parseCMECatalog records
+ * @param {Array<Object>} storms - Intervals {start, end, peakKp}, from
+ *   detectGeomagneticStorms (Kp series) or parseStormCatalog (DONKI GST)
+ * @param {Object} options - {before, after: window in hours (LINKING_WINDOW),
+ *   earthDirectedOnly: link only Earth-directed CMEs (default true), model:
+ *   overrides of DRAG_BASED_MODEL}
+ * @returns {Object} {links: [{cme, arrival, transitHours, arrivalSpeed,
+ *   storm (or null), errorHours (storm start − predicted arrival)}] for the
+ *   CMEs with a prediction, unlinkedStorms, statistics: {earthDirected, hits,
+ *   falseAlarms (Earth-directed without storm), missedStorms (storms without
+ *   a CME), hitRate, probabilityOfDetection, meanErrorHours,
+ *   meanAbsoluteErrorHours, rmseHours}}
+ */
+export const linkCMEsToStorms = (cmes, storms, options = {}) => {
+  const { before, after } = { ...LINKING_WINDOW, ...options };
+  const { earthDirectedOnly = true, model = {} } = options;
+
+  const links = cmes
+    .filter(cme => !earthDirectedOnly || cme.earthDirected === true)
+    .map(cme => ({ cme, prediction: predictArrival(cme, model) }))
+    .filter(({ prediction }) => prediction !== null)
+    .map(({ cme, prediction }) => ({ cme, ...prediction, storm: null, errorHours: null }));
+
+  const candidates = [];
+  links.forEach((link, l) => {
+    storms.forEach((storm, s) => {
+      const errorHours = (Date.parse(storm.start) - Date.parse(link.arrival)) / HOUR_MS;
+      if (errorHours >= -before && errorHours <= after) candidates.push({ l, s, errorHours });
+    });
+  });
+  candidates.sort((a, b) => Math.abs(a.errorHours) - Math.abs(b.errorHours));
+  const taken = new Set();
+  candidates.forEach(({ l, s, errorHours }) => {
+    if (links[l].storm || taken.has(s)) return;
+    links[l].storm = storms[s];
+    links[l].errorHours = errorHours;
+    taken.add(s);
+  });
+
+  const directed = links.filter(link => link.cme.earthDirected === true);
+  const hits = directed.filter(link => link.storm);
+  const linkedByDirected = new Set(hits.map(link => link.storm));
+  const errors = hits.map(link => link.errorHours);
+  const missedStorms = storms.filter(storm => !linkedByDirected.has(storm)).length;
+
+  return {
+    links,
+    unlinkedStorms: storms.filter((_, s) => !taken.has(s)),
+    statistics: {
+      earthDirected: directed.length,
+      hits: hits.length,
+      falseAlarms: directed.length - hits.length,
+      missedStorms,
+      hitRate: directed.length > 0 ? hits.length / directed.length : null,
+      probabilityOfDetection: storms.length > 0 ? hits.length / (hits.length + missedStorms) : null,
+      meanErrorHours: meanOrNull(errors),
+      meanAbsoluteErrorHours: meanOrNull(errors.map(Math.abs)),
+      rmseHours: errors.length > 0 ? Math.sqrt(meanOrNull(errors.map(e => e * e))) : null
+    }
+  };
+};
+
+export default {
+  DRAG_BASED_MODEL,
+  LINKING_WINDOW,
+  dragBasedTransit,
+  predictArrival,
+  linkCMEsToStorms
+};
@@ -0,0 +1,258 @@
+/**
+ * Conjunction Search
+ * Finds exact heliocentric conjunctions/oppositions of planet pairs by root-finding
+ * on longitude differences, and multi-planet groupings within an angular tolerance
+ */
+
+import { dateToJulianDate, julianDateToDate } from '@/utils/dateHelpers';
+import { normalizeDegrees } from '@/utils/orbitalMechanics';
+import {
+  getPlanetarySystem,
+  getSystemEphemerisProvider,
+  getPlanetMeanMotion,
+  getPlanetMeanLongitude
+} from '@/services/planetarySystems';
+
+/**
+ * Smallest arc (degrees) containing all longitudes
+ * With axial = true angles are compared modulo 180°, so an opposition counts
+ * as alignment (tides are symmetric under a half turn)
+ * @param {Array<number>} longitudes - Longitudes in degrees
+ * @param {boolean} axial - Treat opposite directions as aligned
+ * @returns {number} Angular spread in degrees
+ */
+export const angularSpread = (longitudes, axial = false) => {
+  if (longitudes.length < 2) return 0;
+  const period = axial ? 180 : 360;
+  const sorted = longitudes.map(l => ((l % period) + period) % period).sort((a, b) => a - b);
+
+  let largestGap = sorted[0] + period - sorted[sorted.length - 1];
+  for (let i = 1; i < sorted.length; i++) {
+    largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+  }
+  return period - largestGap;
+};
+
+/**
+ * Bisection refinement of a bracketed root
+ */
+const bisect = (f, a, b, fa, tolerance = 1e-6) => {
+  let lo = a;
+  let hi = b;
+  let flo = fa;
+  for (let iter = 0; iter < 60 && hi - lo > tolerance; iter++) {
+    const mid = (lo + hi) / 2;
+    const fmid = f(mid);
+    if (Math.sign(fmid) === Math.sign(flo)) {
+      lo = mid;
+      flo = fmid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Exact times at which two planets reach a given longitude difference
+ * @param {string} planet1 - First planet
+ * @param {string} planet2 - Second planet
+ * @param {number} startJD - Search start (Julian Date)
+ * @param {number} endJD - Search end (Julian Date)
+ * @param {Object} options - {offset: target difference in degrees (0 = conjunction,
+ *   180 = opposition), provider, system: planetary system (default solar)}
+ * @returns {Array<number>} Julian Dates of the roots
+ */
+export const findLongitudeDifferenceRoots = (planet1, planet2, startJD, endJD, options = {}) => {
+  const { offset = 0 } = options;
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const f = jd => normalizeDegrees(
+    provider.getPosition(planet1, jd).longitude - provider.getPosition(planet2, jd).longitude - offset
+  );
+
+  // Sample finely enough that each synodic cycle is resolved
+  const relativeMotion = Math.abs(getPlanetMeanMotion(planet1, system) - getPlanetMeanMotion(planet2, system));
+  const step = Math.min(30, 360 / relativeMotion / 12);
+
+  const roots = [];
+  let a = startJD;
+  let fa = f(a);
+  while (a < endJD) {
+    const b = Math.min(a + step, endJD);
+    const fb = f(b);
+    // A genuine root changes sign without jumping across the ±180° wrap
+    if (fa === 0) {
+      roots.push(a);
+    } else if (Math.sign(fa) !== Math.sign(fb) && Math.abs(fa - fb) < 180) {
+      roots.push(bisect(f, a, b, fa));
+    }
+    a = b;
+    fa = fb;
+  }
+
+  return roots;
+};
+
+/**
+ * Find conjunctions (and optionally oppositions) of two or more planets
+ * Candidate instants are the exact pairwise crossings: while the planets keep
+ * their angular order the group's spread changes almost monotonically, so its
+ * minima sit on those roots
+ * @param {Array<string>} planets - Planet names (two or more)
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {Object} options - {tolerance: degrees, includeOppositions, provider, system}
+ * @returns {Array<Object>} Events sorted by time with exact time, spread, planets
+ *   and cycle (index of the grouping, stable across searches; see groupingCycle)
+ */
+export const findConjunctions = (planets, startDate, endDate, options = {}) => {
+  const { tolerance = 5, includeOppositions = false } = options;
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+
+  if (planets.length < 2 || planets.some(p => !system.planets[p])) {
+    console.warn(`Invalid planet group: ${planets.join(', ')}`);
+    return [];
+  }
+
+  const startJD = dateToJulianDate(startDate);
+  const endJD = dateToJulianDate(endDate);
+  const offsets = includeOppositions ? [0, 180] : [0];
+
+  const candidates = [];
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      offsets.forEach(offset => {
+        findLongitudeDifferenceRoots(planets[i], planets[j], startJD, endJD, { offset, provider, system })
+          .forEach(jd => candidates.push(jd));
+      });
+    }
+  }
+
+  const events = candidates
+    .map(jd => describeGrouping(planets, jd, provider, includeOppositions, tolerance))
+    .filter(event => event.spread <= tolerance)
+    .sort((a, b) => a.julianDay - b.julianDay);
+
+  // Several pairwise crossings can fall inside one grouping; keep the tightest
+  const clusterWindow = tolerance / slowestRelativeMotion(planets, system);
+  const merged = [];
+  events.forEach(event => {
+    const last = merged[merged.length - 1];
+    if (last && event.julianDay - last.julianDay < clusterWindow) {
+      if (event.spread < last.spread) merged[merged.length - 1] = event;
+    } else {
+      merged.push(event);
+    }
+  });
+
+  const pair = fastestPair(planets, system);
+  return merged.map(event => ({ ...event, cycle: groupingCycle(event, pair, system) }));
+};
+
+/**
+ * Slowest pairwise relative mean motion in a group (degrees/day)
+ */
+const slowestRelativeMotion = (planets, system) => {
+  let slowest = Infinity;
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const rate = Math.abs(getPlanetMeanMotion(planets[i], system) - getPlanetMeanMotion(planets[j], system));
+      slowest = Math.min(slowest, rate);
+    }
+  }
+  return slowest;
+};
+
+/**
+ * Pair of a group with the fastest relative mean motion, faster planet first
+ */
+const fastestPair = (planets, system) => {
+  let pair = null;
+  let fastest = -Infinity;
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const rate = getPlanetMeanMotion(planets[i], system) - getPlanetMeanMotion(planets[j], system);
+      if (Math.abs(rate) > fastest) {
+        fastest = Math.abs(rate);
+        pair = rate > 0 ? [planets[i], planets[j]] : [planets[j], planets[i]];
+      }
+    }
+  }
+  return pair;
+};
+
+/**
+ * Cycle index of a grouping: half-turns of the fastest pair's relative
+ * longitude since the system epoch (even at that pair's conjunctions, odd at
+ * its oppositions). Mean longitudes only pick the turn, so refining the
+ * event time keeps the index.
+ */
+const groupingCycle = (event, pair, system) => {
+  const [faster, slower] = pair;
+  const mean = getPlanetMeanLongitude(faster, event.julianDay, system) -
+    getPlanetMeanLongitude(slower, event.julianDay, system);
+  const actual = event.longitudes[faster] - event.longitudes[slower];
+  const unwrapped = actual + 360 * Math.round((mean - actual) / 360);
+  return Math.round(unwrapped / 180);
+};
+
+/**
+ * Describe the configuration of a planet group at a Julian Date
+ */
+const describeGrouping = (planets, julianDay, provider, includeOppositions, tolerance) => {
+  const longitudes = {};
+  planets.forEach(p => {
+    longitudes[p] = provider.getPosition(p, julianDay).longitude;
+  });
+  const values = Object.values(longitudes);
+  const directSpread = angularSpread(values);
+  const axialSpread = angularSpread(values, true);
+  const spread = includeOppositions ? Math.min(directSpread, axialSpread) : directSpread;
+
+  let type = 'conjunction';
+  if (includeOppositions && directSpread > tolerance) {
+    type = planets.length === 2 ? 'opposition' : 'mixed';
+  }
+
+  return {
+    date: julianDateToDate(julianDay).toISOString(),
+    julianDay,
+    planets: [...planets],
+    type,
+    spread,
+    longitudes
+  };
+};
+
+/**
+ * Next grouping of a set of planets after a date
+ * @param {Array<string>} planets - Planet names
+ * @param {Date} fromDate - Search start
+ * @param {Object} options - findConjunctions options plus maxYears search horizon
+ * @returns {Object|null} First event found, with daysUntil
+ */
+export const findNextConjunction = (planets, fromDate, options = {}) => {
+  const { maxYears = 200 } = options;
+  const chunkDays = 3652.5;
+  const startJD = dateToJulianDate(fromDate);
+
+  for (let offset = 0; offset < maxYears * 365.25; offset += chunkDays) {
+    const chunkStart = julianDateToDate(startJD + offset);
+    const chunkEnd = julianDateToDate(startJD + Math.min(offset + chunkDays, maxYears * 365.25));
+    const events = findConjunctions(planets, chunkStart, chunkEnd, options);
+    if (events.length > 0) {
+      return { ...events[0], daysUntil: events[0].julianDay - startJD };
+    }
+  }
+
+  return null;
+};
+
+export default {
+  angularSpread,
+  findLongitudeDifferenceRoots,
+  findConjunctions,
+  findNextConjunction
+};
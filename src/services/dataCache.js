@@ -0,0 +1,273 @@
+/**
+ * Data Cache
+ * Persistent cache for remote JSON products (NOAA SWPC): IndexedDB in the
+ * browser, the filesystem in Node, memory elsewhere. Entries carry their
+ * ETag/Last-Modified validators; stale entries are served immediately while
+ * a conditional request refreshes them, and any cached copy is used when the
+ * network is unreachable.
+ */
+
+import { httpClient, NetworkError } from '@/services/httpClient';
+
+// Lifetime of entries without an endpoint-specific TTL
+export const DEFAULT_CACHE_TTL_MS = Number(import.meta.env?.VITE_CACHE_DURATION_MS) || 60 * 60 * 1000;
+
+/**
+ * In-memory store
+ * @returns {Object} Store {id, get, set, delete, clear}
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    id: 'memory',
+    get: async key => entries.get(key) ?? null,
+    set: async (key, entry) => {
+      entries.set(key, entry);
+    },
+    delete: async key => {
+      entries.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+    }
+  };
+};
+
+/**
+ * IndexedDB store (browser)
+ * @param {Object} options - {dbName (default 'ftrt-cache'), storeName (default 'responses')}
+ * @returns {Object} Store {id, get, set, delete, clear}
+ */
+export const createIndexedDBStore = (options = {}) => {
+  const { dbName = 'ftrt-cache', storeName = 'responses' } = options;
+  let database = null;
+
+  const open = () => {
+    database = database ?? new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return database;
+  };
+
+  const transact = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    id: 'indexeddb',
+    get: async key => (await transact('readonly', store => store.get(key))) ?? null,
+    set: async (key, entry) => {
+      await transact('readwrite', store => store.put(entry, key));
+    },
+    delete: async key => {
+      await transact('readwrite', store => store.delete(key));
+    },
+    clear: async () => {
+      await transact('readwrite', store => store.clear());
+    }
+  };
+};
+
+/**
+ * Filesystem store (Node): one JSON file per entry
+ * @param {Object} options - {directory (default node_modules/.cache/ftrt-data
+ *   under the working directory), fs: fs/promises implementation (default node:fs/promises)}
+ * @returns {Object} Store {id, get, set, delete, clear}
+ */
+export const createFileStore = (options = {}) => {
+  const directory = options.directory ?? `${process.cwd()}/node_modules/.cache/ftrt-data`;
+  // Variable specifier keeps the browser build from bundling the Node module
+  const fsModule = 'node:fs/promises';
+  const fs = options.fs ? async () => options.fs : () => import(/* @vite-ignore */ fsModule);
+  const pathFor = key => `${directory}/${encodeURIComponent(key)}.json`;
+
+  return {
+    id: 'filesystem',
+    get: async key => {
+      const { readFile } = await fs();
+      try {
+        return JSON.parse(await readFile(pathFor(key), 'utf8'));
+      } catch (error) {
+        // Missing or truncated files are misses
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+        throw error;
+      }
+    },
+    set: async (key, entry) => {
+      const { mkdir, writeFile } = await fs();
+      await mkdir(directory, { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify(entry));
+    },
+    delete: async key => {
+      const { rm } = await fs();
+      await rm(pathFor(key), { force: true });
+    },
+    clear: async () => {
+      const { rm } = await fs();
+      await rm(directory, { recursive: true, force: true });
+    }
+  };
+};
+
+/**
+ * Store for the current environment
+ */
+const createDefaultStore = () => {
+  if (typeof indexedDB !== 'undefined') return createIndexedDBStore();
+  if (typeof process !== 'undefined' && process.versions?.node) return createFileStore();
+  return createMemoryStore();
+};
+
+let activeStore = null;
+const inFlight = new Map();
+
+/**
+ * Replace the store used by fetchWithCache (e.g. a memory store in tests)
+ */
+export const setDataCacheStore = store => {
+  activeStore = store;
+};
+
+const getStore = () => {
+  activeStore = activeStore ?? createDefaultStore();
+  return activeStore;
+};
+
+/**
+ * Store access that degrades to "no cache" (private browsing, read-only disk)
+ */
+const safely = async (operation, fallback = null) => {
+  try {
+    return await operation();
+  } catch (error) {
+    console.warn('Data cache unavailable:', error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Default transport: GET through the shared HTTP client; 304 is a success
+ * @returns {Promise<Object>} {status, data, headers}
+ */
+const defaultTransport = (url, headers) => httpClient.get(url, { headers, accept: [304] });
+
+/**
+ * Conditional request, repeated without validators when it fails at the
+ * network level: in the browser the validator headers make a cross-origin
+ * request preflighted, and a server that rejects the preflight would
+ * otherwise leave the cached copy 'offline' for good
+ */
+const requestWithValidators = async (transport, url, headers) => {
+  try {
+    return await transport(url, headers);
+  } catch (error) {
+    const conditional = Object.keys(headers).length > 0;
+    if (!conditional || !(error instanceof NetworkError) || error.timeout) throw error;
+    return transport(url, {});
+  }
+};
+
+/**
+ * Request a resource, revalidating a cached entry when there is one, and
+ * store the outcome
+ */
+const revalidate = (url, entry, options) => {
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const { transport = defaultTransport } = options;
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+  const request = requestWithValidators(transport, url, headers)
+    .then(async response => {
+      const fetchedAt = Date.now();
+      const updated = response.status === 304 && entry
+        ? { ...entry, fetchedAt }
+        : {
+          url,
+          data: response.data,
+          etag: response.headers?.etag ?? null,
+          lastModified: response.headers?.['last-modified'] ?? null,
+          fetchedAt
+        };
+      await safely(() => getStore().set(url, updated));
+      return { entry: updated, source: response.status === 304 ? 'revalidated' : 'network' };
+    })
+    .finally(() => inFlight.delete(url));
+
+  inFlight.set(url, request);
+  return request;
+};
+
+/**
+ * Fetch JSON through the cache
+ * Fresh entries are returned without a request. Stale entries are returned at
+ * once and refreshed in the background (onUpdate receives the refreshed
+ * result), unless staleWhileRevalidate is off. When the network fails any
+ * cached copy is returned with source 'offline'.
+ * @param {string} url - Resource URL (also the cache key)
+ * @param {Object} options - {ttl: entry lifetime in ms (default DEFAULT_CACHE_TTL_MS),
+ *   refresh: skip the cached copy and go to the network (manual refresh),
+ *   staleWhileRevalidate (default true), onUpdate: callback for background refreshes,
+ *   transport: (url, headers) -> Promise<{status, data, headers}>}
+ * @returns {Promise<Object>} {data, source: 'cache' | 'stale' | 'network' |
+ *   'revalidated' | 'offline', fetchedAt, stale}
+ * @throws {NetworkError|HttpError|ParseError} When the request fails and
+ *   nothing is cached
+ */
+export const fetchWithCache = async (url, options = {}) => {
+  const { ttl = DEFAULT_CACHE_TTL_MS, refresh = false, staleWhileRevalidate = true, onUpdate } = options;
+  const entry = await safely(() => getStore().get(url));
+  const toResult = (cached, source) => ({
+    data: cached.data,
+    source,
+    fetchedAt: cached.fetchedAt,
+    stale: Date.now() - cached.fetchedAt >= ttl
+  });
+
+  if (entry && !refresh) {
+    const age = Date.now() - entry.fetchedAt;
+    if (age < ttl) return toResult(entry, 'cache');
+    if (staleWhileRevalidate) {
+      revalidate(url, entry, options)
+        .then(result => onUpdate && onUpdate(toResult(result.entry, result.source)))
+        .catch(error => console.warn(`Background refresh of ${url} failed:`, error.message));
+      return toResult(entry, 'stale');
+    }
+  }
+
+  try {
+    const result = await revalidate(url, entry, options);
+    return toResult(result.entry, result.source);
+  } catch (error) {
+    if (!entry) throw error;
+    console.warn(`Serving cached ${url} while offline:`, error.message);
+    return toResult(entry, 'offline');
+  }
+};
+
+/**
+ * Drop one cached resource, or every one when no URL is given
+ */
+export const clearDataCache = async url => {
+  await safely(() => (url ? getStore().delete(url) : getStore().clear()));
+};
+
+export default {
+  DEFAULT_CACHE_TTL_MS,
+  createMemoryStore,
+  createIndexedDBStore,
+  createFileStore,
+  setDataCacheStore,
+  fetchWithCache,
+  clearDataCache
+};
@@ -0,0 +1,217 @@
+/**
+ * Deep-Time FTRT Service
+ * FTRT estimates at geological ages (Ma) from secularly evolving orbital elements,
+ * with an uncertainty envelope reflecting chaotic divergence of the solutions
+ */
+
+import {
+  ORBITAL_ELEMENTS,
+  SECULAR_MODES,
+  J2000_EPOCH,
+  LYAPUNOV_TIME_MA,
+  DETERMINISTIC_HORIZON_MA,
+  SECULAR_AMPLITUDE_DIFFUSION
+} from '@/utils/constants';
+import { elementsToPosition } from '@/utils/orbitalMechanics';
+import { percentile, mean } from '@/utils/statistics';
+import { calculateFTRTFromPositions, resolveNormalization } from '@/services/ftrtCalculator';
+
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const DAYS_PER_MA = 365.25e6;
+
+// Irrational strides for low-discrepancy sampling of unknown phases
+const PHASE_STRIDES = [0.6180339887, 0.4142135624, 0.7320508076, 0.2360679775,
+  0.6457513111, 0.3166247904, 0.1231056256, 0.8284271247];
+
+const frac = x => x - Math.floor(x);
+
+/**
+ * Angular uncertainty (radians) of secular phases at a given age
+ * Grows exponentially with the Lyapunov time past the deterministic horizon
+ * and saturates at π (phase completely unknown)
+ * @param {number} ageMa - Age in millions of years
+ * @returns {number} Phase uncertainty in radians
+ */
+export const secularPhaseUncertainty = ageMa => {
+  const growth = Math.exp((ageMa - DETERMINISTIC_HORIZON_MA) / LYAPUNOV_TIME_MA);
+  return Math.min(Math.PI, growth);
+};
+
+/**
+ * Fractional uncertainty of the free secular amplitudes at a given age
+ * Zero inside the deterministic horizon, then a diffusive √t growth
+ * @param {number} ageMa - Age in millions of years
+ * @returns {number} Relative amplitude spread
+ */
+export const secularAmplitudeUncertainty = ageMa => {
+  return SECULAR_AMPLITUDE_DIFFUSION * Math.sqrt(Math.max(0, ageMa - DETERMINISTIC_HORIZON_MA));
+};
+
+/**
+ * Orbital elements of a planet at a geological age
+ * Eccentricity vectors follow a two-mode Laplace-Lagrange approximation (the
+ * planet's own g mode plus its dominant giant-planet forcing), nodes regress at
+ * the planet's s frequency and semi-major axes are secularly invariant.
+ * Mean longitude is not modelled.
+ * @param {string} planetName - Planet key
+ * @param {number} ageMa - Age in Ma (positive into the past)
+ * @param {number} phaseOffset - Extra phase (radians) added to the secular modes
+ * @param {number} amplitudeScale - Factor applied to the free eccentricity amplitude
+ * @returns {Object|null} Elements {a, e, i, longPeri, longNode} (AU, degrees)
+ */
+export const getSecularElements = (planetName, ageMa, phaseOffset = 0, amplitudeScale = 1) => {
+  const base = ORBITAL_ELEMENTS[planetName];
+  const modes = SECULAR_MODES[planetName];
+  if (!base || !modes) return null;
+
+  const years = -ageMa * 1e6;
+  const { a, e, i, longPeri, longNode } = base.elements;
+  const forcer = ORBITAL_ELEMENTS[modes.forcedBy].elements;
+  const forcerMode = SECULAR_MODES[modes.forcedBy];
+
+  // Forced term rides on the forcing planet's mode
+  const forcedPhase0 = forcer.longPeri * DEG_TO_RAD;
+  const forcedK0 = modes.forcedAmplitude * Math.cos(forcedPhase0);
+  const forcedH0 = modes.forcedAmplitude * Math.sin(forcedPhase0);
+
+  // Free term is whatever remains of the J2000 eccentricity vector
+  const freeK0 = e * Math.cos(longPeri * DEG_TO_RAD) - forcedK0;
+  const freeH0 = e * Math.sin(longPeri * DEG_TO_RAD) - forcedH0;
+  // Scaled amplitudes are capped so the perturbed orbit stays bound
+  const freeAmplitude = Math.min(Math.hypot(freeK0, freeH0) * amplitudeScale, 0.9 - modes.forcedAmplitude);
+  const freePhase0 = Math.atan2(freeH0, freeK0);
+
+  const freePhase = freePhase0 + modes.g * ARCSEC_TO_RAD * years + phaseOffset;
+  const forcedPhase = forcedPhase0 + forcerMode.g * ARCSEC_TO_RAD * years + phaseOffset;
+
+  const k = freeAmplitude * Math.cos(freePhase) + modes.forcedAmplitude * Math.cos(forcedPhase);
+  const h = freeAmplitude * Math.sin(freePhase) + modes.forcedAmplitude * Math.sin(forcedPhase);
+
+  return {
+    a,
+    e: Math.hypot(k, h),
+    i: Math.abs(i),
+    longPeri: (Math.atan2(h, k) * RAD_TO_DEG + 360) % 360,
+    longNode: ((longNode + (modes.s * ARCSEC_TO_RAD * years + phaseOffset) * RAD_TO_DEG) % 360 + 360) % 360
+  };
+};
+
+/**
+ * FTRT envelope at a geological age
+ * Orbital phases are unknowable at Ma scales, so the index is evaluated over a
+ * fixed set of mean-longitude configurations (the orbital climatology) for an
+ * ensemble of secular states. Members perturb each planet's secular phases by up
+ * to the chaotic divergence at that age and its free eccentricity amplitude by the
+ * diffusive spread. The band is the spread across members at each configuration,
+ * summarized over the configurations, so it collapses inside the deterministic
+ * horizon and keeps widening beyond it. Confidence is one minus the band width
+ * relative to the climatology range.
+ * The result is an envelope with no orbital phase information: normalizedIndex
+ * is the band's median and stays near the middle of the climatology at every
+ * age, so consumers should reason on lower/upper rather than the point value.
+ * @param {number} ageMa - Age in Ma
+ * @param {Object} options - {configurations, ensembleSize, bandPercentiles: [low, high],
+ *   normalization: scheme name or {scheme, climatology}}
+ * @returns {Object} Deep-time FTRT sample with band, orbital climatology range and confidence
+ */
+export const calculateDeepTimeFTRT = (ageMa, options = {}) => {
+  const { configurations = 16, ensembleSize = 32, bandPercentiles = [5, 95] } = options;
+  const planetNames = Object.keys(SECULAR_MODES);
+  const phaseUncertainty = secularPhaseUncertainty(ageMa);
+  const amplitudeUncertainty = secularAmplitudeUncertainty(ageMa);
+  const normalization = resolveNormalization(options.normalization);
+
+  const members = [];
+  const forces = [];
+
+  for (let m = 0; m < ensembleSize; m++) {
+    // Each planet gets its own phase perturbation in [-δ, δ] and amplitude factor
+    // in [e^-σ, e^σ]; member 0 is the nominal solution
+    const elements = {};
+    planetNames.forEach((name, j) => {
+      const phaseDraw = frac(m * PHASE_STRIDES[j] + PHASE_STRIDES[(j + 3) % 8]);
+      const amplitudeDraw = frac(m * PHASE_STRIDES[(j + 5) % 8] + PHASE_STRIDES[j]);
+      const offset = m === 0 ? 0 : (2 * phaseDraw - 1) * phaseUncertainty;
+      const scale = m === 0 ? 1 : Math.exp((2 * amplitudeDraw - 1) * amplitudeUncertainty);
+      elements[name] = getSecularElements(name, ageMa, offset, scale);
+    });
+
+    // Same configurations for every member, so members differ only by secular state
+    const normalized = [];
+    for (let c = 0; c < configurations; c++) {
+      const positions = {};
+      planetNames.forEach((name, j) => {
+        const L = 360 * frac((c + 1) * PHASE_STRIDES[j]);
+        const position = elementsToPosition({ ...elements[name], L });
+        positions[name] = {
+          ...position,
+          longitude: (Math.atan2(position.y, position.x) * RAD_TO_DEG + 360) % 360,
+          latitude: Math.asin(position.z / position.distance) * RAD_TO_DEG
+        };
+      });
+      const result = calculateFTRTFromPositions(positions, { normalization });
+      normalized.push(result.normalizedIndex);
+      forces.push(result.totalForce);
+    }
+    members.push(normalized);
+  }
+
+  // Ensemble percentile at each configuration, median over configurations
+  const bandAt = p => {
+    const values = [];
+    for (let c = 0; c < configurations; c++) {
+      values.push(percentile(members.map(member => member[c]), p));
+    }
+    return percentile(values, 50);
+  };
+  const lower = bandAt(bandPercentiles[0]);
+  const upper = bandAt(bandPercentiles[1]);
+  const climatology = members.flat();
+  const climatologyRange = [percentile(climatology, bandPercentiles[0]), percentile(climatology, bandPercentiles[1])];
+  const climatologyWidth = climatologyRange[1] - climatologyRange[0];
+  const confidence = climatologyWidth > 0 ? Math.max(0, 1 - (upper - lower) / climatologyWidth) : 1;
+
+  return {
+    ageMa,
+    julianDay: J2000_EPOCH - ageMa * DAYS_PER_MA,
+    normalizedIndex: bandAt(50),
+    meanIndex: mean(climatology),
+    lower,
+    upper,
+    climatologyRange,
+    totalForce: percentile(forces, 50),
+    totalForceRange: [Math.min(...forces), Math.max(...forces)],
+    phaseUncertainty,
+    amplitudeUncertainty,
+    confidence,
+    normalization: { scheme: normalization.scheme, reference: normalization.climatology?.id ?? null },
+    regime: ageMa <= DETERMINISTIC_HORIZON_MA ? 'deterministic' : 'chaotic',
+    samples: climatology.length
+  };
+};
+
+/**
+ * Deep-time FTRT series at Ma resolution
+ * @param {number} startMa - Youngest age in Ma
+ * @param {number} endMa - Oldest age in Ma
+ * @param {number} stepMa - Sampling step in Ma
+ * @param {Object} options - Passed to calculateDeepTimeFTRT
+ * @returns {Array<Object>} Samples ordered from young to old
+ */
+export const calculateDeepTimeSeries = (startMa, endMa, stepMa = 1, options = {}) => {
+  const series = [];
+  for (let age = startMa; age <= endMa; age += stepMa) {
+    series.push(calculateDeepTimeFTRT(age, options));
+  }
+  return series;
+};
+
+export default {
+  secularPhaseUncertainty,
+  secularAmplitudeUncertainty,
+  getSecularElements,
+  calculateDeepTimeFTRT,
+  calculateDeepTimeSeries
+};
@@ -0,0 +1,347 @@
+/**
+ * Ephemeris Providers
+ * Pluggable sources of heliocentric planet positions for the FTRT engine:
+ * the analytic Keplerian model and offline JPL Horizons vector tables
+ */
+
+import { JPL_HORIZONS_URL, AU } from '@/utils/constants';
+import { calculateHeliocentricPosition } from '@/utils/orbitalMechanics';
+
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Horizons target codes for the bodies modelled by the analytic provider
+// (system barycentres; "earth" is the Earth-Moon barycentre as in ORBITAL_ELEMENTS)
+export const HORIZONS_BODY_CODES = {
+  mercury: '1',
+  venus: '2',
+  earth: '3',
+  mars: '4',
+  jupiter: '5',
+  saturn: '6',
+  uranus: '7',
+  neptune: '8'
+};
+
+/**
+ * Build the standard position record from heliocentric ecliptic coordinates (AU)
+ */
+const toPositionRecord = (body, julianDay, x, y, z) => {
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  return {
+    planet: body,
+    julianDay,
+    x,
+    y,
+    z,
+    distance,
+    distanceMeters: distance * AU,
+    longitude: (Math.atan2(y, x) * RAD_TO_DEG + 360) % 360,
+    latitude: Math.asin(z / distance) * RAD_TO_DEG
+  };
+};
+
+/**
+ * Analytic provider: J2000 Keplerian elements with secular rates
+ */
+export const createAnalyticProvider = () => ({
+  id: 'analytic',
+  name: 'Keplerian mean elements (JPL approximate positions)',
+  bodies: Object.keys(HORIZONS_BODY_CODES),
+  getPosition: (body, julianDay) => calculateHeliocentricPosition(body, julianDay)
+});
+
+/**
+ * Resolve a Horizons target name such as "Jupiter Barycenter (5)" to a body key
+ */
+const resolveHorizonsBody = targetName => {
+  if (!targetName) return null;
+  const lower = targetName.toLowerCase();
+  if (lower.startsWith('earth-moon')) return 'earth';
+
+  const code = (lower.match(/\((-?\d+)\)/) || [])[1];
+  const byCode = Object.keys(HORIZONS_BODY_CODES).find(body =>
+    HORIZONS_BODY_CODES[body] === code || `${HORIZONS_BODY_CODES[body]}99` === code
+  );
+  if (byCode) return byCode;
+
+  return lower.split(/\s+/)[0] || null;
+};
+
+/**
+ * Parse a saved JPL Horizons vector-table export (text or CSV format)
+ * @param {string} text - Full Horizons output, including the $$SOE/$$EOE block
+ * @returns {Object} {body, target, center, units, rows} with rows in AU and AU/day,
+ *   sorted by Julian Day (TDB)
+ */
+export const parseHorizonsVectors = text => {
+  const soe = text.indexOf('$$SOE');
+  const eoe = text.indexOf('$$EOE');
+  if (soe === -1 || eoe === -1 || eoe < soe) {
+    throw new Error('Horizons export is missing the $$SOE/$$EOE data markers');
+  }
+
+  const header = text.slice(0, soe);
+  const target = (header.match(/Target body name:\s*(.+?)(?:\s{2,}|\s*\{|$)/m) || [])[1] || null;
+  const center = (header.match(/Center body name:\s*(.+?)(?:\s{2,}|\s*\{|$)/m) || [])[1] || null;
+  const units = ((header.match(/Output units\s*:\s*([A-Z]+-[A-Z]+)/) || [])[1] || 'AU-D').toUpperCase();
+
+  const [distanceUnit, timeUnit] = units.split('-');
+  const distanceScale = distanceUnit === 'KM' ? 1 / AU_KM : 1;
+  const velocityScale = distanceScale * (timeUnit === 'S' ? SECONDS_PER_DAY : 1);
+
+  const body = text.slice(soe + 5, eoe);
+  const lines = body.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const rows = [];
+
+  if (lines.length > 0 && lines[0].includes(',')) {
+    // CSV_FORMAT=YES: JDTDB, Calendar Date (TDB), X, Y, Z, [VX, VY, VZ, ...]
+    lines.forEach(line => {
+      const fields = line.split(',').map(f => f.trim());
+      const numbers = [fields[0], ...fields.slice(2)].filter(f => f !== '').map(Number);
+      if (numbers.length < 4 || numbers.some(Number.isNaN)) return;
+      const [jd, x, y, z, vx, vy, vz] = numbers;
+      rows.push(scaleRow({ jd, x, y, z, vx, vy, vz }, distanceScale, velocityScale));
+    });
+  } else {
+    // Default text layout: a JD line followed by "X = .. Y = .. Z = .." and "VX= .." lines
+    let current = null;
+    lines.forEach(line => {
+      const jdMatch = line.match(/^(\d+\.\d+)\s*=/);
+      if (jdMatch) {
+        if (current) rows.push(scaleRow(current, distanceScale, velocityScale));
+        current = { jd: parseFloat(jdMatch[1]) };
+        return;
+      }
+      if (!current) return;
+      const pattern = /\b(VX|VY|VZ|X|Y|Z)\s*=\s*([-+]?\d*\.?\d+(?:[Ee][-+]?\d+)?)/g;
+      let match;
+      while ((match = pattern.exec(line)) !== null) {
+        current[match[1].toLowerCase()] = parseFloat(match[2]);
+      }
+    });
+    if (current) rows.push(scaleRow(current, distanceScale, velocityScale));
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Horizons export contains no vector rows');
+  }
+
+  rows.sort((a, b) => a.jd - b.jd);
+
+  return {
+    body: resolveHorizonsBody(target),
+    target,
+    center,
+    units,
+    rows
+  };
+};
+
+const scaleRow = (row, distanceScale, velocityScale) => {
+  const hasVelocity = [row.vx, row.vy, row.vz].every(Number.isFinite);
+  return {
+    jd: row.jd,
+    x: row.x * distanceScale,
+    y: row.y * distanceScale,
+    z: row.z * distanceScale,
+    vx: hasVelocity ? row.vx * velocityScale : null,
+    vy: hasVelocity ? row.vy * velocityScale : null,
+    vz: hasVelocity ? row.vz * velocityScale : null
+  };
+};
+
+/**
+ * Fill missing velocities with finite differences of neighbouring rows
+ */
+const ensureVelocities = rows => {
+  if (rows.every(r => r.vx !== null)) return rows;
+  return rows.map((row, i) => {
+    if (row.vx !== null) return row;
+    const prev = rows[Math.max(0, i - 1)];
+    const next = rows[Math.min(rows.length - 1, i + 1)];
+    const dt = next.jd - prev.jd || 1;
+    return {
+      ...row,
+      vx: (next.x - prev.x) / dt,
+      vy: (next.y - prev.y) / dt,
+      vz: (next.z - prev.z) / dt
+    };
+  });
+};
+
+/**
+ * Cubic Hermite interpolation of a vector table at a Julian Day
+ * @param {Array<Object>} rows - Sorted rows with positions and velocities
+ * @param {number} julianDay - Julian Day inside the table span
+ * @returns {Array<number>|null} [x, y, z] or null when out of range
+ */
+export const interpolateVectorTable = (rows, julianDay) => {
+  if (rows.length === 0 || julianDay < rows[0].jd || julianDay > rows[rows.length - 1].jd) {
+    return null;
+  }
+  if (rows.length === 1) return [rows[0].x, rows[0].y, rows[0].z];
+
+  // Binary search for the bracketing interval
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (rows[mid].jd <= julianDay) lo = mid; else hi = mid;
+  }
+
+  const a = rows[lo];
+  const b = rows[hi];
+  const h = b.jd - a.jd;
+  const s = (julianDay - a.jd) / h;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = -2 * s3 + 3 * s2;
+  const h11 = s3 - s2;
+
+  return ['x', 'y', 'z'].map(axis => {
+    const v = `v${axis}`;
+    return h00 * a[axis] + h10 * h * a[v] + h01 * b[axis] + h11 * h * b[v];
+  });
+};
+
+/**
+ * Provider backed by locally saved Horizons vector tables
+ * @param {Array<string|Object>} tables - Horizons export texts or parsed tables;
+ *   parsed tables may override the detected body with a `body` field
+ * @param {Object} options - {fallback: provider used outside table coverage}
+ * @returns {Object} Ephemeris provider
+ */
+export const createHorizonsProvider = (tables, options = {}) => {
+  const { fallback = null } = options;
+  const byBody = {};
+
+  tables.forEach(table => {
+    const parsed = typeof table === 'string' ? parseHorizonsVectors(table) : table;
+    if (!parsed.body) {
+      throw new Error(`Cannot determine body for Horizons target "${parsed.target}"`);
+    }
+    if (parsed.center && !/sun|\(10\)/i.test(parsed.center)) {
+      console.warn(`Horizons table for ${parsed.body} is centred on ${parsed.center}, not the Sun`);
+    }
+    // Overlapping tables share epochs: keep one row per JD (the later table wins)
+    // so interpolation never meets a zero-length interval
+    const existing = byBody[parsed.body] ? byBody[parsed.body].rows : [];
+    const merged = new Map([...existing, ...parsed.rows].map(row => [row.jd, row]));
+    const rows = ensureVelocities([...merged.values()].sort((a, b) => a.jd - b.jd));
+    byBody[parsed.body] = { ...parsed, rows };
+  });
+
+  const coverage = {};
+  Object.keys(byBody).forEach(body => {
+    const rows = byBody[body].rows;
+    coverage[body] = { start: rows[0].jd, end: rows[rows.length - 1].jd, rows: rows.length };
+  });
+
+  return {
+    id: 'horizons',
+    name: 'JPL Horizons vector tables (offline)',
+    bodies: Object.keys(byBody),
+    coverage,
+    getPosition: (body, julianDay) => {
+      const table = byBody[body];
+      const xyz = table ? interpolateVectorTable(table.rows, julianDay) : null;
+      if (xyz) return toPositionRecord(body, julianDay, ...xyz);
+      if (fallback) return fallback.getPosition(body, julianDay);
+      throw new Error(`No Horizons vectors for ${body} at JD ${julianDay}`);
+    }
+  };
+};
+
+/**
+ * Build a Horizons provider from browser File/Blob objects or raw texts
+ * @param {Array<File|Blob|string>} files - Saved Horizons exports
+ * @param {Object} options - Passed to createHorizonsProvider
+ * @returns {Promise<Object>} Ephemeris provider
+ */
+export const createHorizonsProviderFromFiles = async (files, options = {}) => {
+  const texts = await Promise.all(files.map(f => (typeof f === 'string' ? f : f.text())));
+  return createHorizonsProvider(texts, options);
+};
+
+/**
+ * URL of a Horizons API request producing a heliocentric ecliptic vector table
+ * that createHorizonsProvider can load once saved to disk
+ * @param {string} body - Body key (see HORIZONS_BODY_CODES)
+ * @param {Object} range - {start, stop} as YYYY-MM-DD strings, {step} e.g. '1 d'
+ * @returns {string} Request URL
+ */
+export const buildHorizonsQueryUrl = (body, { start, stop, step = '1 d' }) => {
+  const baseUrl = import.meta.env?.VITE_JPL_HORIZONS_URL || JPL_HORIZONS_URL;
+  const params = {
+    format: 'text',
+    COMMAND: `'${HORIZONS_BODY_CODES[body] || body}'`,
+    EPHEM_TYPE: "'VECTORS'",
+    CENTER: "'500@10'",
+    REF_PLANE: "'ECLIPTIC'",
+    START_TIME: `'${start}'`,
+    STOP_TIME: `'${stop}'`,
+    STEP_SIZE: `'${step}'`,
+    VEC_TABLE: "'2'",
+    OUT_UNITS: "'AU-D'",
+    CSV_FORMAT: "'YES'"
+  };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${baseUrl}?${query}`;
+};
+
+// Provider registry
+const providers = {
+  analytic: createAnalyticProvider()
+};
+let defaultProviderId = 'analytic';
+
+/**
+ * Register a provider so it can be selected by id
+ */
+export const registerEphemerisProvider = provider => {
+  providers[provider.id] = provider;
+  return provider;
+};
+
+/**
+ * Select the provider used when an analysis does not specify one
+ */
+export const setDefaultEphemerisProvider = id => {
+  if (!providers[id]) {
+    throw new Error(`Unknown ephemeris provider: ${id}`);
+  }
+  defaultProviderId = id;
+};
+
+/**
+ * Resolve a provider from an id, a provider object, or the current default
+ * @param {string|Object} [provider] - Provider id or object
+ * @returns {Object} Ephemeris provider
+ */
+export const getEphemerisProvider = provider => {
+  if (provider && typeof provider === 'object') return provider;
+  const resolved = providers[provider || defaultProviderId];
+  if (!resolved) {
+    throw new Error(`Unknown ephemeris provider: ${provider}`);
+  }
+  return resolved;
+};
+
+export default {
+  HORIZONS_BODY_CODES,
+  createAnalyticProvider,
+  parseHorizonsVectors,
+  interpolateVectorTable,
+  createHorizonsProvider,
+  createHorizonsProviderFromFiles,
+  buildHorizonsQueryUrl,
+  registerEphemerisProvider,
+  setDefaultEphemerisProvider,
+  getEphemerisProvider
+};
@@ -112,8 +112,22 @@ export const getTimelineStatistics = () => {
   };
 };
 
+const classifyIndex = value => value > 0.7 ? 'strong' : value > 0.5 ? 'moderate' : 'weak';
+
+const classifyBand = samples => {
+  const lower = Math.min(...samples.map(f => f.lower));
+  const upper = Math.max(...samples.map(f => f.upper));
+  if (upper <= 0.5) return 'weak';
+  return lower > 0.5 ? classifyIndex(lower) : 'indeterminate';
+};
+
 /**
  * Correlate events with FTRT data
+ * Accepts instrumental FTRT results (dated by julianDay) or deep-time samples
+ * (with ageMa, lower/upper band and confidence from deepTimeFTRT). Deep-time
+ * samples are envelopes without orbital phase, so their correlation is graded
+ * from the band: strong or moderate only when the whole band clears the
+ * threshold, weak when it stays below 0.5 and indeterminate otherwise.
  */
 export const correlateWithFTRT = (ftrtData, windowMa = 10) => {
   const events = getAllEvents();
@@ -121,7 +135,7 @@ export const correlateWithFTRT = (ftrtData, windowMa = 10) => {
   
   events.forEach(event => {
     const nearbyFTRT = ftrtData.filter(ftrt => {
-      const ftrtAge = calculateAgeFromJulianDay(ftrt.julianDay);
+      const ftrtAge = ftrt.ageMa ?? calculateAgeFromJulianDay(ftrt.julianDay);
       return Math.abs(ftrtAge - event.ageMillionYears) <= windowMa;
     });
     
@@ -131,6 +145,12 @@ export const correlateWithFTRT = (ftrtData, windowMa = 10) => {
       ) / nearbyFTRT.length;
       const maxFTRT = Math.max(...nearbyFTRT.map(f => f.normalizedIndex));
       
+      // Samples without an uncertainty model are taken at face value
+      const confidence = nearbyFTRT.reduce((sum, f) => 
+        sum + (f.confidence ?? 1), 0
+      ) / nearbyFTRT.length;
+      const hasBand = nearbyFTRT.every(f => f.lower !== undefined && f.upper !== undefined);
+      
       correlations.push({
         eventId: event.id,
         eventName: event.name,
@@ -138,9 +158,13 @@ export const correlateWithFTRT = (ftrtData, windowMa = 10) => {
         eventType: event.type,
         avgFTRT,
         maxFTRT,
+        ftrtBand: hasBand ? {
+          lower: Math.min(...nearbyFTRT.map(f => f.lower)),
+          upper: Math.max(...nearbyFTRT.map(f => f.upper))
+        } : null,
         ftrtDataPoints: nearbyFTRT.length,
-        correlation: avgFTRT > 0.7 ? 'strong' : 
-                    avgFTRT > 0.5 ? 'moderate' : 'weak',
+        correlation: hasBand ? classifyBand(nearbyFTRT) : classifyIndex(avgFTRT),
+        confidence,
         significance: event.significance
       });
     }
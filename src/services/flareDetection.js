@@ -0,0 +1,230 @@
+/**
+ * Flare Detection
+ * Solar flare events from the GOES 0.1-0.8 nm X-ray flux, following the
+ * NOAA SWPC event definitions: a flare starts with four minutes of steep
+ * monotonic rise ending at ≥ 1.4 × the starting flux, peaks at the flux
+ * maximum, and ends when the flux has decayed halfway back to the starting
+ * level. Events are classified A/B/C/M/X with magnitude (e.g. M2.4) and
+ * gathered into catalogs with per-day or per-month counts, usable as a
+ * solar-activity variable next to sunspots and F10.7.
+ */
+
+// Class thresholds (peak 0.1-0.8 nm flux, W/m²), strongest first
+export const FLARE_CLASSES = [
+  { letter: 'X', base: 1e-4 },
+  { letter: 'M', base: 1e-5 },
+  { letter: 'C', base: 1e-6 },
+  { letter: 'B', base: 1e-7 },
+  { letter: 'A', base: 1e-8 }
+];
+
+// Detection parameters: rise length (minutes), rise ratio, sample cadence and
+// the data gap that closes an event
+export const FLARE_DETECTION = {
+  riseMinutes: 4,
+  riseRatio: 1.4,
+  cadenceMs: 60 * 1000,
+  maxGapMs: 10 * 60 * 1000
+};
+
+const CLASS_RANK = { A: 0, B: 1, C: 2, M: 3, X: 4 };
+
+/**
+ * Classify a peak flux
+ * The magnitude is truncated to one decimal, so an event never rounds up
+ * into the next class (9.96e-6 W/m² is C9.9)
+ * @param {number} flux - Peak 0.1-0.8 nm flux in W/m²
+ * @returns {Object|null} {letter, magnitude, label}, or null for non-positive flux
+ */
+export const classifyFlare = flux => {
+  if (!(flux > 0)) return null;
+  const flareClass = FLARE_CLASSES.find(c => flux >= c.base) ?? FLARE_CLASSES[FLARE_CLASSES.length - 1];
+  const magnitude = Math.floor((flux / flareClass.base) * 10 + 1e-9) / 10;
+  return { letter: flareClass.letter, magnitude, label: `${flareClass.letter}${magnitude.toFixed(1)}` };
+};
+
+/**
+ * Whether a class label or letter is at least another ('M2.4' ≥ 'C')
+ */
+export const isFlareClassAtLeast = (label, minimum) => CLASS_RANK[label[0]] >= CLASS_RANK[minimum[0]];
+
+/**
+ * Integral of the flux over samples [from, to] in J/m² (trapezoidal rule)
+ */
+const integrate = (samples, from, to) => {
+  let total = 0;
+  for (let k = from + 1; k <= to; k++) {
+    total += ((samples[k].flux + samples[k - 1].flux) / 2) * ((samples[k].time - samples[k - 1].time) / 1000);
+  }
+  return total;
+};
+
+/**
+ * Detect flares in a GOES X-ray series
+ * @param {Array<Object>} samples - {time (ms), flux (W/m²)} samples of the
+ *   0.1-0.8 nm channel, e.g. parseGOESProduct(json, {energy: '0.1-0.8nm'})
+ * @param {Object} options - Overrides of FLARE_DETECTION, plus minClass:
+ *   smallest class reported (default 'A')
+ * @returns {Array<Object>} Events in time order {start, peak, end (ISO; end
+ *   null while ongoing), startFlux, peakFlux, endFlux, class, magnitude,
+ *   classification (e.g. 'M2.4'), integratedFlux (J/m², start to end),
+ *   riseMinutes, durationMinutes, satellite, status: 'complete' | 'interrupted'
+ *   (a new flare began during the decay) | 'gap' (data gap) | 'ongoing'}
+ */
+export const detectFlares = (samples, options = {}) => {
+  const { riseMinutes, riseRatio, cadenceMs, maxGapMs } = { ...FLARE_DETECTION, ...options };
+  const { minClass = 'A' } = options;
+  const series = samples
+    .filter(s => Number.isFinite(s.time) && s.flux > 0)
+    .sort((a, b) => a.time - b.time);
+
+  const consecutive = k => series[k].time - series[k - 1].time <= cadenceMs * 1.5;
+  const risesFrom = i => {
+    if (i + riseMinutes >= series.length) return false;
+    for (let k = i + 1; k <= i + riseMinutes; k++) {
+      if (!consecutive(k) || series[k].flux <= series[k - 1].flux) return false;
+    }
+    return series[i + riseMinutes].flux >= riseRatio * series[i].flux;
+  };
+
+  const events = [];
+  let i = 0;
+  while (i < series.length) {
+    if (!risesFrom(i)) {
+      i++;
+      continue;
+    }
+
+    const startFlux = series[i].flux;
+    let peak = i;
+    let end = null;
+    let status = 'ongoing';
+    for (let k = i + 1; k < series.length; k++) {
+      if (series[k].time - series[k - 1].time > maxGapMs) {
+        end = k - 1;
+        status = 'gap';
+        break;
+      }
+      if (series[k].flux > series[peak].flux) {
+        peak = k;
+        continue;
+      }
+      if (series[k].flux <= (series[peak].flux + startFlux) / 2) {
+        end = k;
+        status = 'complete';
+        break;
+      }
+      if (risesFrom(k)) {
+        end = k;
+        status = 'interrupted';
+        break;
+      }
+    }
+
+    const last = end ?? series.length - 1;
+    const classification = classifyFlare(series[peak].flux);
+    if (isFlareClassAtLeast(classification.letter, minClass)) {
+      events.push({
+        start: new Date(series[i].time).toISOString(),
+        peak: new Date(series[peak].time).toISOString(),
+        end: end !== null ? new Date(series[end].time).toISOString() : null,
+        startFlux,
+        peakFlux: series[peak].flux,
+        endFlux: series[last].flux,
+        class: classification.letter,
+        magnitude: classification.magnitude,
+        classification: classification.label,
+        integratedFlux: integrate(series, i, last),
+        riseMinutes: (series[peak].time - series[i].time) / 60000,
+        durationMinutes: (series[last].time - series[i].time) / 60000,
+        satellite: series[i].satellite ?? null,
+        status
+      });
+    }
+    // An interrupting flare starts where this one ended
+    i = status === 'interrupted' ? last : last + 1;
+  }
+
+  return events;
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Bin key of a time: 'YYYY-MM-DD' (day) or 'YYYY-MM' (month), UTC
+ */
+const binOf = (time, bin) => {
+  const date = new Date(time);
+  const month = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  return bin === 'month' ? month : `${month}-${pad(date.getUTCDate())}`;
+};
+
+const nextBin = (key, bin) => {
+  const [year, month, day = 1] = key.split('-').map(Number);
+  const time = bin === 'month' ? Date.UTC(year, month, 1) : Date.UTC(year, month - 1, day + 1);
+  return binOf(time, bin);
+};
+
+/**
+ * Flare catalog with counts per class and a binned count series
+ * @param {Array<Object>} events - detectFlares output
+ * @param {Object} options - {bin: 'day' (default) or 'month', minClass: smallest
+ *   class counted in flareCount (default 'C'), from, to: time (ms), Date or date string
+ *   bounding the series (default: first and last event)}
+ * @returns {Object} {events (≥ minClass), counts {A, B, C, M, X, total},
+ *   largest (event), series [{date, year, month, timestamp, flareCount, counts
+ *   {A..X}, integratedFlux}] with empty bins as zero}
+ */
+export const buildFlareCatalog = (events, options = {}) => {
+  const { bin = 'day', minClass = 'C' } = options;
+  const selected = events
+    .filter(e => isFlareClassAtLeast(e.classification, minClass))
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+  const counts = { A: 0, B: 0, C: 0, M: 0, X: 0, total: 0 };
+  selected.forEach(e => {
+    counts[e.class]++;
+    counts.total++;
+  });
+  const largest = selected.reduce((a, b) => (!a || b.peakFlux > a.peakFlux ? b : a), null);
+
+  const series = [];
+  const first = options.from ?? selected[0]?.start;
+  const last = options.to ?? selected[selected.length - 1]?.start;
+  if (first !== undefined && last !== undefined) {
+    const bins = new Map();
+    const lastKey = binOf(new Date(last).getTime(), bin);
+    for (let key = binOf(new Date(first).getTime(), bin); key <= lastKey; key = nextBin(key, bin)) {
+      const [year, month, day = 1] = key.split('-').map(Number);
+      const entry = {
+        date: key,
+        year,
+        month,
+        timestamp: Date.UTC(year, month - 1, day),
+        flareCount: 0,
+        counts: { A: 0, B: 0, C: 0, M: 0, X: 0 },
+        integratedFlux: 0
+      };
+      bins.set(key, entry);
+      series.push(entry);
+    }
+    selected.forEach(e => {
+      const entry = bins.get(binOf(Date.parse(e.start), bin));
+      if (!entry) return;
+      entry.flareCount++;
+      entry.counts[e.class]++;
+      entry.integratedFlux += e.integratedFlux;
+    });
+  }
+
+  return { events: selected, counts, largest, series };
+};
+
+export default {
+  FLARE_CLASSES,
+  FLARE_DETECTION,
+  classifyFlare,
+  isFlareClassAtLeast,
+  detectFlares,
+  buildFlareCatalog
+};
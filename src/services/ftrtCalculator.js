@@ -4,140 +4,701 @@
  * Core engine for cosmic-biological correlation analysis
  */
 
-import { PLANETS, GRAVITATIONAL_CONSTANT, SUN_RADIUS, FTRT_REFERENCE_FORCE } from '@/utils/constants';
-import { dateToJulianDay } from '@/utils/dateHelpers';
+import {
+  PLANETS,
+  MOON,
+  TARGET_BODIES,
+  GRAVITATIONAL_CONSTANT,
+  SUN_MASS,
+  SUN_RADIUS,
+  AU
+} from '@/utils/constants';
+import { dateToJulianDate, julianDateToDate } from '@/utils/dateHelpers';
+import {
+  normalizeDegrees,
+  calculateMoonPosition,
+  getLunarArguments
+} from '@/utils/orbitalMechanics';
+import { analyzeTidalField } from '@/utils/tidalTensor';
 import { pearsonCorrelation } from '@/utils/correlations';
+import { axialStatistics } from '@/utils/statistics';
+import {
+  DEFAULT_NORMALIZATION,
+  getNormalizationScheme,
+  buildClimatology,
+  normalizeTidalMagnitude,
+  classifySignificance
+} from '@/utils/ftrtNormalization';
+import { findPeaks, interpolateAt } from '@/utils/peakFinding';
+import {
+  SOLAR_SYSTEM_ID,
+  getPlanetarySystem,
+  getSystemEphemerisProvider,
+  getPlanetMeanMotion
+} from '@/services/planetarySystems';
+import { calculateSolarBarycentricState } from '@/services/barycentricMotion';
+import { findLongitudeDifferenceRoots } from '@/services/conjunctionSearch';
 
 /**
- * Calculate tidal force exerted by a planet on the Sun
- * Formula: F_tidal = (2 * G * M_planet * M_sun * R_sun) / d³
+ * Calculate tidal force exerted by a body on a target (the Sun by default)
+ * Formula: F_tidal = (2 * G * M_body * R_target) / d³
+ * Distance d comes from the ephemeris provider (options.provider, default analytic)
+ * @param {string} planetName - Source body (planet, 'moon' or 'sun')
+ * @param {number} julianDay - Julian Date
+ * @param {Object} options - {provider, target: 'sun' | 'earth' ('star' in other
+ *   systems), system: planetary system id or object (default solar)}
  */
-export const calculatePlanetaryTidalForce = (planetName, julianDay) => {
-  const planet = PLANETS[planetName];
-  if (!planet) {
-    console.warn(`Planet ${planetName} not found`);
+export const calculatePlanetaryTidalForce = (planetName, julianDay, options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const target = getTargetBody(options.target, system);
+  if (!target.sources.includes(planetName)) {
+    console.warn(`Body ${planetName} does not raise tides on ${target.name}`);
     return 0;
   }
   
-  // Calculate orbital position (simplified Kepler orbit)
-  const meanAnomaly = (2 * Math.PI * julianDay) / planet.period;
-  const eccentricity = 0.05; // Simplified eccentricity
-  const distance = planet.semiMajorAxis * (1 + eccentricity * Math.cos(meanAnomaly));
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const position = getTargetRelativePositions(target, julianDay, provider)[planetName];
   
-  // Tidal force calculation
-  const tidalForce = (2 * GRAVITATIONAL_CONSTANT * planet.mass * SUN_RADIUS) / Math.pow(distance, 3);
+  return tidalForceAtDistance(getBodyMass(planetName, system), position.distance * AU, target.radius);
+};
+
+/**
+ * Tidal term for a body of given mass at a given distance (meters)
+ */
+const tidalForceAtDistance = (mass, distance, radius = SUN_RADIUS) => {
+  return (2 * GRAVITATIONAL_CONSTANT * mass * radius) / Math.pow(distance, 3);
+};
+
+/**
+ * Look up a target body definition (see TARGET_BODIES)
+ * Outside the solar system the only target is the host star, 'star', with
+ * the system's planets as sources
+ * @param {string} target - Target key (default 'sun', or 'star' in other systems)
+ * @param {string|Object} system - Planetary system id or object (default solar)
+ * @returns {Object} {key, name, mass, radius, sources}
+ */
+export const getTargetBody = (target, system) => {
+  const planetarySystem = getPlanetarySystem(system);
+  if (planetarySystem.id !== SOLAR_SYSTEM_ID) {
+    if (target !== undefined && target !== 'star') {
+      throw new Error(`Unknown FTRT target body in ${planetarySystem.name}: ${target}`);
+    }
+    return { key: 'star', ...planetarySystem.star, sources: Object.keys(planetarySystem.planets) };
+  }
+  
+  target = target ?? 'sun';
+  const definition = TARGET_BODIES[target];
+  if (!definition) {
+    throw new Error(`Unknown FTRT target body: ${target}`);
+  }
+  return { key: target, ...definition };
+};
+
+/**
+ * Mass of any tide-raising body
+ */
+const getBodyMass = (name, system) => {
+  if (name === 'moon') return MOON.mass;
+  if (name === 'sun') return SUN_MASS;
+  return (system ? system.planets : PLANETS)[name].mass;
+};
+
+/**
+ * Positions of a target's tide-raising bodies relative to the target centre
+ * Planets come from the ephemeris provider (star-centred); for Earth the
+ * provider's Earth-Moon barycentre is shifted to the geocentre and the Moon
+ * comes from the analytic lunar theory
+ * @returns {Object} Map of body -> {x, y, z, distance (AU), longitude, latitude}
+ */
+const getTargetRelativePositions = (target, julianDay, provider) => {
+  const positions = {};
+  
+  if (target.key !== 'earth') {
+    target.sources.forEach(name => {
+      positions[name] = provider.getPosition(name, julianDay);
+    });
+    return positions;
+  }
+  
+  const barycentre = provider.getPosition('earth', julianDay);
+  const moon = calculateMoonPosition(julianDay);
+  const moonShare = MOON.mass / (MOON.mass + PLANETS.earth.mass);
+  const origin = ['x', 'y', 'z'].map(axis => barycentre[axis] - moon[axis] * moonShare);
   
-  return tidalForce;
+  target.sources.forEach(name => {
+    if (name === 'moon') {
+      positions.moon = moon;
+      return;
+    }
+    const heliocentric = name === 'sun' ? { x: 0, y: 0, z: 0 } : provider.getPosition(name, julianDay);
+    positions[name] = toRelativePosition([
+      heliocentric.x - origin[0],
+      heliocentric.y - origin[1],
+      heliocentric.z - origin[2]
+    ]);
+  });
+  return positions;
+};
+
+/**
+ * Position record (AU, degrees) from a relative vector in AU
+ */
+const toRelativePosition = ([x, y, z]) => {
+  const distance = Math.hypot(x, y, z);
+  return {
+    x,
+    y,
+    z,
+    distance,
+    longitude: (Math.atan2(y, x) * 180 / Math.PI + 360) % 360,
+    latitude: Math.asin(z / distance) * 180 / Math.PI
+  };
+};
+
+/**
+ * Lunar configuration relevant to terrestrial tides: syzygy (new/full Moon),
+ * perigee and the 18.6-year nodal cycle
+ * @param {number} julianDay - Julian Date
+ * @param {Object} positions - Geocentric positions including moon and sun
+ * @returns {Object} Lunar state
+ */
+const describeLunarState = (julianDay, positions) => {
+  const { moon, sun } = positions;
+  const args = getLunarArguments(julianDay);
+  const phaseAngle = ((moon.longitude - sun.longitude) % 360 + 360) % 360;
+  const fromSyzygy = Math.min(phaseAngle % 180, 180 - (phaseAngle % 180));
+  const syzygy = fromSyzygy <= 15 ? (phaseAngle < 90 || phaseAngle > 270 ? 'new' : 'full') : null;
+  // Within ±30° of perigee in mean anomaly (about 2.3 days either side)
+  const perigee = Math.abs(normalizeDegrees(args.meanAnomaly)) <= 30;
+  
+  return {
+    phaseAngle,
+    syzygy,
+    distanceKm: moon.distance * AU / 1000,
+    perigee,
+    perigeanSpringTide: Boolean(syzygy) && perigee,
+    nodeLongitude: args.nodeLongitude,
+    // 0 when the ascending node is at the vernal equinox (maximum lunar declination range)
+    nodalCyclePhase: ((360 - args.nodeLongitude) % 360) / 360
+  };
 };
 
 /**
  * Calculate total FTRT index for a specific date
+ * Tides are combined as tensors, so bodies on opposite sides of the target
+ * reinforce along the tidal axis while perpendicular ones partly cancel
+ * @param {Date} date - Date to evaluate
+ * @param {Object} options - {provider: ephemeris provider id or object,
+ *   target: body receiving the tides, 'sun' (default) or 'earth',
+ *   metric: 'tidal' (default) or 'barycentric' (solar angular-momentum index),
+ *   normalization: scheme name or {scheme, climatology} (default percentile),
+ *   system: planetary system id or loaded system (default solar); other systems
+ *   use their own Keplerian orbits and the host star as target}
+ * The first call with a relative scheme (percentile, zscore, minmax) and no
+ * explicit climatology builds the reference climatology for the provider, target
+ * and metric: about 7,300 evaluations for the solar system (1950-2050 every 5
+ * days), cached afterwards.
+ */
+export const calculateFTRT = (date, options = {}) => {
+  const context = resolveContext(options);
+  return calculateFTRTAtJulianDay(dateToJulianDate(date), context, date.toISOString());
+};
+
+/**
+ * Forcing metrics sharing the FTRT result and time-series structure
+ * - tidal: net tidal magnitude on the target (value = totalForce)
+ * - barycentric: magnitude of the rate of change of the Sun's orbital angular
+ *   momentum about the barycentre (value = |dL/dt|, N·m; Sun target only, relative
+ *   normalization schemes only)
+ */
+export const FTRT_METRICS = ['tidal', 'barycentric'];
+
+/**
+ * Resolve system, provider, target, metric and normalization once for repeated evaluations
+ */
+const resolveContext = options => {
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const target = getTargetBody(options.target, system);
+  const metric = resolveMetric(options.metric, target.key);
+  const normalization = resolveNormalization(options.normalization, provider, target.key, metric, system);
+  return { system, provider, target, metric, normalization };
+};
+
+/**
+ * Validate a metric for a target
+ */
+const resolveMetric = (metric = 'tidal', target = 'sun') => {
+  if (!FTRT_METRICS.includes(metric)) {
+    throw new Error(`Unknown FTRT metric: ${metric}`);
+  }
+  if (metric === 'barycentric' && target !== 'sun') {
+    throw new Error('The barycentric metric is only defined for the Sun');
+  }
+  return metric;
+};
+
+/**
+ * FTRT at a Julian Date for an already resolved context
+ */
+const calculateFTRTAtJulianDay = (julianDay, context, isoDate) => {
+  const { system, provider, target, normalization } = context;
+  if (context.metric === 'barycentric') {
+    return calculateBarycentricResult(julianDay, context, isoDate);
+  }
+  const positions = getTargetRelativePositions(target, julianDay, provider);
+  
+  return calculateFTRTFromPositions(positions, {
+    date: isoDate ?? julianDateToDate(julianDay).toISOString(),
+    julianDay,
+    ephemeris: provider.id,
+    system,
+    target: target.key,
+    lunar: target.key === 'earth' ? describeLunarState(julianDay, positions) : null,
+    normalization
+  });
+};
+
+/**
+ * Barycentric-metric result in the common FTRT structure
  */
-export const calculateFTRT = (date) => {
-  const julianDay = dateToJulianDay(date);
+const calculateBarycentricResult = (julianDay, context, isoDate) => {
+  const { provider, normalization } = context;
+  const state = calculateSolarBarycentricState(julianDay, { provider });
+  const value = Math.hypot(...state.angularMomentumRate);
+  const { scheme, climatology } = normalization;
+  const totalShift = Object.values(state.contributions).reduce((sum, c) => sum + c, 0);
   
-  const forces = {};
-  let totalForce = 0;
+  return {
+    date: isoDate ?? julianDateToDate(julianDay).toISOString(),
+    julianDay,
+    system: SOLAR_SYSTEM_ID,
+    target: 'sun',
+    metric: 'barycentric',
+    value,
+    normalizedIndex: normalizeTidalMagnitude(value, scheme, climatology),
+    normalization: { scheme, reference: climatology ? climatology.id : null },
+    barycentric: {
+      position: state.position,
+      velocity: state.velocity,
+      distance: state.distance,
+      distanceSolarRadii: state.distanceSolarRadii,
+      speed: state.speed,
+      angularMomentum: state.angularMomentum,
+      angularMomentumRate: state.angularMomentumRate,
+      dLdt: state.dLdt,
+      contributions: state.contributions
+    },
+    dominantPlanet: state.dominantPlanet,
+    dominantForcePercentage: (state.contributions[state.dominantPlanet] / totalShift) * 100,
+    ephemeris: provider.id
+  };
+};
+
+// Reference climatologies by ephemeris provider id, metric and target
+// (custom systems have their own provider id)
+const climatologyCache = new Map();
+
+/**
+ * Reference FTRT climatology: raw metric values (net tidal magnitudes by
+ * default) sampled over the system's reference period (FTRT_REFERENCE_PERIOD
+ * for the solar system) with the given provider and target. Computed on first
+ * use and cached per provider, metric and target.
+ * @param {Object} options - {provider, target, metric, system}
+ * @returns {Object} Climatology (see buildClimatology) with id, period, ephemeris,
+ *   target and metric
+ */
+export const getReferenceClimatology = (options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const target = getTargetBody(options.target, system);
+  const metric = resolveMetric(options.metric, target.key);
+  const key = metric === 'tidal' ? `${provider.id}/${target.key}` : `${provider.id}/${target.key}/${metric}`;
+  if (climatologyCache.has(key)) {
+    return climatologyCache.get(key);
+  }
   
-  // Calculate force from each planet
-  Object.keys(PLANETS).forEach(planetName => {
-    const force = calculatePlanetaryTidalForce(planetName, julianDay);
+  const { start, end, stepDays } = system.referencePeriod;
+  const context = { system, provider, target, metric, normalization: { scheme: 'legacy', climatology: null } };
+  const startJD = dateToJulianDate(new Date(start));
+  const endJD = dateToJulianDate(new Date(end));
+  const values = [];
+  for (let jd = startJD; jd <= endJD; jd += stepDays) {
+    values.push(calculateFTRTAtJulianDay(jd, context).value);
+  }
+  
+  const climatology = buildClimatology(values, {
+    id: `${key}:${start.slice(0, 10)}/${end.slice(0, 10)}@${stepDays}d`,
+    period: { ...system.referencePeriod },
+    ephemeris: provider.id,
+    target: target.key,
+    metric
+  });
+  climatologyCache.set(key, climatology);
+  return climatology;
+};
+
+/**
+ * Resolve a normalization option into {scheme, climatology}
+ * Relative schemes without an explicit climatology use the reference one for
+ * the provider and target
+ * @param {string|Object} normalization - Scheme name or {scheme, climatology}
+ * @param {string|Object} provider - Ephemeris provider for the reference climatology
+ * @param {string} target - Target body for the reference climatology (default 'sun')
+ * @param {string} metric - Metric for the reference climatology (default 'tidal')
+ * @param {string|Object} system - Planetary system of the reference climatology (default solar)
+ * @returns {Object} {scheme, climatology}
+ */
+export const resolveNormalization = (normalization, provider, target, metric, system) => {
+  const requested = typeof normalization === 'string' ? { scheme: normalization } : (normalization ?? {});
+  const definition = getNormalizationScheme(requested.scheme ?? DEFAULT_NORMALIZATION);
+  // The legacy divisor is a tidal force; |dL/dt| would always clamp to 1
+  if (definition.name === 'legacy' && metric === 'barycentric') {
+    throw new Error('The barycentric metric needs a relative normalization scheme, not legacy');
+  }
+  const climatology = definition.requiresClimatology
+    ? requested.climatology ?? getReferenceClimatology({ provider, target, metric, system })
+    : null;
+  return { scheme: definition.name, climatology };
+};
+
+/**
+ * Build the FTRT result for an explicit set of body positions relative to the target
+ * @param {Object} planetPositions - Map of body name -> {x, y, z, distance} in AU
+ * @param {Object} meta - Fields copied onto the result (date, julianDay, ephemeris,
+ *   lunar), system (default solar), target (default 'sun'), normalization
+ *   ({scheme, climatology} or scheme name; default percentile) and provider
+ *   (ephemeris provider id or object whose reference climatology normalizes the
+ *   result when the normalization carries none; default analytic)
+ * @returns {Object} FTRT result; dominantPlanet may be 'moon' or 'sun' for Earth
+ */
+export const calculateFTRTFromPositions = (planetPositions, meta = {}) => {
+  const system = getPlanetarySystem(meta.system);
+  const target = getTargetBody(meta.target, system);
+  const { scheme, climatology } = resolveNormalization(
+    meta.normalization, meta.provider, target.key, undefined, system
+  );
+  const forces = {};
+  const positions = {};
+  const sources = [];
+  let scalarSum = 0;
+  
+  // Target-centred vector and tidal magnitude for each body
+  Object.keys(planetPositions).forEach(planetName => {
+    const position = planetPositions[planetName];
+    const mass = getBodyMass(planetName, system);
+    const force = tidalForceAtDistance(mass, position.distance * AU, target.radius);
     forces[planetName] = force;
-    totalForce += force;
+    positions[planetName] = {
+      longitude: position.longitude,
+      latitude: position.latitude,
+      distanceAU: position.distance
+    };
+    sources.push({
+      name: planetName,
+      mass,
+      vector: [position.x * AU, position.y * AU, position.z * AU]
+    });
+    scalarSum += force;
   });
   
+  const field = analyzeTidalField(sources, target.radius);
+  const totalForce = field.magnitude;
+  
   // Find dominant planet (highest contribution)
   const dominantPlanet = Object.keys(forces).reduce((max, planet) => 
     forces[planet] > forces[max] ? planet : max
   );
   
-  // Normalize to 0-1 scale
-  const normalizedIndex = Math.min(totalForce / FTRT_REFERENCE_FORCE, 1);
+  const normalizedIndex = normalizeTidalMagnitude(totalForce, scheme, climatology);
   
   return {
-    date: date.toISOString(),
-    julianDay,
+    date: meta.date,
+    julianDay: meta.julianDay,
+    system: system.id,
+    target: target.key,
+    metric: 'tidal',
+    value: totalForce,
     totalForce,
     normalizedIndex,
+    normalization: { scheme, reference: climatology ? climatology.id : null },
     individualForces: forces,
+    individualVectors: field.contributions,
+    tidalField: {
+      magnitude: field.magnitude,
+      axis: field.axis,
+      axisLongitude: field.axisLongitude,
+      axisLatitude: field.axisLatitude,
+      eigenvalues: field.eigenvalues,
+      scalarSum
+    },
+    positions,
     dominantPlanet,
-    dominantForcePercentage: (forces[dominantPlanet] / totalForce) * 100
+    dominantForcePercentage: (forces[dominantPlanet] / scalarSum) * 100,
+    lunar: meta.lunar ?? null,
+    ephemeris: meta.ephemeris
   };
 };
 
 /**
  * Calculate FTRT time series over a date range
+ * Materializes every result; prefer iterateFTRTChunks / streamFTRTTimeSeries
+ * for long ranges or fine steps
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {number} stepDays - Sampling step in days (fractional for sub-daily)
+ * @param {Object} options - {provider, system, target, metric, normalization}
+ * @returns {Array<Object>} FTRT results
  */
-export const calculateFTRTTimeSeries = (startDate, endDate, stepDays = 30) => {
+export const calculateFTRTTimeSeries = (startDate, endDate, stepDays = 30, options = {}) => {
   const series = [];
-  const currentDate = new Date(startDate);
-  
-  while (currentDate <= endDate) {
-    series.push(calculateFTRT(new Date(currentDate)));
-    currentDate.setDate(currentDate.getDate() + stepDays);
+  for (const chunk of iterateFTRTChunks(startDate, endDate, { ...options, stepDays, includeResults: true })) {
+    series.push(...chunk.results);
   }
-  
   return series;
 };
 
 /**
- * Detect FTRT peaks (potential evolutionary trigger windows)
+ * Solar barycentric-motion time series in the FTRT series structure
+ * Each sample carries the Sun's barycentric position, velocity, distance and
+ * dL/dt under `barycentric`, with the normalized |dL/dt| as normalizedIndex
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {number} stepDays - Sampling step in days
+ * @param {Object} options - {provider, normalization}
+ * @returns {Array<Object>} Barycentric results
+ */
+export const calculateBarycentricTimeSeries = (startDate, endDate, stepDays = 30, options = {}) => {
+  return calculateFTRTTimeSeries(startDate, endDate, stepDays, { ...options, metric: 'barycentric' });
+};
+
+/**
+ * Generate an FTRT time series in fixed-size columnar chunks
+ * Samples sit at startJD + n·stepDays, so sub-daily steps do not drift and
+ * only one chunk of results is alive at a time
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {Object} options - {stepDays: days, may be fractional (default 30),
+ *   chunkSize: samples per chunk (default 1024), provider, system, target, metric, normalization,
+ *   signal: AbortSignal checked between samples,
+ *   includeResults: also attach the full result objects to each chunk,
+ *   onChunk: callback invoked with each chunk before it is yielded}
+ * @yields {Object} Chunk {offset, length, total (samples in the range), system,
+ *   target, planets (tide-raising bodies),
+ *   metric, normalization (scheme name), julianDay, value (raw metric),
+ *   normalizedIndex, axisLongitude (Float64Array; NaN for non-tidal metrics), dominantPlanet (Uint8Array
+ *   of indices into planets), results?}
  */
-export const detectFTRTPeaks = (ftrtSeries, threshold = 0.7) => {
-  const peaks = [];
+export function* iterateFTRTChunks(startDate, endDate, options = {}) {
+  const { stepDays = 30, chunkSize = 1024, signal, includeResults = false, onChunk } = options;
+  if (!(stepDays > 0)) {
+    throw new Error(`Invalid FTRT step: ${stepDays} days`);
+  }
   
-  for (let i = 1; i < ftrtSeries.length - 1; i++) {
-    const current = ftrtSeries[i].normalizedIndex;
-    const previous = ftrtSeries[i - 1].normalizedIndex;
-    const next = ftrtSeries[i + 1].normalizedIndex;
+  const context = resolveContext(options);
+  const planets = context.target.sources;
+  const startJD = dateToJulianDate(startDate);
+  const endJD = dateToJulianDate(endDate);
+  // Small epsilon keeps the end sample despite floating-point accumulation
+  const total = Math.max(0, Math.floor((endJD - startJD) / stepDays + 1e-9) + 1);
+  
+  for (let offset = 0; offset < total; offset += chunkSize) {
+    const length = Math.min(chunkSize, total - offset);
+    const chunk = {
+      offset,
+      length,
+      total,
+      planets,
+      system: context.system.id,
+      target: context.target.key,
+      metric: context.metric,
+      normalization: context.normalization.scheme,
+      julianDay: new Float64Array(length),
+      value: new Float64Array(length),
+      normalizedIndex: new Float64Array(length),
+      axisLongitude: new Float64Array(length),
+      dominantPlanet: new Uint8Array(length),
+      results: includeResults ? [] : undefined
+    };
     
-    // Peak detection: current > threshold AND local maximum
-    if (current > threshold && current > previous && current > next) {
-      peaks.push({
-        date: ftrtSeries[i].date,
-        julianDay: ftrtSeries[i].julianDay,
-        index: current,
-        dominantPlanet: ftrtSeries[i].dominantPlanet,
-        type: 'ftrt_peak',
-        significance: current > 0.85 ? 'extreme' : current > 0.75 ? 'high' : 'moderate'
-      });
+    for (let i = 0; i < length; i++) {
+      throwIfAborted(signal);
+      const julianDay = startJD + (offset + i) * stepDays;
+      const result = calculateFTRTAtJulianDay(julianDay, context);
+      chunk.julianDay[i] = julianDay;
+      chunk.value[i] = result.value;
+      chunk.normalizedIndex[i] = result.normalizedIndex;
+      chunk.axisLongitude[i] = result.tidalField ? result.tidalField.axisLongitude : NaN;
+      chunk.dominantPlanet[i] = planets.indexOf(result.dominantPlanet);
+      if (includeResults) chunk.results.push(result);
     }
+    
+    if (onChunk) onChunk(chunk);
+    yield chunk;
+  }
+}
+
+/**
+ * Asynchronous FTRT stream; yields to the event loop between chunks so long
+ * ranges do not block rendering
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {Object} options - iterateFTRTChunks options
+ * @yields {Object} Columnar chunks as produced by iterateFTRTChunks
+ */
+export async function* streamFTRTTimeSeries(startDate, endDate, options = {}) {
+  const { signal } = options;
+  for (const chunk of iterateFTRTChunks(startDate, endDate, options)) {
+    yield chunk;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    throwIfAborted(signal);
+  }
+}
+
+/**
+ * Abort a stream with the signal's reason
+ */
+const throwIfAborted = signal => {
+  if (signal?.aborted) {
+    throw signal.reason ?? new Error('FTRT stream aborted');
+  }
+};
+
+/**
+ * Detect FTRT peaks (potential evolutionary trigger windows)
+ * Accepts an array of FTRT results or an iterable of columnar chunks; chunks are
+ * reduced to compact index/date columns as they arrive. Peaks come from the
+ * shared prominence-aware peak finder, and thresholds are read in the
+ * normalization scheme recorded on the data.
+ * @param {Array<Object>|Iterable<Object>} ftrtSeries - Results or chunks
+ * @param {number} threshold - Normalized index a peak must strictly exceed
+ *   (default: the scheme's peak threshold)
+ * @param {Object} options - {prominence: minimum prominence in index units,
+ *   width: minimum half-prominence width in days, distance: minimum separation
+ *   in days, includeEdges}
+ * @returns {Array<Object>} Peaks with prominence, width and start/end dates
+ */
+export const detectFTRTPeaks = (ftrtSeries, threshold = null, options = {}) => {
+  if (Array.isArray(ftrtSeries)) {
+    const columns = createPeakColumns(ftrtSeries[0]?.normalization?.scheme);
+    ftrtSeries.forEach(d => columns.push(d.julianDay, d.normalizedIndex, d.dominantPlanet));
+    return columns.findPeaks(threshold, options);
   }
   
-  return peaks;
+  let columns = null;
+  for (const chunk of ftrtSeries) {
+    columns = columns ?? createPeakColumns(chunk.normalization);
+    pushChunk(columns, chunk);
+  }
+  return columns ? columns.findPeaks(threshold, options) : [];
+};
+
+/**
+ * Feed a columnar chunk into peak columns
+ */
+const pushChunk = (columns, chunk) => {
+  for (let i = 0; i < chunk.length; i++) {
+    columns.push(chunk.julianDay[i], chunk.normalizedIndex[i], chunk.planets[chunk.dominantPlanet[i]]);
+  }
+};
+
+/**
+ * Minimal per-sample record (Julian Day, index, dominant planet) for peak finding
+ * Results without a recorded scheme predate normalization schemes and are legacy
+ */
+const createPeakColumns = (scheme = 'legacy') => {
+  const julianDays = [];
+  const values = [];
+  const dominant = [];
+  
+  return {
+    push(julianDay, index, dominantPlanet) {
+      julianDays.push(julianDay);
+      values.push(index);
+      dominant.push(dominantPlanet);
+    },
+    findPeaks(threshold, options = {}) {
+      if (values.length < 3) return [];
+      const stepDays = (julianDays[julianDays.length - 1] - julianDays[0]) / (julianDays.length - 1);
+      const height = threshold ?? getNormalizationScheme(scheme).thresholds.peak;
+      const peaks = findPeaks(values, {
+        height,
+        prominence: options.prominence,
+        width: options.width === undefined ? undefined : options.width / stepDays,
+        distance: options.distance === undefined ? undefined : Math.ceil(options.distance / stepDays),
+        includeEdges: options.includeEdges
+      }).filter(peak => peak.value > height);
+      
+      return peaks.map(peak => {
+        const startJulianDay = interpolateAt(julianDays, peak.left);
+        const endJulianDay = interpolateAt(julianDays, peak.right);
+        return {
+          date: julianDateToDate(julianDays[peak.index]).toISOString(),
+          julianDay: julianDays[peak.index],
+          index: peak.value,
+          dominantPlanet: dominant[peak.index],
+          type: 'ftrt_peak',
+          significance: classifySignificance(peak.value, scheme),
+          prominence: peak.prominence,
+          width: endJulianDay - startJulianDay,
+          start: julianDateToDate(startJulianDay).toISOString(),
+          end: julianDateToDate(endJulianDay).toISOString(),
+          startJulianDay,
+          endJulianDay
+        };
+      });
+    }
+  };
 };
 
 /**
  * Calculate planetary alignment score
- * Higher score = more planets aligned on same side of Sun
+ * Circular statistics on doubled heliocentric longitudes: tides are symmetric
+ * under a 180° rotation, so conjunctions and oppositions both count as aligned
+ * @param {Date} date - Date to evaluate
+ * @param {Object} options - {provider, system, weighted: weight planets by tidal contribution,
+ *   clusterTolerance: max deviation (degrees) from the mean axis for cluster members}
  */
-export const calculateAlignmentScore = (date) => {
-  const julianDay = dateToJulianDay(date);
+export const calculateAlignmentScore = (date, options = {}) => {
+  const { weighted = false, clusterTolerance = 30 } = options;
+  const julianDay = dateToJulianDate(date);
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const planetNames = Object.keys(system.planets);
   const angles = [];
+  const weights = [];
   
-  // Calculate angular position of each planet
-  Object.keys(PLANETS).forEach(planetName => {
-    const planet = PLANETS[planetName];
-    const angle = (2 * Math.PI * julianDay / planet.period) % (2 * Math.PI);
-    angles.push(angle);
+  // Star-centred longitude and tidal weight of each planet
+  planetNames.forEach(planetName => {
+    const position = provider.getPosition(planetName, julianDay);
+    angles.push(position.longitude * Math.PI / 180);
+    weights.push(tidalForceAtDistance(system.planets[planetName].mass, position.distance * AU, system.star.radius));
   });
   
-  // Calculate mean angle
-  const meanAngle = angles.reduce((sum, angle) => sum + angle, 0) / angles.length;
-  
-  // Calculate angular dispersion (variance)
-  const dispersion = angles.reduce((sum, angle) => {
-    return sum + Math.pow(angle - meanAngle, 2);
-  }, 0) / angles.length;
-  
-  // Convert dispersion to alignment score (0-1)
-  // Lower dispersion = higher alignment
-  const alignmentScore = 1 - (Math.sqrt(dispersion) / Math.PI);
+  const axial = axialStatistics(angles, weighted ? weights : null);
+  const alignmentScore = axial.resultantLength;
+  const axisLongitude = axial.meanAxis * 180 / Math.PI;
+  
+  // Planets lying along the mean tidal axis (either side of the Sun)
+  const planets = {};
+  const cluster = [];
+  planetNames.forEach((planetName, i) => {
+    const longitude = angles[i] * 180 / Math.PI;
+    const deviation = Math.abs(normalizeDegrees(2 * (longitude - axisLongitude))) / 2;
+    const side = Math.abs(normalizeDegrees(longitude - axisLongitude)) <= 90 ? 'near' : 'far';
+    planets[planetName] = { longitude, deviation, side, weight: weights[i] };
+    if (deviation <= clusterTolerance) cluster.push(planetName);
+  });
   
   return {
-    score: Math.max(0, Math.min(1, alignmentScore)),
-    meanAngle,
-    dispersion,
+    system: system.id,
+    score: alignmentScore,
+    meanAngle: axial.meanAxis,
+    dispersion: axial.variance,
+    axisLongitude,
+    weighted,
+    cluster,
+    planets,
     interpretation: alignmentScore > 0.7 ? 'High alignment' : 
                     alignmentScore > 0.5 ? 'Moderate alignment' : 'Low alignment'
   };
@@ -145,10 +706,13 @@ export const calculateAlignmentScore = (date) => {
 
 /**
  * Correlate FTRT with solar activity data
+ * @param {Object} options - {variable: solar record field to correlate with
+ *   (default 'sunspots'; e.g. 'flux', or 'flareCount' for a buildFlareCatalog
+ *   series), windowMs: date matching window (default 30 days)}
  */
-export const correlateFTRTWithSolar = (ftrtData, solarData) => {
+export const correlateFTRTWithSolar = (ftrtData, solarData, options = {}) => {
+  const { variable = 'sunspots', windowMs = 30 * 24 * 60 * 60 * 1000 } = options;
   const matched = [];
-  const windowMs = 30 * 24 * 60 * 60 * 1000; // 30 days
   
   ftrtData.forEach(ftrt => {
     const ftrtDate = new Date(ftrt.date);
@@ -156,7 +720,7 @@ export const correlateFTRTWithSolar = (ftrtData, solarData) => {
     // Find matching solar data within time window
     const solar = solarData.find(s => {
       const solarDate = new Date(s.date);
-      return Math.abs(solarDate - ftrtDate) < windowMs;
+      return Math.abs(solarDate - ftrtDate) < windowMs && Number.isFinite(s[variable]);
     });
     
     if (solar) {
@@ -164,7 +728,8 @@ export const correlateFTRTWithSolar = (ftrtData, solarData) => {
         date: ftrt.date,
         ftrt: ftrt.normalizedIndex,
         sunspots: solar.sunspots,
-        flux: solar.flux
+        flux: solar.flux,
+        value: solar[variable]
       });
     }
   });
@@ -179,12 +744,14 @@ export const correlateFTRTWithSolar = (ftrtData, solarData) => {
   
   // Calculate Pearson correlation
   const ftrtValues = matched.map(m => m.ftrt);
-  const sunspotValues = matched.map(m => m.sunspots);
+  const solarValues = matched.map(m => m.value);
   
-  const correlation = pearsonCorrelation(ftrtValues, sunspotValues);
+  const correlation = pearsonCorrelation(ftrtValues, solarValues);
   
   return {
     correlation,
+    metric: ftrtData[0]?.metric ?? 'tidal',
+    variable,
     dataPoints: matched.length,
     matched,
     confidence: matched.length / ftrtData.length,
@@ -197,10 +764,12 @@ export const correlateFTRTWithSolar = (ftrtData, solarData) => {
 /**
  * Calculate synodic period between two planets
  * (time between successive alignments)
+ * @param {Object} options - {system: planetary system id or object (default solar)}
  */
-export const calculateSynodicPeriod = (planet1Name, planet2Name) => {
-  const p1 = PLANETS[planet1Name];
-  const p2 = PLANETS[planet2Name];
+export const calculateSynodicPeriod = (planet1Name, planet2Name, options = {}) => {
+  const { planets } = getPlanetarySystem(options.system);
+  const p1 = planets[planet1Name];
+  const p2 = planets[planet2Name];
   
   if (!p1 || !p2) return null;
   
@@ -219,42 +788,120 @@ export const calculateSynodicPeriod = (planet1Name, planet2Name) => {
 
 /**
  * Find next planetary alignment date
+ * Exact heliocentric conjunction or opposition, whichever comes first, found by
+ * root-finding on the longitude difference; threshold (radians) sets the angular
+ * tolerance of the reported alignment window
+ * @param {Object} options - {provider, system}
+ * @returns {Object|null} {date, type: 'conjunction' | 'opposition', planets, daysUntil,
+ *   angularSeparation (degrees from exact alignment), window}
  */
-export const findNextAlignment = (currentDate, planet1Name, planet2Name, threshold = 0.1) => {
-  const synodic = calculateSynodicPeriod(planet1Name, planet2Name);
+export const findNextAlignment = (currentDate, planet1Name, planet2Name, threshold = 0.1, options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const synodic = calculateSynodicPeriod(planet1Name, planet2Name, { system });
   if (!synodic) return null;
   
-  // Approximate next alignment based on synodic period
-  const daysToAlignment = synodic.synodicPeriod;
-  const nextAlignment = new Date(currentDate);
-  nextAlignment.setDate(nextAlignment.getDate() + daysToAlignment);
+  const startJD = dateToJulianDate(currentDate);
+  const endJD = startJD + synodic.synodicPeriod * 1.2;
+  const searchOptions = { provider: options.provider, system };
+  const candidates = [
+    { type: 'conjunction', offset: 0 },
+    { type: 'opposition', offset: 180 }
+  ].map(candidate => ({
+    ...candidate,
+    julianDay: findLongitudeDifferenceRoots(
+      planet1Name, planet2Name, startJD, endJD, { ...searchOptions, offset: candidate.offset }
+    )[0]
+  })).filter(candidate => candidate.julianDay !== undefined);
+  if (candidates.length === 0) return null;
+  const { type, offset, julianDay: alignmentJD } = candidates.reduce(
+    (first, candidate) => candidate.julianDay < first.julianDay ? candidate : first
+  );
+  
+  // Window during which the pair stays within the tolerance
+  const toleranceDeg = threshold * 180 / Math.PI;
+  const halfWidth = toleranceDeg /
+    Math.abs(getPlanetMeanMotion(planet1Name, system) - getPlanetMeanMotion(planet2Name, system));
+  const edges = [toleranceDeg, -toleranceDeg].flatMap(delta => findLongitudeDifferenceRoots(
+    planet1Name, planet2Name, alignmentJD - 2 * halfWidth, alignmentJD + 2 * halfWidth,
+    { ...searchOptions, offset: offset + delta }
+  ));
+  const before = edges.filter(jd => jd <= alignmentJD);
+  const after = edges.filter(jd => jd >= alignmentJD);
+  
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const separation = normalizeDegrees(
+    provider.getPosition(planet1Name, alignmentJD).longitude -
+    provider.getPosition(planet2Name, alignmentJD).longitude - offset
+  );
+  
+  const daysToAlignment = alignmentJD - startJD;
+  const nextAlignment = new Date(currentDate.getTime() + daysToAlignment * 86400000);
   
   return {
     date: nextAlignment,
+    type,
     planets: [planet1Name, planet2Name],
-    daysUntil: daysToAlignment
+    daysUntil: daysToAlignment,
+    angularSeparation: Math.abs(separation),
+    window: {
+      start: before.length ? julianDateToDate(Math.max(...before)) : null,
+      end: after.length ? julianDateToDate(Math.min(...after)) : null,
+      toleranceDegrees: toleranceDeg
+    }
   };
 };
 
 /**
  * Generate comprehensive FTRT report for a time period
+ * Statistics are accumulated chunk by chunk from the FTRT stream; only the
+ * index column is retained for peak finding, unless the full series is requested
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {Object} options - {provider, system, target, metric, normalization, stepDays (default 30),
+ *   threshold (default: the scheme's peak threshold), peaks: detectFTRTPeaks options,
+ *   includeTimeSeries: keep full results in report.timeSeries (default false: null), signal,
+ *   onChunk: progress callback receiving each columnar chunk}
  */
-export const generateFTRTReport = (startDate, endDate) => {
-  const timeSeries = calculateFTRTTimeSeries(startDate, endDate, 30);
-  const peaks = detectFTRTPeaks(timeSeries, 0.7);
+export const generateFTRTReport = (startDate, endDate, options = {}) => {
+  const { stepDays = 30, threshold = null, includeTimeSeries = false } = options;
+  const { system, provider, target, metric, normalization } = resolveContext(options);
+  const peakColumns = createPeakColumns(normalization.scheme);
+  const timeSeries = includeTimeSeries ? [] : null;
+  const planetCounts = {};
+  let count = 0;
+  let sum = 0;
+  let maxFTRT = -Infinity;
+  let minFTRT = Infinity;
+  
+  const chunks = iterateFTRTChunks(startDate, endDate, {
+    ...options,
+    provider,
+    system,
+    target: target.key,
+    metric,
+    normalization,
+    stepDays,
+    includeResults: includeTimeSeries
+  });
+  for (const chunk of chunks) {
+    pushChunk(peakColumns, chunk);
+    for (let i = 0; i < chunk.length; i++) {
+      const value = chunk.normalizedIndex[i];
+      const planet = chunk.planets[chunk.dominantPlanet[i]];
+      sum += value;
+      maxFTRT = Math.max(maxFTRT, value);
+      minFTRT = Math.min(minFTRT, value);
+      planetCounts[planet] = (planetCounts[planet] || 0) + 1;
+    }
+    count += chunk.length;
+    if (includeTimeSeries) timeSeries.push(...chunk.results);
+  }
   
   // Statistical analysis
-  const values = timeSeries.map(d => d.normalizedIndex);
-  const avgFTRT = values.reduce((sum, val) => sum + val, 0) / values.length;
-  const maxFTRT = Math.max(...values);
-  const minFTRT = Math.min(...values);
+  const peaks = peakColumns.findPeaks(threshold, options.peaks);
+  const avgFTRT = sum / count;
   
   // Dominant planet analysis
-  const planetCounts = {};
-  timeSeries.forEach(d => {
-    planetCounts[d.dominantPlanet] = (planetCounts[d.dominantPlanet] || 0) + 1;
-  });
-  
   const mostInfluentialPlanet = Object.keys(planetCounts).reduce((a, b) => 
     planetCounts[a] > planetCounts[b] ? a : b
   );
@@ -264,7 +911,15 @@ export const generateFTRTReport = (startDate, endDate) => {
       start: startDate.toISOString(),
       end: endDate.toISOString(),
       days: Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24)),
-      dataPoints: timeSeries.length
+      dataPoints: count
+    },
+    ephemeris: provider.id,
+    system: system.id,
+    target: target.key,
+    metric,
+    normalization: {
+      scheme: normalization.scheme,
+      reference: normalization.climatology ? normalization.climatology.id : null
     },
     statistics: {
       average: avgFTRT,
@@ -272,31 +927,32 @@ export const generateFTRTReport = (startDate, endDate) => {
       minimum: minFTRT,
       range: maxFTRT - minFTRT,
       peakCount: peaks.length,
-      peakFrequency: peaks.length / timeSeries.length
+      peakFrequency: peaks.length / count
     },
     peaks,
     timeSeries,
     planetaryInfluence: {
       mostInfluential: mostInfluentialPlanet,
-      dominancePercentage: (planetCounts[mostInfluentialPlanet] / timeSeries.length) * 100,
+      dominancePercentage: (planetCounts[mostInfluentialPlanet] / count) * 100,
       distribution: planetCounts
     },
-    interpretation: interpretFTRT(avgFTRT, peaks.length, timeSeries.length)
+    interpretation: interpretFTRT(avgFTRT, peaks.length, count, normalization.scheme)
   };
 };
 
 /**
  * Interpret FTRT values for human understanding
  */
-const interpretFTRT = (avgFTRT, peakCount, totalPoints) => {
+const interpretFTRT = (avgFTRT, peakCount, totalPoints, scheme) => {
   const peakFrequency = peakCount / totalPoints;
+  const { levels } = getNormalizationScheme(scheme);
   
   let activity = '';
-  if (avgFTRT > 0.8) {
+  if (avgFTRT > levels.veryHigh) {
     activity = 'Very high tidal forcing period. Significant potential for solar modulation and evolutionary pressure.';
-  } else if (avgFTRT > 0.6) {
+  } else if (avgFTRT > levels.elevated) {
     activity = 'Elevated tidal forcing. Moderate influence on solar activity and biological systems likely.';
-  } else if (avgFTRT > 0.4) {
+  } else if (avgFTRT > levels.normal) {
     activity = 'Normal tidal forcing levels. Baseline evolutionary conditions expected.';
   } else {
     activity = 'Low tidal forcing. Minimal cosmic influence on biological systems.';
@@ -320,7 +976,15 @@ const interpretFTRT = (avgFTRT, peakCount, totalPoints) => {
 export default {
   calculatePlanetaryTidalForce,
   calculateFTRT,
+  calculateFTRTFromPositions,
+  FTRT_METRICS,
+  getTargetBody,
+  getReferenceClimatology,
+  resolveNormalization,
   calculateFTRTTimeSeries,
+  calculateBarycentricTimeSeries,
+  iterateFTRTChunks,
+  streamFTRTTimeSeries,
   detectFTRTPeaks,
   calculateAlignmentScore,
   correlateFTRTWithSolar,
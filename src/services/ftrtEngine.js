@@ -0,0 +1,234 @@
+/**
+ * FTRT Engine
+ * Computation layer over ftrtCalculator: single-date results are memoized by
+ * Julian Day and model configuration in an LRU cache, and heavy requests
+ * (time series, reports, peak scans, calendar exports, conjunction searches) run in a
+ * worker pool with progress events
+ * and cancellation. Web Workers are used in the browser and worker_threads in
+ * Node; without either, tasks run inline behind the same API.
+ */
+
+import { dateToJulianDate } from '@/utils/dateHelpers';
+import { DEFAULT_NORMALIZATION } from '@/utils/ftrtNormalization';
+import { createLRUCache } from '@/utils/lruCache';
+import { calculateFTRT, getTargetBody } from '@/services/ftrtCalculator';
+import { getPlanetarySystem, getSystemEphemerisProvider } from '@/services/planetarySystems';
+import { runFTRTTask } from '@/services/ftrtTasks';
+import { createWorkerPool, wrapWebWorker, wrapNodeWorker } from '@/services/workerPool';
+
+/**
+ * Workers to start by default: all cores but one, at most four
+ */
+const defaultPoolSize = () => {
+  const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+  return Math.max(1, Math.min(4, cores - 1));
+};
+
+/**
+ * Start a worker for the current environment
+ */
+const createDefaultWorker = () => {
+  if (typeof Worker !== 'undefined') {
+    return wrapWebWorker(new Worker(new URL('../workers/ftrtWorker.js', import.meta.url), { type: 'module' }));
+  }
+  if (typeof process !== 'undefined' && process.versions?.node) {
+    // Variable specifier keeps the browser build from bundling the Node module
+    const specifier = 'node:worker_threads';
+    return import(/* @vite-ignore */ specifier).then(({ Worker: NodeWorker }) =>
+      wrapNodeWorker(new NodeWorker(new URL('../workers/ftrtWorker.node.mjs', import.meta.url)))
+    );
+  }
+  throw new Error('No worker implementation in this environment');
+};
+
+/**
+ * Cache key of a model configuration (system, ephemeris, target, metric,
+ * normalization scheme and reference)
+ */
+const getConfigKey = (options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const provider = getSystemEphemerisProvider(system, options.provider);
+  const normalization = typeof options.normalization === 'string'
+    ? { scheme: options.normalization }
+    : options.normalization ?? {};
+  return [
+    system.id,
+    provider.id,
+    getTargetBody(options.target, system).key,
+    options.metric ?? 'tidal',
+    normalization.scheme ?? DEFAULT_NORMALIZATION,
+    normalization.climatology?.id ?? ''
+  ].join('|');
+};
+
+const getResultKey = (configKey, julianDay) => `${configKey}@${julianDay.toFixed(6)}`;
+
+/**
+ * Options as sent to a task: callbacks and signals stay on this side
+ */
+const toTaskOptions = (options = {}) => {
+  const copy = { ...options };
+  delete copy.signal;
+  delete copy.onChunk;
+  return copy;
+};
+
+/**
+ * Whether task options survive structured cloning into a worker; provider
+ * objects (e.g. loaded Horizons tables) carry functions and run inline.
+ * Calendar options carry providers per event family.
+ */
+const isTransferable = options => [options, options.ftrtPeaks, options.alignments]
+  .every(scope => !scope?.provider || typeof scope.provider === 'string');
+
+const throwIfAborted = signal => {
+  if (signal?.aborted) {
+    throw signal.reason ?? Object.assign(new Error('FTRT task cancelled'), { name: 'AbortError' });
+  }
+};
+
+/**
+ * Create an FTRT engine
+ * @param {Object} config - {cacheSize: cached results (default 10000),
+ *   workers: use a worker pool (default true), poolSize: worker count
+ *   (default cores − 1, at most 4), createWorker: custom worker factory
+ *   returning a wrapWebWorker/wrapNodeWorker handle}
+ * @returns {Object} Engine {calculate, timeSeries, report, peaks, calendar,
+ *   nextConjunction, cacheStats, clearCache, terminate}. Asynchronous methods take a control object
+ *   {onProgress({completed, total, fraction}), signal: AbortSignal}.
+ *   Cached results are shared; treat them as read-only.
+ */
+export const createFTRTEngine = (config = {}) => {
+  const {
+    cacheSize = 10000,
+    workers = true,
+    poolSize = defaultPoolSize(),
+    createWorker = createDefaultWorker
+  } = config;
+  const cache = createLRUCache({ maxSize: cacheSize });
+  let pool = null;
+  let inline = !workers;
+
+  const remember = (configKey, results) => {
+    results.forEach(result => cache.set(getResultKey(configKey, result.julianDay), result));
+  };
+
+  const runInline = async (task, args, { onProgress, signal } = {}) => {
+    throwIfAborted(signal);
+    // Let the caller paint before the computation takes the thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+    throwIfAborted(signal);
+    const withFraction = onProgress &&
+      (progress => onProgress({ ...progress, fraction: progress.completed / progress.total }));
+    return runFTRTTask(task, { ...args, options: { ...args.options, signal } }, { onProgress: withFraction });
+  };
+
+  const run = async (task, args, control = {}) => {
+    if (!inline && isTransferable(args.options)) {
+      pool = pool ?? createWorkerPool({ size: poolSize, createWorker });
+      try {
+        return await pool.run(task, args, control);
+      } catch (error) {
+        if (error.code !== 'WORKER_UNAVAILABLE') throw error;
+        console.warn(`${error.message}; running FTRT tasks inline`);
+        inline = true;
+      }
+    }
+    return runInline(task, args, control);
+  };
+
+  return {
+    /**
+     * Memoized calculateFTRT
+     * @param {Date} date - Date to evaluate
+     * @param {Object} options - calculateFTRT options
+     * @returns {Object} FTRT result
+     */
+    calculate(date, options = {}) {
+      const key = getResultKey(getConfigKey(options), dateToJulianDate(date));
+      const cached = cache.get(key);
+      if (cached) return cached;
+      return cache.set(key, calculateFTRT(date, options));
+    },
+
+    /**
+     * FTRT time series off the main thread; served from the cache when every
+     * sample is already known, and cached sample by sample otherwise
+     * @returns {Promise<Array<Object>>} FTRT results
+     */
+    async timeSeries(startDate, endDate, stepDays = 30, options = {}, control = {}) {
+      const configKey = getConfigKey(options);
+      const startJD = dateToJulianDate(startDate);
+      const total = Math.max(0, Math.floor((dateToJulianDate(endDate) - startJD) / stepDays + 1e-9) + 1);
+      const keys = Array.from({ length: total }, (_, n) => getResultKey(configKey, startJD + n * stepDays));
+      if (keys.every(key => cache.has(key))) {
+        if (control.onProgress) control.onProgress({ completed: total, total, fraction: 1 });
+        return keys.map(key => cache.get(key));
+      }
+
+      const results = await run('timeSeries', { startDate, endDate, stepDays, options: toTaskOptions(options) }, control);
+      remember(configKey, results);
+      return results;
+    },
+
+    /**
+     * generateFTRTReport off the main thread; with options.includeTimeSeries
+     * the report's samples are cached as well
+     * @returns {Promise<Object>} Report (timeSeries is null unless requested)
+     */
+    async report(startDate, endDate, options = {}, control = {}) {
+      const report = await run('report', { startDate, endDate, options: toTaskOptions(options) }, control);
+      if (report.timeSeries) remember(getConfigKey(options), report.timeSeries);
+      return report;
+    },
+
+    /**
+     * Peak scan off the main thread
+     * @param {Object} options - iterateFTRTChunks options plus threshold and
+     *   peaks (detectFTRTPeaks options)
+     * @returns {Promise<Array<Object>>} Peaks
+     */
+    peaks(startDate, endDate, options = {}, control = {}) {
+      const { threshold = null, peaks: peakOptions, ...rest } = options;
+      return run('peaks', { startDate, endDate, options: toTaskOptions(rest), threshold, peakOptions }, control);
+    },
+
+    /**
+     * generateFTRTCalendar off the main thread
+     * @param {Object} options - generateFTRTCalendar options
+     * @returns {Promise<string>} iCalendar text
+     */
+    calendar(startDate, endDate, options = {}, control = {}) {
+      return run('calendar', { startDate, endDate, options: toTaskOptions(options) }, control);
+    },
+
+    /**
+     * findNextConjunction off the main thread
+     * @param {Array<string>} planets - Planet names
+     * @param {Date} fromDate - Search start
+     * @param {Object} options - findNextConjunction options
+     * @returns {Promise<Object|null>} First grouping found, with daysUntil
+     */
+    nextConjunction(planets, fromDate, options = {}, control = {}) {
+      return run('nextConjunction', { planets, fromDate, options: toTaskOptions(options) }, control);
+    },
+
+    cacheStats: () => cache.stats(),
+
+    clearCache() {
+      cache.clear();
+    },
+
+    /**
+     * Stop every worker; the pool is recreated on the next heavy request
+     */
+    terminate() {
+      if (pool) pool.terminate();
+      pool = null;
+    }
+  };
+};
+
+export default {
+  createFTRTEngine
+};
@@ -0,0 +1,95 @@
+/**
+ * FTRT Tasks
+ * Heavy FTRT computations addressed by name, so the same code runs in a Web
+ * Worker, a Node worker thread or inline on the calling thread
+ */
+
+import {
+  calculateFTRTTimeSeries,
+  generateFTRTReport,
+  detectFTRTPeaks,
+  iterateFTRTChunks
+} from '@/services/ftrtCalculator';
+import { generateFTRTCalendar } from '@/services/calendarExport';
+import { findNextConjunction } from '@/services/conjunctionSearch';
+
+/**
+ * Chunk callback reporting {completed, total} samples
+ */
+const progressReporter = onProgress => (onProgress
+  ? chunk => onProgress({ completed: chunk.offset + chunk.length, total: chunk.total })
+  : undefined);
+
+/**
+ * Task implementations; arguments must survive structured cloning
+ * - timeSeries: {startDate, endDate, stepDays, options} -> FTRT results
+ * - report: {startDate, endDate, options} -> generateFTRTReport output (full
+ *   series only with options.includeTimeSeries)
+ * - peaks: {startDate, endDate, options, threshold, peakOptions} -> detectFTRTPeaks output
+ * - calendar: {startDate, endDate, options} -> generateFTRTCalendar text; progress
+ *   and cancellation follow the FTRT peak scan
+ * - nextConjunction: {planets, fromDate, options} -> findNextConjunction output
+ */
+export const FTRT_TASKS = {
+  timeSeries: ({ startDate, endDate, stepDays, options = {} }, onChunk) => {
+    return calculateFTRTTimeSeries(startDate, endDate, stepDays, { ...options, onChunk });
+  },
+  report: ({ startDate, endDate, options = {} }, onChunk) => {
+    return generateFTRTReport(startDate, endDate, { ...options, onChunk });
+  },
+  peaks: ({ startDate, endDate, options = {}, threshold = null, peakOptions }, onChunk) => {
+    return detectFTRTPeaks(iterateFTRTChunks(startDate, endDate, { ...options, onChunk }), threshold, peakOptions);
+  },
+  calendar: ({ startDate, endDate, options = {} }, onChunk) => {
+    const { signal, ftrtPeaks = {}, ...rest } = options;
+    return generateFTRTCalendar(startDate, endDate, {
+      ...rest,
+      ftrtPeaks: ftrtPeaks && { ...ftrtPeaks, signal, onChunk }
+    });
+  },
+  nextConjunction: ({ planets, fromDate, options = {} }) => {
+    return findNextConjunction(planets, fromDate, options);
+  }
+};
+
+/**
+ * Run a named task
+ * @param {string} task - Task name (see FTRT_TASKS)
+ * @param {Object} args - Task arguments
+ * @param {Object} options - {onProgress: callback receiving {completed, total}}
+ * @returns {*} Task result
+ */
+export const runFTRTTask = (task, args, options = {}) => {
+  const implementation = FTRT_TASKS[task];
+  if (!implementation) {
+    throw new Error(`Unknown FTRT task: ${task}`);
+  }
+  return implementation(args, progressReporter(options.onProgress));
+};
+
+/**
+ * Serve tasks over a message port
+ * Messages in: {id, task, args}. Messages out: {type: 'ready'} once attached,
+ * then per task {id, type: 'progress', completed, total}, {id, type: 'result',
+ * result} or {id, type: 'error', error: {message, name}}
+ * @param {Object} port - {post(message), listen(handler)}
+ */
+export const attachFTRTWorker = port => {
+  port.listen(({ id, task, args }) => {
+    try {
+      const result = runFTRTTask(task, args, {
+        onProgress: progress => port.post({ id, type: 'progress', ...progress })
+      });
+      port.post({ id, type: 'result', result });
+    } catch (error) {
+      port.post({ id, type: 'error', error: { message: error.message, name: error.name } });
+    }
+  });
+  port.post({ type: 'ready' });
+};
+
+export default {
+  FTRT_TASKS,
+  runFTRTTask,
+  attachFTRTWorker
+};
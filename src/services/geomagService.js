@@ -3,32 +3,66 @@
  * Manages geomagnetic field data, Kp index, and cosmic ray correlations
  */
 
-import axios from 'axios';
-import { NOAA_BASE_URL, EARTH_MAGNETIC_FIELD_BASELINE } from '@/utils/constants';
+import {
+  NOAA_PLANETARY_K_URL,
+  NOAA_CACHE_TTL_MS,
+  EARTH_MAGNETIC_FIELD_BASELINE,
+  SYNTHETIC_DATA_SEED,
+  SYNTHETIC_GEOMAG_MODEL,
+  SYNTHETIC_PALEOMAG_MODEL
+} from '@/utils/constants';
+import { findPeaks, interpolateAt } from '@/utils/peakFinding';
+import { createRandom, coloredNoise } from '@/utils/random';
+import { fetchNOAAProduct } from '@/services/solarAPI';
+
+/**
+ * Parse the NOAA planetary K-index product
+ * Accepts the table layout (header row, then rows) and lists of records
+ * @param {Array} json - Product payload
+ * @returns {Array<Object>} 3-hourly readings {date (ISO), timestamp, kpIndex}, oldest first
+ * @throws {Error} When the payload is not a K-index product
+ */
+export const parseKpProduct = json => {
+  if (!Array.isArray(json)) throw new Error('Expected a K-index product: list of readings');
+  let rows = json;
+  if (Array.isArray(json[0])) {
+    const [header, ...values] = json;
+    rows = values.map(row => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+  }
+
+  return rows
+    .map(row => {
+      const timestamp = Date.parse(String(row.time_tag).replace(' ', 'T').replace(/Z?$/, 'Z'));
+      const kpIndex = parseFloat(row.Kp ?? row.kp_index ?? row.kp);
+      return { date: Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null, timestamp, kpIndex };
+    })
+    .filter(reading => Number.isFinite(reading.timestamp) && Number.isFinite(reading.kpIndex))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
 
 /**
  * Fetch current Kp index from NOAA
+ * Served from the data cache (15 min TTL, stale-while-revalidate)
+ * @param {Object} options - {refresh: bypass the cache, onUpdate: receives the
+ *   latest reading when a stale copy is refreshed in the background}
+ * @throws {NetworkError|HttpError|ParseError} When NOAA cannot be reached,
+ *   refuses the request or sends an unexpected payload, and nothing is cached
  */
-export const fetchCurrentKpIndex = async () => {
-  try {
-    const response = await axios.get(
-      `${NOAA_BASE_URL}/products/noaa-planetary-k-index.json`
-    );
-    
-    const latest = response.data[response.data.length - 1];
-    const kpValue = parseFloat(latest.kp_index);
-    
+export const fetchCurrentKpIndex = async (options = {}) => {
+  const process = data => {
+    const readings = parseKpProduct(data);
+    if (readings.length === 0) throw new Error('K-index product has no readings');
+    const latest = readings[readings.length - 1];
     return {
-      timestamp: latest.time_tag,
-      kpIndex: kpValue,
-      kpIndexInt: Math.round(kpValue),
-      scale: getKpScale(kpValue),
+      timestamp: latest.date,
+      kpIndex: latest.kpIndex,
+      kpIndexInt: Math.round(latest.kpIndex),
+      scale: getKpScale(latest.kpIndex),
       source: 'NOAA SWPC'
     };
-  } catch (error) {
-    console.error('Error fetching Kp index:', error);
-    return null;
-  }
+  };
+
+  return fetchNOAAProduct(NOAA_PLANETARY_K_URL, NOAA_CACHE_TTL_MS.kpIndex, options, process);
 };
 
 /**
@@ -94,34 +128,74 @@ export const getKpScale = (kp) => {
   }
 };
 
+// Solar-driven defaults of simulateGeomagneticData: the field weakens and Kp
+// rises with the sunspot number around the present-day baseline
+const SOLAR_DRIVEN_GEOMAG_MODEL = {
+  fieldBaseline: EARTH_MAGNETIC_FIELD_BASELINE,
+  fieldAmplitude: 0,
+  fieldPerSunspot: 10,
+  fieldNoise: { sigma: 300, exponent: 0 },
+  kpBaseline: 5,
+  kpAmplitude: 3,
+  kpPerSunspot: 0.01,
+  kpNoise: { sigma: 0.3, exponent: 0 }
+};
+
 /**
- * Simulate geomagnetic data based on solar activity
+ * Synthetic field strength and Kp for a series of samples (see
+ * SYNTHETIC_GEOMAG_MODEL); storms arrive as a Poisson process whose rate
+ * scales with the sunspot number (100 when there is no solar driver)
  */
-export const simulateGeomagneticData = (solarData) => {
-  return solarData.map((solar, idx) => {
-    // Inverse relationship: high solar activity = weaker magnetic field
-    const baseField = EARTH_MAGNETIC_FIELD_BASELINE;
-    const solarInfluence = solar.sunspots * 10;
-    const randomVariation = (Math.random() - 0.5) * 1000;
-    const fieldStrength = baseField - solarInfluence + randomVariation;
-    
-    // Kp index correlates with solar activity
-    const kpBase = Math.sin(idx / 10) * 3 + 5;
-    const solarModulation = (solar.sunspots / 200) * 2;
-    const kpIndex = Math.max(0, Math.min(9, kpBase + solarModulation + (Math.random() - 0.5)));
-    
+const synthesizeGeomag = (samples, model, random) => {
+  const fieldNoise = coloredNoise(samples.length, model.fieldNoise, random.fork('field'));
+  const kpNoise = coloredNoise(samples.length, model.kpNoise, random.fork('kp'));
+  const storms = random.fork('storms');
+
+  return samples.map((sample, idx) => {
+    const sunspots = sample.sunspots ?? 100;
+    const fieldCycle = model.fieldAmplitude * Math.sin((2 * Math.PI * idx) / model.fieldPeriodMonths);
+    const fieldStrength = model.fieldBaseline + fieldCycle - model.fieldPerSunspot * sunspots + fieldNoise[idx];
+
+    const kpCycle = model.kpAmplitude * Math.sin((2 * Math.PI * idx) / model.kpPeriodMonths);
+    let kpIndex = model.kpBaseline + kpCycle + model.kpPerSunspot * sunspots + kpNoise[idx];
+    const stormCount = storms.poisson(model.stormRate * (sunspots / 100));
+    for (let k = 0; k < stormCount; k++) {
+      kpIndex = Math.max(kpIndex, model.stormKp.min + storms.exponential(model.stormKp.mean));
+    }
+    kpIndex = Math.max(0, Math.min(9, kpIndex));
+
     return {
-      date: solar.date,
-      year: solar.year,
-      month: solar.month,
+      date: sample.date,
+      year: sample.year,
+      month: sample.month,
       fieldStrength: Math.max(30000, fieldStrength), // Minimum realistic value
       kpIndex: parseFloat(kpIndex.toFixed(2)),
       scale: getKpScale(kpIndex),
-      timestamp: solar.timestamp
+      storm: stormCount > 0,
+      timestamp: sample.timestamp
     };
   });
 };
 
+/**
+ * Simulate geomagnetic data based on solar activity
+ * High solar activity weakens the field and raises Kp and the storm rate
+ * @param {Array<Object>} solarData - Records with date, year, month, timestamp and sunspots
+ * @param {Object} options - {seed (default SYNTHETIC_DATA_SEED), model:
+ *   overrides of SYNTHETIC_GEOMAG_MODEL on top of the solar-driven defaults}
+ * @returns {Object} {data, metadata: {generator, seed, model, points}}
+ */
+export const simulateGeomagneticData = (solarData, options = {}) => {
+  const { seed = SYNTHETIC_DATA_SEED } = options;
+  const model = { ...SYNTHETIC_GEOMAG_MODEL, ...SOLAR_DRIVEN_GEOMAG_MODEL, ...options.model };
+  const random = createRandom(seed);
+
+  return {
+    data: synthesizeGeomag(solarData, model, random),
+    metadata: { generator: 'simulateGeomagneticData', seed: random.seed, model, points: solarData.length }
+  };
+};
+
 /**
  * Calculate percentage of geomagnetic field weakening
  */
@@ -163,6 +237,31 @@ export const detectGeomagneticReversals = (geomagData) => {
   return reversals;
 };
 
+/**
+ * Detect geomagnetic storms as Kp peaks reaching G1 (Kp ≥ 5)
+ * Uses the shared peak finder, so a multi-sample storm with a flat top counts
+ * once and its start/end are the half-prominence crossings
+ * @param {Array<Object>} geomagData - Samples with date (or timestamp) and kpIndex
+ * @param {Object} options - {minKp (default 5), prominence: minimum Kp prominence
+ *   (default 1), distance: minimum separation in samples (default 1)}
+ * @returns {Array<Object>} Storms {date, start, end, peakKp, prominence, width, scale}
+ */
+export const detectGeomagneticStorms = (geomagData, options = {}) => {
+  const { minKp = 5, prominence = 1, distance = 1 } = options;
+  const kp = geomagData.map(d => d.kpIndex);
+  const times = geomagData.map(d => d.timestamp ?? new Date(d.date).getTime());
+  
+  return findPeaks(kp, { height: minKp, prominence, distance, includeEdges: true }).map(peak => ({
+    date: geomagData[peak.index].date,
+    start: new Date(interpolateAt(times, peak.left)).toISOString(),
+    end: new Date(interpolateAt(times, peak.right)).toISOString(),
+    peakKp: peak.value,
+    prominence: peak.prominence,
+    width: peak.width,
+    scale: getKpScale(peak.value)
+  }));
+};
+
 /**
  * Calculate cosmic ray flux based on geomagnetic field
  * Weaker field = more cosmic rays penetrating
@@ -286,28 +385,42 @@ export const getGeomagStatistics = (geomagData) => {
 
 /**
  * Generate paleomagnetic intensity time series
+ * Simplified model with periodic intensity swings and polarity reversals plus
+ * colored noise (see SYNTHETIC_PALEOMAG_MODEL)
+ * @param {number} startMa - First age (Ma)
+ * @param {number} endMa - Last age (Ma)
+ * @param {number} intervalMa - Sampling interval (Ma)
+ * @param {Object} options - {seed (default SYNTHETIC_DATA_SEED), model:
+ *   overrides of SYNTHETIC_PALEOMAG_MODEL}
+ * @returns {Object} {data, metadata: {generator, seed, model, points}}
  */
-export const generatePaleomagTimeSeries = (startMa, endMa, intervalMa = 10) => {
-  const data = [];
-  
-  for (let age = startMa; age <= endMa; age += intervalMa) {
-    // Simplified paleomag model with periodic reversals
-    const reversalCycle = Math.sin(age / 50) * 0.3; // ~50 Ma reversal cycle
-    const randomVariation = (Math.random() - 0.5) * 0.2;
-    
-    const intensity = EARTH_MAGNETIC_FIELD_BASELINE * (1 + reversalCycle + randomVariation);
-    const polarity = Math.sin(age / 25) > 0 ? 'normal' : 'reversed';
+export const generatePaleomagTimeSeries = (startMa, endMa, intervalMa = 10, options = {}) => {
+  const { seed = SYNTHETIC_DATA_SEED } = options;
+  const model = { ...SYNTHETIC_PALEOMAG_MODEL, ...options.model };
+  const random = createRandom(seed);
+  const ages = [];
+  for (let age = startMa; age <= endMa; age += intervalMa) ages.push(age);
+  const noise = coloredNoise(ages.length, model.noise, random.fork('intensity'));
+  const uncertainty = random.fork('uncertainty');
+
+  const data = ages.map((age, idx) => {
+    const swing = Math.sin((2 * Math.PI * age) / model.intensityPeriodMa) * model.intensityAmplitude;
+    const intensity = EARTH_MAGNETIC_FIELD_BASELINE * (1 + swing + noise[idx]);
+    const polarity = Math.sin((2 * Math.PI * age) / model.polarityPeriodMa) > 0 ? 'normal' : 'reversed';
     
-    data.push({
+    return {
       ageMa: age,
       intensity: Math.max(20000, intensity),
       polarity,
       virtualDipoleStrength: intensity * 1e22, // Am²
-      uncertainty: Math.random() * 5000
-    });
-  }
-  
-  return data;
+      uncertainty: uncertainty.uniform(0, model.uncertaintyMax)
+    };
+  });
+
+  return {
+    data,
+    metadata: { generator: 'generatePaleomagTimeSeries', seed: random.seed, model, points: data.length }
+  };
 };
 
 /**
@@ -322,34 +435,42 @@ const calculateAgeFromDate = (dateStr) => {
 
 /**
  * Generate fallback geomagnetic data
+ * Monthly field strength and Kp from SYNTHETIC_GEOMAG_MODEL without a solar driver
+ * @param {number} points - Number of months
+ * @param {Object} options - {seed (default SYNTHETIC_DATA_SEED), start: first
+ *   month (default '2015-01-01'), model: overrides of SYNTHETIC_GEOMAG_MODEL}
+ * @returns {Object} {data, metadata: {generator, seed, model, start, points}}
  */
-export const generateFallbackGeomagData = (points = 100) => {
-  const startDate = new Date('2015-01-01');
-  return Array.from({ length: points }, (_, i) => {
+export const generateFallbackGeomagData = (points = 100, options = {}) => {
+  const { seed = SYNTHETIC_DATA_SEED, start = '2015-01-01' } = options;
+  const model = { ...SYNTHETIC_GEOMAG_MODEL, ...options.model };
+  const random = createRandom(seed);
+  const startDate = new Date(start);
+  const months = Array.from({ length: points }, (_, i) => {
     const date = new Date(startDate);
-    date.setMonth(date.getMonth() + i);
-    
-    const kp = Math.random() * 9;
-    const fieldStrength = 48000 + Math.sin(i / 20) * 2000 + Math.random() * 1000;
-    
+    date.setUTCMonth(date.getUTCMonth() + i);
     return {
       date: date.toISOString().split('T')[0],
-      year: date.getFullYear(),
-      month: date.getMonth() + 1,
-      fieldStrength,
-      kpIndex: parseFloat(kp.toFixed(2)),
-      scale: getKpScale(kp),
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
       timestamp: date.getTime()
     };
   });
+
+  return {
+    data: synthesizeGeomag(months, model, random),
+    metadata: { generator: 'generateFallbackGeomagData', seed: random.seed, model, start, points }
+  };
 };
 
 export default {
+  parseKpProduct,
   fetchCurrentKpIndex,
   getKpScale,
   simulateGeomagneticData,
   calculateWeakening,
   detectGeomagneticReversals,
+  detectGeomagneticStorms,
   calculateCosmicRayFlux,
   correlateGeomagWithEvolution,
   getGeomagStatistics,
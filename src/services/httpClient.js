@@ -0,0 +1,335 @@
+/**
+ * HTTP Client
+ * Shared client for external data sources (NOAA SWPC, JPL Horizons): requests
+ * wait in a queue limited to a number of concurrent connections, are paced by
+ * a token bucket, time out, and are retried with exponential backoff and
+ * jitter on network failures, 429 and 5xx responses. Failures surface as
+ * NetworkError, HttpError or ParseError so callers can tell an unreachable
+ * service from a refusing one or a malformed payload.
+ */
+
+import axios from 'axios';
+
+/**
+ * Base class of client failures
+ */
+export class HttpClientError extends Error {
+  constructor(message, { url = null, cause } = {}) {
+    super(message);
+    this.name = 'HttpClientError';
+    this.url = url;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The request got no response: offline, DNS, CORS, connection reset or timeout
+ */
+export class NetworkError extends HttpClientError {
+  constructor(message, { url, cause, timeout = false } = {}) {
+    super(message, { url, cause });
+    this.name = 'NetworkError';
+    this.timeout = timeout;
+    this.retryable = true;
+  }
+}
+
+/**
+ * The server answered with an unexpected status
+ */
+export class HttpError extends HttpClientError {
+  constructor(message, { url, status, statusText = '', retryAfterMs = null } = {}) {
+    super(message, { url });
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = status === 429 || status >= 500;
+  }
+}
+
+/**
+ * The response body is not what the caller expected
+ */
+export class ParseError extends HttpClientError {
+  constructor(message, { url, cause, body } = {}) {
+    super(message, { url, cause });
+    this.name = 'ParseError';
+    this.body = typeof body === 'string' ? body.slice(0, 200) : body;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Whether a failure is worth another attempt
+ */
+export const isRetryableError = error => error instanceof HttpClientError && error.retryable === true;
+
+/**
+ * Token bucket: one token every intervalMs, up to capacity; take() resolves
+ * in request order once a token is available
+ * @param {Object} options - {intervalMs: refill interval (0 disables limiting),
+ *   capacity: burst size (default 1), now: clock in ms}
+ * @returns {Object} {take() -> Promise, available() -> tokens}
+ */
+export const createTokenBucket = ({ intervalMs, capacity = 1, now = () => Date.now() }) => {
+  let tokens = capacity;
+  let refilledAt = now();
+  let waiting = Promise.resolve();
+
+  const refill = () => {
+    const time = now();
+    tokens = Math.min(capacity, tokens + (time - refilledAt) / intervalMs);
+    refilledAt = time;
+  };
+
+  const acquire = async () => {
+    refill();
+    while (tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, (1 - tokens) * intervalMs));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    take() {
+      if (!(intervalMs > 0)) return Promise.resolve();
+      waiting = waiting.then(acquire);
+      return waiting;
+    },
+    available() {
+      if (!(intervalMs > 0)) return Infinity;
+      refill();
+      return tokens;
+    }
+  };
+};
+
+/**
+ * Delay before retry `attempt` (0-based): full jitter over an exponentially
+ * growing window, never shorter than the server's Retry-After
+ */
+const backoffDelay = (attempt, error, { baseDelayMs, maxDelayMs, random }) => {
+  const window = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.max(random() * window, error.retryAfterMs ?? 0);
+};
+
+/**
+ * Retry-After header in ms (delta seconds or HTTP date)
+ */
+const parseRetryAfter = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const abortError = signal => signal.reason ?? Object.assign(new Error('Request cancelled'), { name: 'AbortError' });
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Default transport: one attempt through axios, body as text, any status
+ * @returns {Promise<Object>} {status, statusText, headers, body}
+ */
+const axiosTransport = async (url, { method, headers, params, data, signal }) => {
+  const response = await axios.request({
+    url,
+    method,
+    headers,
+    params,
+    data,
+    signal,
+    responseType: 'text',
+    transformResponse: [body => body],
+    validateStatus: () => true
+  });
+  return { status: response.status, statusText: response.statusText, headers: response.headers, body: response.data };
+};
+
+/**
+ * Decode a response body
+ */
+const parseBody = (body, responseType, url) => {
+  if (responseType !== 'json' || typeof body !== 'string') return body;
+  if (body.trim() === '') return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new ParseError(`Invalid JSON from ${url}: ${error.message}`, { url, cause: error, body });
+  }
+};
+
+/**
+ * Create an HTTP client
+ * @param {Object} config - {rateLimitMs: minimum spacing between requests once
+ *   the burst is spent (0 disables), burst: requests allowed back to back
+ *   (default maxConcurrent), maxConcurrent: requests in flight, retries: extra
+ *   attempts (default 3), baseDelayMs (default 500), maxDelayMs (default 30000),
+ *   timeoutMs: per attempt (default 15000), random: jitter source,
+ *   transport: (url, {method, headers, params, data, signal}) ->
+ *   Promise<{status, statusText, headers, body}>}
+ * @returns {Object} {request, get, stats}
+ */
+export const createHttpClient = (config = {}) => {
+  const {
+    rateLimitMs = 0,
+    maxConcurrent = 4,
+    burst = maxConcurrent,
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    timeoutMs = 15000,
+    random = Math.random,
+    transport = axiosTransport
+  } = config;
+  const bucket = createTokenBucket({ intervalMs: rateLimitMs, capacity: burst });
+  const queue = [];
+  let active = 0;
+  const counters = { requests: 0, attempts: 0, retries: 0, failures: 0 };
+
+  const acquireSlot = () => new Promise(resolve => {
+    queue.push(resolve);
+    drain();
+  });
+
+  const drain = () => {
+    while (active < maxConcurrent && queue.length > 0) {
+      active++;
+      queue.shift()();
+    }
+  };
+
+  const releaseSlot = () => {
+    active--;
+    drain();
+  };
+
+  /**
+   * One attempt with its own timeout, linked to the caller's signal
+   */
+  const attempt = async (url, options) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, options.timeoutMs ?? timeoutMs);
+    const onAbort = () => controller.abort();
+    if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    try {
+      counters.attempts++;
+      response = await transport(url, {
+        method: options.method ?? 'GET',
+        headers: options.headers ?? {},
+        params: options.params,
+        data: options.data,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (options.signal?.aborted) throw abortError(options.signal);
+      if (error instanceof HttpClientError) throw error;
+      if (timedOut) {
+        throw new NetworkError(`Request to ${url} timed out`, { url, cause: error, timeout: true });
+      }
+      throw new NetworkError(`Request to ${url} failed: ${error.message}`, { url, cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+    }
+
+    const { status } = response;
+    const accepted = (status >= 200 && status < 300) || (options.accept ?? []).includes(status);
+    if (!accepted) {
+      throw new HttpError(`${url} responded ${status}${response.statusText ? ` ${response.statusText}` : ''}`, {
+        url,
+        status,
+        statusText: response.statusText,
+        retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+      });
+    }
+    return {
+      status,
+      headers: response.headers ?? {},
+      data: parseBody(response.body, options.responseType ?? 'json', url)
+    };
+  };
+
+  /**
+   * Perform a request
+   * @param {string} url - Request URL
+   * @param {Object} options - {method, headers, params, data, signal,
+   *   responseType: 'json' (default) or 'text', accept: extra statuses treated
+   *   as success (e.g. [304]), retries, timeoutMs}
+   * @returns {Promise<Object>} {status, headers, data, attempts}
+   * @throws {NetworkError|HttpError|ParseError} After the last attempt; an
+   *   AbortError when the signal fires
+   */
+  const request = async (url, options = {}) => {
+    const maxRetries = options.retries ?? retries;
+    counters.requests++;
+
+    for (let n = 0; ; n++) {
+      let failure;
+      await acquireSlot();
+      try {
+        await bucket.take();
+        if (options.signal?.aborted) throw abortError(options.signal);
+        const response = await attempt(url, options);
+        return { ...response, attempts: n + 1 };
+      } catch (error) {
+        if (!isRetryableError(error) || n >= maxRetries || options.signal?.aborted) {
+          if (error instanceof HttpClientError) counters.failures++;
+          throw error;
+        }
+        failure = error;
+      } finally {
+        // The slot is free for other requests while this one backs off
+        releaseSlot();
+      }
+      counters.retries++;
+      await sleep(backoffDelay(n, failure, { baseDelayMs, maxDelayMs, random }), options.signal);
+    }
+  };
+
+  return {
+    request,
+    get: (url, options = {}) => request(url, { ...options, method: 'GET' }),
+    stats: () => ({ ...counters, active, queued: queue.length, tokens: bucket.available() })
+  };
+};
+
+// Client shared by the data services, configured from the environment
+export const httpClient = createHttpClient({
+  rateLimitMs: Number(import.meta.env?.VITE_API_RATE_LIMIT_MS) || 1000,
+  maxConcurrent: Number(import.meta.env?.VITE_MAX_CONCURRENT_REQUESTS) || 3
+});
+
+export default {
+  HttpClientError,
+  NetworkError,
+  HttpError,
+  ParseError,
+  isRetryableError,
+  createTokenBucket,
+  createHttpClient,
+  httpClient
+};
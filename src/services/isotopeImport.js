@@ -0,0 +1,197 @@
+/**
+ * Isotope Import
+ * Importers for cosmogenic isotope records, the proxies of solar activity
+ * before the telescope era: atmospheric radiocarbon (Δ14C) from IntCal-style
+ * calibration curves and 10Be from ice cores. Files are read locally and
+ * normalized into records on a common time axis (astronomical year CE;
+ * negative years are BCE, 0 is 1 BCE) for solarReconstruction.js.
+ */
+
+// Zero points of the published age scales
+export const AGE_SCALES = {
+  BP: 1950, // years before present (radiocarbon convention)
+  b2k: 2000, // years before 2000 (ice-core chronologies such as GICC05)
+  CE: null // calendar years
+};
+
+// Column order of IntCal files without a header (intcal20.14c, shcal20.14c, marine20.14c)
+const INTCAL_COLUMNS = ['calBP', 'c14Age', 'c14AgeSigma', 'delta14C', 'delta14CSigma'];
+
+// Header names recognized in 10Be files, tried in order
+const BERYLLIUM_HEADERS = [
+  { pattern: /b2k/i, column: 'age', ageScale: 'b2k' },
+  { pattern: /\bbp\b|age/i, column: 'age', ageScale: 'BP' },
+  { pattern: /year|\bad\b|\bce\b/i, column: 'age', ageScale: 'CE' },
+  { pattern: /err|sigma|unc|±/i, column: 'sigma' },
+  { pattern: /flux/i, column: 'value', quantity: 'flux' },
+  { pattern: /conc|10be|be-?10/i, column: 'value', quantity: 'concentration' }
+];
+
+/**
+ * Convert an age on one of AGE_SCALES to a year CE
+ */
+export const toYearCE = (age, ageScale = 'BP') => {
+  if (!(ageScale in AGE_SCALES)) throw new Error(`Unknown age scale: ${ageScale}`);
+  return AGE_SCALES[ageScale] === null ? age : AGE_SCALES[ageScale] - age;
+};
+
+/**
+ * Split a data line on commas, semicolons, tabs or runs of spaces
+ */
+const splitFields = line => {
+  const separator = line.includes(',') ? ',' : line.includes(';') ? ';' : line.includes('\t') ? '\t' : /\s+/;
+  return line.split(separator).map(field => field.trim());
+};
+
+/**
+ * Data lines of a text file: comments (#) and blank lines skipped; the first
+ * line that does not start with a number is returned as the header
+ */
+const readTable = text => {
+  let header = null;
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+    const fields = splitFields(trimmed);
+    if (!Number.isFinite(Number(fields[0]))) {
+      if (header === null && rows.length === 0) {
+        header = fields;
+        return;
+      }
+      throw new Error(`Malformed line ${index + 1}: "${trimmed}"`);
+    }
+    rows.push({ fields, line: index + 1 });
+  });
+  return { header, rows };
+};
+
+const toNumber = field => {
+  if (field === undefined || field === '') return null;
+  const number = Number(field);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse an IntCal-style radiocarbon calibration curve
+ * Headers are optional; named columns are matched ('CAL BP', '14C age',
+ * 'Delta 14C', each followed by its sigma), otherwise the IntCal20 order is used
+ * @param {string} text - File contents (CSV or whitespace-separated)
+ * @returns {Array<Object>} Records {year (CE), calBP, c14Age, c14AgeSigma,
+ *   value: Δ14C (‰), sigma, isotope: '14C', quantity: 'delta14C'}, oldest first
+ * @throws {Error} On a malformed line or a file without Δ14C
+ */
+export const parseIntCal = text => {
+  const { header, rows } = readTable(text);
+  let columns = INTCAL_COLUMNS;
+  if (header) {
+    columns = [];
+    header.forEach((name, i) => {
+      if (/cal.*bp/i.test(name)) columns[i] = 'calBP';
+      else if (/delta|Δ|d14c/i.test(name)) columns[i] = 'delta14C';
+      else if (/14c\s*age|radiocarbon/i.test(name)) columns[i] = 'c14Age';
+      else if (/sigma|err|unc/i.test(name) && columns[i - 1] && !columns[i - 1].endsWith('Sigma')) {
+        columns[i] = `${columns[i - 1]}Sigma`;
+      }
+    });
+  }
+  if (!columns.includes('calBP') || !columns.includes('delta14C')) {
+    throw new Error('IntCal file needs calendar age (cal BP) and Delta 14C columns');
+  }
+
+  return rows
+    .map(({ fields }) => {
+      const row = Object.fromEntries(columns.map((column, i) => [column, toNumber(fields[i])]));
+      return {
+        year: toYearCE(row.calBP, 'BP'),
+        calBP: row.calBP,
+        c14Age: row.c14Age ?? null,
+        c14AgeSigma: row.c14AgeSigma ?? null,
+        value: row.delta14C,
+        sigma: row.delta14CSigma ?? null,
+        isotope: '14C',
+        quantity: 'delta14C'
+      };
+    })
+    .filter(record => record.calBP !== null && record.value !== null)
+    .sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Parse a 10Be ice-core series
+ * Columns are found from the header (age, 10Be flux or concentration and its
+ * error); options override them for files with unusual headers or none
+ * @param {string} text - File contents (CSV or whitespace-separated)
+ * @param {Object} options - {ageColumn, valueColumn, sigmaColumn: column
+ *   indices; ageScale: 'BP', 'b2k' or 'CE'; quantity: 'flux' or
+ *   'concentration'; accumulation: snow accumulation (g/cm²/yr), a number or
+ *   year => rate, converting concentration to flux}
+ * @returns {Array<Object>} Records {year (CE), age, value, sigma, isotope:
+ *   '10Be', quantity}, oldest first
+ * @throws {Error} On a malformed line or when the columns cannot be determined
+ */
+export const parseBerylliumRecord = (text, options = {}) => {
+  const { header, rows } = readTable(text);
+  const found = {};
+  (header ?? []).forEach((name, i) => {
+    const match = BERYLLIUM_HEADERS.find(h => h.pattern.test(name) && found[h.column] === undefined);
+    if (!match) return;
+    found[match.column] = i;
+    if (match.ageScale) found.ageScale = match.ageScale;
+    if (match.quantity) found.quantity = match.quantity;
+  });
+
+  const ageColumn = options.ageColumn ?? found.age ?? (header ? undefined : 0);
+  const valueColumn = options.valueColumn ?? found.value ?? (header ? undefined : 1);
+  const sigmaColumn = options.sigmaColumn ?? found.sigma ?? (header ? undefined : 2);
+  const ageScale = options.ageScale ?? found.ageScale ?? 'BP';
+  let quantity = options.quantity ?? found.quantity ?? 'concentration';
+  if (ageColumn === undefined || valueColumn === undefined) {
+    throw new Error('Cannot find the age and 10Be columns; pass ageColumn and valueColumn');
+  }
+
+  const { accumulation } = options;
+  const rateAt = typeof accumulation === 'function' ? accumulation : () => accumulation;
+  if (quantity === 'concentration' && accumulation !== undefined) quantity = 'flux';
+
+  return rows
+    .map(({ fields }) => {
+      const age = toNumber(fields[ageColumn]);
+      const year = age === null ? null : toYearCE(age, ageScale);
+      const rate = accumulation !== undefined && year !== null ? rateAt(year) : 1;
+      const value = toNumber(fields[valueColumn]);
+      const sigma = sigmaColumn === undefined ? null : toNumber(fields[sigmaColumn]);
+      return {
+        year,
+        age,
+        value: value === null ? null : value * rate,
+        sigma: sigma === null ? null : sigma * rate,
+        isotope: '10Be',
+        quantity
+      };
+    })
+    .filter(record => record.year !== null && record.value !== null)
+    .sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Import a local isotope file
+ * @param {string|File|Blob} file - File contents, or a File/Blob (e.g. from a file input)
+ * @param {string} isotope - '14C' or '10Be'
+ * @param {Object} options - parseBerylliumRecord options (10Be)
+ * @returns {Promise<Array<Object>>} Records (see parseIntCal, parseBerylliumRecord)
+ */
+export const importIsotopeFile = async (file, isotope, options = {}) => {
+  const text = typeof file === 'string' ? file : await file.text();
+  if (isotope === '14C') return parseIntCal(text);
+  if (isotope === '10Be') return parseBerylliumRecord(text, options);
+  throw new Error(`Unknown isotope: ${isotope}`);
+};
+
+export default {
+  AGE_SCALES,
+  toYearCE,
+  parseIntCal,
+  parseBerylliumRecord,
+  importIsotopeFile
+};
@@ -0,0 +1,424 @@
+/**
+ * Planetary Systems
+ * Host star and planet definitions the FTRT pipeline can run against: the
+ * solar system built from constants.js, bundled exoplanetary systems and
+ * user-supplied JSON definitions
+ */
+
+import {
+  PLANETS,
+  ORBITAL_ELEMENTS,
+  SUN_MASS,
+  SUN_RADIUS,
+  EARTH_MASS,
+  AU,
+  GRAVITATIONAL_CONSTANT,
+  FTRT_REFERENCE_PERIOD
+} from '@/utils/constants';
+import { julianDateToDate } from '@/utils/dateHelpers';
+import { elementsToPosition, getMeanDailyMotion } from '@/utils/orbitalMechanics';
+import { getEphemerisProvider } from '@/services/ephemerisProviders';
+import trappist1 from '@/data/systems/trappist-1.json';
+import cancri55 from '@/data/systems/55-cancri.json';
+
+export const SOLAR_SYSTEM_ID = 'solar';
+
+const EARTH_RADIUS = 6.371e6;
+const SECONDS_PER_DAY = 86400;
+
+// Relative mismatch between the given semi-major axis and Kepler's third law
+// above which a definition is flagged
+const KEPLER_TOLERANCE = 0.05;
+
+// Reference climatology of a custom system: samples per record and samples
+// per orbit of the innermost planet
+const REFERENCE_SAMPLES = 7305;
+const SAMPLES_PER_INNER_ORBIT = 8;
+
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const isAngle = value => value === undefined || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Key of a planet within its system: explicit id or slug of the name
+ */
+const planetKey = planet => String(planet.id ?? planet.name ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+/**
+ * Semi-major axis (AU) of a period (days) about a host of given mass (kg)
+ */
+const keplerSemiMajorAxis = (period, totalMass) => {
+  const seconds = period * SECONDS_PER_DAY;
+  return Math.cbrt(GRAVITATIONAL_CONSTANT * totalMass * seconds * seconds / (4 * Math.PI * Math.PI)) / AU;
+};
+
+/**
+ * Orbital period (days) of a semi-major axis (AU) about a host of given mass (kg)
+ */
+const keplerPeriod = (semiMajorAxis, totalMass) => {
+  const meters = semiMajorAxis * AU;
+  return 2 * Math.PI * Math.sqrt(meters ** 3 / (GRAVITATIONAL_CONSTANT * totalMass)) / SECONDS_PER_DAY;
+};
+
+/**
+ * Check a planetary-system definition
+ * Definition units: star mass in solar masses and radius in solar radii;
+ * planet mass in Earth masses, radius in Earth radii, semiMajorAxis in AU,
+ * period in days, angles in degrees, epoch and transitTime as Julian Dates.
+ * Each planet needs a period or a semi-major axis (the other follows from
+ * Kepler's third law) and optionally eccentricity, inclination,
+ * longitudeOfPeriapsis, longitudeOfNode and either meanLongitude at the epoch
+ * or a transitTime (mean longitude 0°, the line of sight, at transit).
+ * @param {Object} definition - Parsed system definition
+ * @returns {Object} {valid, errors, warnings}
+ */
+export const validatePlanetarySystem = definition => {
+  const errors = [];
+  const warnings = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Definition must be an object'], warnings };
+  }
+  if (!definition.name) errors.push('System name is required');
+  if (definition.epoch !== undefined && !isPositive(definition.epoch)) {
+    errors.push('epoch must be a Julian Date');
+  }
+
+  const star = definition.star;
+  if (!star || typeof star !== 'object') {
+    errors.push('Host star is required');
+  } else {
+    if (!isPositive(star.mass)) errors.push('Star mass (solar masses) must be a positive number');
+    if (!isPositive(star.radius)) errors.push('Star radius (solar radii) must be a positive number');
+  }
+
+  if (!Array.isArray(definition.planets) || definition.planets.length === 0) {
+    errors.push('At least one planet is required');
+    return { valid: false, errors, warnings };
+  }
+
+  const keys = new Set();
+  definition.planets.forEach((planet, index) => {
+    const label = planet?.name ?? planet?.id ?? `#${index + 1}`;
+    const key = planet ? planetKey(planet) : '';
+    if (!key) {
+      errors.push(`Planet ${label}: id or name is required`);
+    } else if (keys.has(key)) {
+      errors.push(`Planet ${label}: duplicate id '${key}'`);
+    } else if (['sun', 'star', 'moon'].includes(key)) {
+      errors.push(`Planet ${label}: '${key}' is a reserved body name`);
+    }
+    keys.add(key);
+    if (!planet) return;
+
+    if (!isPositive(planet.mass)) errors.push(`Planet ${label}: mass (Earth masses) must be a positive number`);
+    if (planet.radius !== undefined && !isPositive(planet.radius)) {
+      errors.push(`Planet ${label}: radius (Earth radii) must be a positive number`);
+    }
+    if (!isPositive(planet.period) && !isPositive(planet.semiMajorAxis)) {
+      errors.push(`Planet ${label}: period (days) or semiMajorAxis (AU) is required`);
+    }
+    const eccentricity = planet.eccentricity ?? 0;
+    if (typeof eccentricity !== 'number' || eccentricity < 0 || eccentricity >= 1) {
+      errors.push(`Planet ${label}: eccentricity must be in [0, 1)`);
+    }
+    ['inclination', 'longitudeOfPeriapsis', 'longitudeOfNode', 'meanLongitude'].forEach(field => {
+      if (!isAngle(planet[field])) errors.push(`Planet ${label}: ${field} must be in degrees`);
+    });
+    if (planet.transitTime !== undefined && !isPositive(planet.transitTime)) {
+      errors.push(`Planet ${label}: transitTime must be a Julian Date`);
+    }
+    if (planet.meanLongitude === undefined && planet.transitTime === undefined) {
+      warnings.push(`Planet ${label}: no meanLongitude or transitTime, assuming 0° at the epoch`);
+    }
+
+    // Consistency with Kepler's third law and the stellar surface
+    if (star && isPositive(star.mass) && isPositive(planet.mass)) {
+      const totalMass = star.mass * SUN_MASS + planet.mass * EARTH_MASS;
+      if (isPositive(planet.period) && isPositive(planet.semiMajorAxis)) {
+        const expected = keplerSemiMajorAxis(planet.period, totalMass);
+        const mismatch = Math.abs(planet.semiMajorAxis - expected) / expected;
+        if (mismatch > KEPLER_TOLERANCE) {
+          warnings.push(
+            `Planet ${label}: semiMajorAxis ${planet.semiMajorAxis} AU differs by ${(mismatch * 100).toFixed(1)}% ` +
+            `from Kepler's third law (${expected.toPrecision(4)} AU)`
+          );
+        }
+      }
+      const a = isPositive(planet.semiMajorAxis) ? planet.semiMajorAxis
+        : isPositive(planet.period) ? keplerSemiMajorAxis(planet.period, totalMass) : null;
+      if (a && isPositive(star.radius) && typeof eccentricity === 'number' &&
+          a * (1 - eccentricity) * AU <= star.radius * SUN_RADIUS) {
+        errors.push(`Planet ${label}: periapsis lies inside the star`);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Load a planetary-system definition
+ * @param {string|Object} definition - JSON text or parsed definition
+ *   (see validatePlanetarySystem for fields and units)
+ * @returns {Object} System {id, name, description, reference, notes, epoch,
+ *   star {name, mass (kg), radius (m)}, planets (key -> {name, mass (kg),
+ *   semiMajorAxis (m), period (days), radius (m), color}, the PLANETS layout),
+ *   elements (key -> {a (AU), e, i, L at the epoch, longPeri, longNode,
+ *   meanMotion (deg/day)}), referencePeriod {start, end, stepDays}, warnings}
+ * @throws {Error} When the JSON cannot be parsed or the definition is invalid
+ */
+export const loadPlanetarySystem = definition => {
+  let parsed = definition;
+  if (typeof definition === 'string') {
+    try {
+      parsed = JSON.parse(definition);
+    } catch (error) {
+      throw new Error(`Planetary system JSON could not be parsed: ${error.message}`);
+    }
+  }
+
+  const { valid, errors, warnings } = validatePlanetarySystem(parsed);
+  if (!valid) {
+    const name = parsed?.name ? ` ${parsed.name}` : '';
+    throw new Error(`Invalid planetary system${name}: ${errors.join('; ')}`);
+  }
+
+  const epoch = parsed.epoch ?? 2451545.0;
+  const starMass = parsed.star.mass * SUN_MASS;
+  const planets = {};
+  const elements = {};
+
+  parsed.planets.forEach(planet => {
+    const key = planetKey(planet);
+    const mass = planet.mass * EARTH_MASS;
+    const period = planet.period ?? keplerPeriod(planet.semiMajorAxis, starMass + mass);
+    const a = planet.semiMajorAxis ?? keplerSemiMajorAxis(period, starMass + mass);
+    const meanMotion = 360 / period;
+    const L = planet.transitTime !== undefined
+      ? meanMotion * (epoch - planet.transitTime)
+      : planet.meanLongitude ?? 0;
+
+    planets[key] = {
+      name: planet.name ?? key,
+      mass,
+      semiMajorAxis: a * AU,
+      period,
+      radius: planet.radius === undefined ? null : planet.radius * EARTH_RADIUS,
+      color: planet.color ?? '#999999'
+    };
+    elements[key] = {
+      a,
+      e: planet.eccentricity ?? 0,
+      i: planet.inclination ?? 0,
+      L: ((L % 360) + 360) % 360,
+      longPeri: planet.longitudeOfPeriapsis ?? 0,
+      longNode: planet.longitudeOfNode ?? 0,
+      meanMotion
+    };
+  });
+
+  // Resolve the innermost orbit over a record as long as the solar one
+  const innermost = Math.min(...Object.values(planets).map(p => p.period));
+  const stepDays = parsed.referencePeriod?.stepDays ?? Math.min(
+    FTRT_REFERENCE_PERIOD.stepDays, innermost / SAMPLES_PER_INNER_ORBIT
+  );
+  const start = parsed.referencePeriod?.start ?? julianDateToDate(epoch).toISOString();
+  const end = parsed.referencePeriod?.end ??
+    julianDateToDate(epoch + (REFERENCE_SAMPLES - 1) * stepDays).toISOString();
+
+  return {
+    id: parsed.id ?? planetKey({ name: parsed.name }),
+    name: parsed.name,
+    description: parsed.description ?? '',
+    reference: parsed.reference ?? null,
+    notes: parsed.notes ?? null,
+    epoch,
+    star: {
+      name: parsed.star.name ?? parsed.name,
+      mass: starMass,
+      radius: parsed.star.radius * SUN_RADIUS
+    },
+    planets,
+    elements,
+    referencePeriod: { start, end, stepDays },
+    warnings
+  };
+};
+
+/**
+ * Load a planetary-system definition from a File/Blob or JSON text
+ * @param {File|Blob|string} file - JSON definition
+ * @returns {Promise<Object>} System (see loadPlanetarySystem)
+ */
+export const loadPlanetarySystemFromFile = async file => {
+  const text = typeof file === 'string' ? file : await file.text();
+  return loadPlanetarySystem(text);
+};
+
+/**
+ * The solar system in the same layout; positions come from the selected
+ * ephemeris provider rather than stored elements
+ */
+const createSolarSystem = () => ({
+  id: SOLAR_SYSTEM_ID,
+  name: 'Solar System',
+  description: 'The Sun and its eight planets',
+  reference: null,
+  notes: null,
+  epoch: 2451545.0,
+  star: { name: 'Sun', mass: SUN_MASS, radius: SUN_RADIUS },
+  planets: PLANETS,
+  elements: null,
+  referencePeriod: { ...FTRT_REFERENCE_PERIOD },
+  warnings: []
+});
+
+const systems = {
+  [SOLAR_SYSTEM_ID]: createSolarSystem()
+};
+[trappist1, cancri55].forEach(definition => {
+  const system = loadPlanetarySystem(definition);
+  systems[system.id] = system;
+});
+
+/**
+ * Register a system so it can be selected by id
+ * @param {string|Object} system - Loaded system or definition (JSON text or object)
+ * @returns {Object} Registered system
+ */
+export const registerPlanetarySystem = system => {
+  const loaded = typeof system === 'object' && system.elements ? system : loadPlanetarySystem(system);
+  if (loaded.id === SOLAR_SYSTEM_ID) {
+    throw new Error(`The id '${SOLAR_SYSTEM_ID}' is reserved for the solar system`);
+  }
+  systems[loaded.id] = loaded;
+  return loaded;
+};
+
+/**
+ * Resolve a system by id, or pass a loaded system object through
+ * @param {string|Object} system - System id or object (default: the solar system)
+ * @returns {Object} System
+ */
+export const getPlanetarySystem = (system = SOLAR_SYSTEM_ID) => {
+  if (typeof system === 'object' && system !== null) return system;
+  const found = systems[system];
+  if (!found) {
+    throw new Error(`Unknown planetary system: ${system}`);
+  }
+  return found;
+};
+
+/**
+ * Registered systems as {id, name, planetCount}
+ */
+export const listPlanetarySystems = () => Object.values(systems).map(system => ({
+  id: system.id,
+  name: system.name,
+  planetCount: Object.keys(system.planets).length
+}));
+
+export const isSolarSystem = system => getPlanetarySystem(system).id === SOLAR_SYSTEM_ID;
+
+/**
+ * Keplerian ephemeris provider for a custom system; positions are
+ * astrocentric, in AU, in the frame of the definition's angles
+ * @param {Object} system - Loaded system
+ * @returns {Object} Provider {id, name, bodies, getPosition}
+ */
+export const createSystemEphemerisProvider = system => ({
+  id: `system:${system.id}`,
+  name: `${system.name} Keplerian orbits`,
+  bodies: Object.keys(system.elements),
+  getPosition: (body, julianDay) => {
+    const entry = system.elements[body];
+    if (!entry) return null;
+
+    const elements = {
+      a: entry.a,
+      e: entry.e,
+      i: entry.i,
+      L: entry.L + entry.meanMotion * (julianDay - system.epoch),
+      longPeri: entry.longPeri,
+      longNode: entry.longNode
+    };
+    const position = elementsToPosition(elements);
+
+    return {
+      planet: body,
+      julianDay,
+      ...position,
+      distanceMeters: position.distance * AU,
+      longitude: (Math.atan2(position.y, position.x) * 180 / Math.PI + 360) % 360,
+      latitude: Math.asin(position.z / position.distance) * 180 / Math.PI,
+      elements
+    };
+  }
+});
+
+const systemProviders = new Map();
+
+/**
+ * Ephemeris provider for a system: the requested provider for the solar
+ * system, the system's own Keplerian provider otherwise
+ * @param {string|Object} system - System id or object
+ * @param {string|Object} provider - Provider id or object (solar system only)
+ * @returns {Object} Provider
+ */
+export const getSystemEphemerisProvider = (system, provider) => {
+  const resolved = getPlanetarySystem(system);
+  if (resolved.id === SOLAR_SYSTEM_ID) return getEphemerisProvider(provider);
+
+  const cached = systemProviders.get(resolved);
+  if (cached) return cached;
+  const created = createSystemEphemerisProvider(resolved);
+  systemProviders.set(resolved, created);
+  return created;
+};
+
+/**
+ * Mean motion of a planet in degrees per day
+ * @param {string} planetName - Planet key
+ * @param {string|Object} system - System id or object (default: the solar system)
+ * @returns {number} Degrees per day
+ */
+export const getPlanetMeanMotion = (planetName, system) => {
+  const resolved = getPlanetarySystem(system);
+  if (resolved.id === SOLAR_SYSTEM_ID) return getMeanDailyMotion(planetName);
+  return resolved.elements[planetName].meanMotion;
+};
+
+/**
+ * Mean longitude of a planet in degrees, not wrapped to a turn
+ * @param {string} planetName - Planet key
+ * @param {number} julianDay - Julian Day
+ * @param {string|Object} system - System id or object (default: the solar system)
+ * @returns {number} Degrees, counting whole turns since the system epoch
+ */
+export const getPlanetMeanLongitude = (planetName, julianDay, system) => {
+  const resolved = getPlanetarySystem(system);
+  const epochLongitude = resolved.id === SOLAR_SYSTEM_ID
+    ? ORBITAL_ELEMENTS[planetName].elements.L
+    : resolved.elements[planetName].L;
+  return epochLongitude + getPlanetMeanMotion(planetName, resolved) * (julianDay - resolved.epoch);
+};
+
+export default {
+  SOLAR_SYSTEM_ID,
+  validatePlanetarySystem,
+  loadPlanetarySystem,
+  loadPlanetarySystemFromFile,
+  registerPlanetarySystem,
+  getPlanetarySystem,
+  listPlanetarySystems,
+  isSolarSystem,
+  createSystemEphemerisProvider,
+  getSystemEphemerisProvider,
+  getPlanetMeanMotion,
+  getPlanetMeanLongitude
+};
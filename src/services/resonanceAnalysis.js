@@ -0,0 +1,281 @@
+/**
+ * Resonance Analysis
+ * Pairwise synodic periods, triple-planet recurrence cycles and integer
+ * near-commensurabilities of orbital frequencies, ranked by tidal weight so
+ * candidate forcing periods can be set against the observed solar cycle
+ */
+
+import { GRAVITATIONAL_CONSTANT } from '@/utils/constants';
+import { getPlanetarySystem } from '@/services/planetarySystems';
+import { calculateSynodicPeriod } from '@/services/ftrtCalculator';
+
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_YEAR = DAYS_PER_YEAR * 86400000;
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+/**
+ * Mean tidal term of each planet on its star, 2·G·M·R / a³, and its share of
+ * the strongest planet's term (the planets' tidal weights)
+ */
+const getTidalWeights = system => {
+  const terms = {};
+  Object.entries(system.planets).forEach(([name, planet]) => {
+    terms[name] = (2 * GRAVITATIONAL_CONSTANT * planet.mass * system.star.radius) / Math.pow(planet.semiMajorAxis, 3);
+  });
+  const strongest = Math.max(...Object.values(terms));
+  const weights = {};
+  Object.keys(terms).forEach(name => {
+    weights[name] = terms[name] / strongest;
+  });
+  return { terms, weights };
+};
+
+/**
+ * Tidal weight of a combination: geometric mean of its planets' weights, so a
+ * recurrence is only as strong as the planets that have to line up
+ */
+const combinationWeight = (planets, weights) => {
+  const logSum = planets.reduce((sum, p) => sum + Math.log(weights[p]), 0);
+  return Math.exp(logSum / planets.length);
+};
+
+/**
+ * Candidate record shared by every finder
+ * Tides are symmetric under a half turn, so the tidal configuration repeats
+ * after half of a longitude beat (tidalPeriod)
+ */
+const toCandidate = (type, planets, coefficients, frequency, weights, extra = {}) => {
+  const period = 1 / Math.abs(frequency);
+  return {
+    type,
+    planets,
+    coefficients,
+    order: coefficients.reduce((sum, c) => sum + Math.abs(c), 0),
+    period,
+    periodYears: period / DAYS_PER_YEAR,
+    tidalPeriod: period / 2,
+    tidalPeriodYears: period / 2 / DAYS_PER_YEAR,
+    tidalWeight: combinationWeight(planets, weights),
+    ...extra
+  };
+};
+
+/**
+ * Rank by tidal weight, then by lower order
+ */
+const byTidalWeight = (a, b) => b.tidalWeight - a.tidalWeight || a.order - b.order;
+
+/**
+ * Synodic periods of every planet pair
+ * @param {Object} options - {system: planetary system id or object (default solar)}
+ * @returns {Object} {planets, matrix (days; null on the diagonal), pairs ranked by
+ *   tidal weight with synodicPeriod, tidalPeriod (half the synodic period) and tidalWeight}
+ */
+export const calculateSynodicTable = (options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const planets = Object.keys(system.planets);
+  const { weights } = getTidalWeights(system);
+  const matrix = planets.map(() => planets.map(() => null));
+  const pairs = [];
+
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const synodic = calculateSynodicPeriod(planets[i], planets[j], { system });
+      matrix[i][j] = synodic.synodicPeriod;
+      matrix[j][i] = synodic.synodicPeriod;
+      pairs.push({
+        ...synodic,
+        tidalPeriod: synodic.synodicPeriod / 2,
+        tidalPeriodYears: synodic.synodicPeriodYears / 2,
+        tidalWeight: combinationWeight([planets[i], planets[j]], weights)
+      });
+    }
+  }
+
+  return {
+    system: system.id,
+    planets,
+    matrix,
+    pairs: pairs.sort((a, b) => b.tidalWeight - a.tidalWeight)
+  };
+};
+
+/**
+ * Integer near-commensurabilities of planet pairs: period ratios close to p:q
+ * The residual frequency q/P_inner − p/P_outer sets the super-period over which
+ * the near-resonant configuration drifts through a full cycle
+ * @param {Object} options - {system, maxOrder: largest |p − q| (default 3),
+ *   maxCoefficient: largest p (default 13), tolerance: largest relative offset of
+ *   the period ratio from p/q (default 0.01)}
+ * @returns {Array<Object>} Candidates ranked by tidal weight, with ratio 'p:q',
+ *   offset, coefficients [q, −p], period (super-period, days) and tidalPeriod
+ */
+export const findNearCommensurabilities = (options = {}) => {
+  const { maxOrder = 3, maxCoefficient = 13, tolerance = 0.01 } = options;
+  const system = getPlanetarySystem(options.system);
+  const { weights } = getTidalWeights(system);
+  const planets = Object.keys(system.planets).sort((a, b) => system.planets[a].period - system.planets[b].period);
+  const candidates = [];
+
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const inner = system.planets[planets[i]].period;
+      const outer = system.planets[planets[j]].period;
+      const ratio = outer / inner;
+
+      for (let q = 1; q <= maxCoefficient; q++) {
+        const p = Math.round(ratio * q);
+        if (p > maxCoefficient || p - q > maxOrder || p <= q || gcd(p, q) !== 1) continue;
+        const offset = ratio / (p / q) - 1;
+        if (Math.abs(offset) > tolerance) continue;
+
+        candidates.push(toCandidate('commensurability', [planets[i], planets[j]], [q, -p], q / inner - p / outer, weights, {
+          ratio: `${p}:${q}`,
+          offset
+        }));
+      }
+    }
+  }
+
+  return candidates.sort(byTidalWeight);
+};
+
+/**
+ * Triple-planet recurrence cycles
+ * Integer combinations a/P1 + b/P2 + c/P3 with a + b + c = 0 (so the beat
+ * does not depend on the reference direction), all coefficients non-zero and
+ * |a| + |b| + |c| up to maxOrder. Only beats slower than every orbit involved
+ * are kept: faster ones are ordinary synodic repetitions. The Venus–Earth–Jupiter
+ * combination 3/Pv − 5/Pe + 2/Pj gives the ~22.1-year beat whose tidal half is
+ * the ~11.07-year period.
+ * @param {Object} options - {system, maxOrder (default 10), minPeriodYears,
+ *   maxPeriodYears (default 1000; applied to the tidal period)}
+ * @returns {Array<Object>} Candidates ranked by tidal weight
+ */
+export const findTripleRecurrences = (options = {}) => {
+  const { maxOrder = 10, minPeriodYears = 0, maxPeriodYears = 1000 } = options;
+  const system = getPlanetarySystem(options.system);
+  const { weights } = getTidalWeights(system);
+  const planets = Object.keys(system.planets);
+  const candidates = [];
+
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      for (let k = j + 1; k < planets.length; k++) {
+        const group = [planets[i], planets[j], planets[k]];
+        const periods = group.map(p => system.planets[p].period);
+        const slowest = Math.max(...periods);
+
+        // a > 0 picks one of each ± pair; c follows from a + b + c = 0
+        for (let a = 1; a < maxOrder; a++) {
+          for (let b = -maxOrder; b <= maxOrder; b++) {
+            const c = -a - b;
+            if (b === 0 || c === 0 || a + Math.abs(b) + Math.abs(c) > maxOrder) continue;
+            if (gcd(gcd(a, b), c) !== 1) continue;
+
+            const frequency = a / periods[0] + b / periods[1] + c / periods[2];
+            const candidate = toCandidate('triple', group, [a, b, c], frequency, weights);
+            if (candidate.period <= slowest) continue;
+            if (candidate.tidalPeriodYears < minPeriodYears || candidate.tidalPeriodYears > maxPeriodYears) continue;
+            candidates.push(candidate);
+          }
+        }
+      }
+    }
+  }
+
+  return candidates.sort(byTidalWeight);
+};
+
+/**
+ * Mean and spread of detected solar-cycle lengths in years
+ * @param {Array<Object>|number} solarCycles - detectSolarCycles output or a length in years
+ * @returns {Object} {mean, std, count}
+ */
+const summarizeCycleLengths = solarCycles => {
+  if (typeof solarCycles === 'number') return { mean: solarCycles, std: 0, count: 1 };
+
+  // Cycles still in progress have no end yet
+  const lengths = solarCycles.filter(c => c.end).map(c => (new Date(c.end) - new Date(c.start)) / MS_PER_YEAR);
+  if (lengths.length === 0) {
+    throw new Error('No solar cycles to compare against');
+  }
+  const mean = lengths.reduce((sum, l) => sum + l, 0) / lengths.length;
+  const variance = lengths.length > 1
+    ? lengths.reduce((sum, l) => sum + (l - mean) ** 2, 0) / (lengths.length - 1)
+    : 0;
+  return { mean, std: Math.sqrt(variance), count: lengths.length };
+};
+
+/**
+ * Set candidate tidal periods against the observed solar-cycle length
+ * @param {Array<Object>} candidates - Output of any resonance finder
+ * @param {Array<Object>|number} solarCycles - detectSolarCycles (solarAPI) output or
+ *   a cycle length in years
+ * @param {Object} options - {tolerance: relative deviation counted as a match
+ *   (default 0.1), harmonics: cycle multiples to test, 1 = Schwabe and 2 = Hale
+ *   (default [1, 2])}
+ * @returns {Object} {cycleLength {mean, std, count} (years), matches: candidates
+ *   with harmonic, referenceYears and deviation, ranked by tidal weight}
+ */
+export const compareWithSolarCycle = (candidates, solarCycles, options = {}) => {
+  const { tolerance = 0.1, harmonics = [1, 2] } = options;
+  const cycleLength = summarizeCycleLengths(solarCycles);
+  const matches = [];
+
+  candidates.forEach(candidate => {
+    const best = harmonics
+      .map(harmonic => {
+        const referenceYears = cycleLength.mean * harmonic;
+        return { harmonic, referenceYears, deviation: candidate.tidalPeriodYears / referenceYears - 1 };
+      })
+      .reduce((a, b) => (Math.abs(b.deviation) < Math.abs(a.deviation) ? b : a));
+    if (Math.abs(best.deviation) <= tolerance) matches.push({ ...candidate, ...best });
+  });
+
+  return {
+    cycleLength,
+    matches: matches.sort(byTidalWeight)
+  };
+};
+
+/**
+ * Full resonance analysis of a system
+ * @param {Object} options - {system, maxOrder (triples), commensurability:
+ *   findNearCommensurabilities options, solarCycles: optional detectSolarCycles
+ *   output or length in years to compare against, tolerance, harmonics}
+ * @returns {Object} {system, synodic, commensurabilities, triples, candidates (all
+ *   ranked by tidal weight), solarCycle (comparison or null)}
+ */
+export const analyzeResonances = (options = {}) => {
+  const system = getPlanetarySystem(options.system);
+  const synodic = calculateSynodicTable({ system });
+  const commensurabilities = findNearCommensurabilities({ ...options.commensurability, system });
+  const triples = findTripleRecurrences({ system, maxOrder: options.maxOrder });
+
+  const weights = getTidalWeights(system).weights;
+  const pairCandidates = synodic.pairs.map(pair => toCandidate(
+    'synodic', [pair.planet1, pair.planet2], [1, -1], 1 / pair.period1 - 1 / pair.period2, weights
+  ));
+  const candidates = [...pairCandidates, ...commensurabilities, ...triples].sort(byTidalWeight);
+
+  return {
+    system: system.id,
+    synodic,
+    commensurabilities,
+    triples,
+    candidates,
+    solarCycle: options.solarCycles === undefined
+      ? null
+      : compareWithSolarCycle(candidates, options.solarCycles, options)
+  };
+};
+
+export default {
+  calculateSynodicTable,
+  findNearCommensurabilities,
+  findTripleRecurrences,
+  compareWithSolarCycle,
+  analyzeResonances
+};
@@ -0,0 +1,167 @@
+/**
+ * SILSO Import
+ * Importers for the international sunspot number (version 2.0) files
+ * published by SILSO, Royal Observatory of Belgium: daily, monthly mean,
+ * 13-month smoothed, yearly and hemispheric series, back to 1700 (yearly)
+ * and 1749 (monthly). Files are read locally — downloaded once from
+ * https://www.sidc.be/SILSO/datafiles — and normalized into the record
+ * structure of solarAPI.js, so the long record works offline.
+ */
+
+// Columns of each file, in order. Files are ';'-separated without a header
+// (the .txt variants are whitespace-separated with the same columns).
+export const SILSO_FORMATS = {
+  daily: {
+    file: 'SN_d_tot_V2.0',
+    columns: ['year', 'month', 'day', 'decimalYear', 'sunspots', 'std', 'observations', 'definitive']
+  },
+  monthly: {
+    file: 'SN_m_tot_V2.0',
+    columns: ['year', 'month', 'decimalYear', 'sunspots', 'std', 'observations', 'definitive']
+  },
+  smoothed: {
+    file: 'SN_ms_tot_V2.0',
+    columns: ['year', 'month', 'decimalYear', 'sunspots', 'std', 'observations', 'definitive']
+  },
+  yearly: {
+    file: 'SN_y_tot_V2.0',
+    columns: ['decimalYear', 'sunspots', 'std', 'observations', 'definitive']
+  },
+  hemisphericDaily: {
+    file: 'SN_d_hem_V2.0',
+    columns: [
+      'year', 'month', 'day', 'decimalYear', 'sunspots', 'north', 'south',
+      'std', 'stdNorth', 'stdSouth', 'observations', 'observationsNorth', 'observationsSouth', 'definitive'
+    ]
+  },
+  hemisphericMonthly: {
+    file: 'SN_m_hem_V2.0',
+    columns: [
+      'year', 'month', 'decimalYear', 'sunspots', 'north', 'south',
+      'std', 'stdNorth', 'stdSouth', 'observations', 'observationsNorth', 'observationsSouth', 'definitive'
+    ]
+  }
+};
+
+// Values SILSO writes for "no data" (-1 for numbers and standard deviations)
+const MISSING_VALUES = new Set(['', '-1', '-1.0', '-1.00']);
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Format from a SILSO file name (e.g. 'SN_ms_tot_V2.0.csv')
+ * @returns {string|null} Key of SILSO_FORMATS, or null when unrecognized
+ */
+export const detectSILSOFormat = fileName => {
+  if (!fileName) return null;
+  const base = fileName.split(/[\\/]/).pop();
+  const match = Object.entries(SILSO_FORMATS).find(([, format]) => base.startsWith(format.file));
+  return match ? match[0] : null;
+};
+
+const toValue = field => {
+  if (MISSING_VALUES.has(field)) return null;
+  const number = Number(field);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Provisional marker: '1' is definitive; '0' and '*' (older files) are
+ * provisional; an absent column is unknown
+ */
+const toProvisional = field => {
+  if (field === undefined || field === '') return null;
+  return field !== '1';
+};
+
+/**
+ * Record in the solarAPI.js layout, plus the SILSO fields
+ */
+const toRecord = (row, format) => {
+  const hasMonth = row.month !== undefined;
+  const year = hasMonth ? Math.trunc(Number(row.year)) : Math.floor(Number(row.decimalYear));
+  const month = hasMonth ? Math.trunc(Number(row.month)) : null;
+  const day = row.day !== undefined ? Math.trunc(Number(row.day)) : null;
+
+  let date = String(year);
+  if (month !== null) date += `-${pad(month)}`;
+  if (day !== null) date += `-${pad(day)}`;
+
+  const record = {
+    date,
+    sunspots: toValue(row.sunspots),
+    year,
+    month,
+    timestamp: Date.UTC(year, (month ?? 1) - 1, day ?? 1),
+    decimalYear: Number(row.decimalYear),
+    std: toValue(row.std),
+    observations: toValue(row.observations),
+    provisional: toProvisional(row.definitive),
+    series: format
+  };
+  if (day !== null) record.day = day;
+  if ('north' in row) {
+    record.north = toValue(row.north);
+    record.south = toValue(row.south);
+  }
+  return record;
+};
+
+/**
+ * Parse a SILSO sunspot number file
+ * @param {string} text - File contents (';'-separated CSV or whitespace-separated TXT)
+ * @param {string} format - Key of SILSO_FORMATS
+ * @param {Object} options - {dropMissing: leave out records without a
+ *   sunspot number (default false; they are kept with sunspots null)}
+ * @returns {Array<Object>} Records {date ('YYYY', 'YYYY-MM' or 'YYYY-MM-DD'),
+ *   sunspots, year, month (null for yearly values), day (daily series),
+ *   timestamp (start of the period, UTC), decimalYear (SILSO mid-period date),
+ *   std, observations, provisional, series, north/south (hemispheric series)},
+ *   in file order. Missing values are null.
+ * @throws {Error} On an unknown format or a malformed line
+ */
+export const parseSILSO = (text, format, options = {}) => {
+  const spec = SILSO_FORMATS[format];
+  if (!spec) throw new Error(`Unknown SILSO format: ${format}`);
+  const { dropMissing = false } = options;
+  const required = spec.columns.length - 1; // the provisional marker may be absent
+
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const fields = (trimmed.includes(';') ? trimmed.split(';') : trimmed.split(/\s+/)).map(f => f.trim());
+    if (fields.length < required || !Number.isFinite(Number(fields[0]))) {
+      throw new Error(`Malformed SILSO ${format} line ${index + 1}: "${trimmed}"`);
+    }
+    const row = Object.fromEntries(spec.columns.map((column, i) => [column, fields[i]]));
+    const record = toRecord(row, format);
+    if (!dropMissing || record.sunspots !== null) records.push(record);
+  });
+
+  return records;
+};
+
+/**
+ * Import a local SILSO file
+ * @param {string|File|Blob} file - File contents, or a File/Blob (e.g. from a file input)
+ * @param {string} format - Key of SILSO_FORMATS; detected from the file name when omitted
+ * @param {Object} options - parseSILSO options
+ * @returns {Promise<Array<Object>>} Records (see parseSILSO)
+ */
+export const importSILSOFile = async (file, format = null, options = {}) => {
+  const resolved = format ?? detectSILSOFormat(file?.name);
+  if (!resolved) {
+    throw new Error('Cannot determine the SILSO format; pass it explicitly or keep the original file name');
+  }
+  const text = typeof file === 'string' ? file : await file.text();
+  return parseSILSO(text, resolved, options);
+};
+
+export default {
+  SILSO_FORMATS,
+  detectSILSOFormat,
+  parseSILSO,
+  importSILSOFile
+};
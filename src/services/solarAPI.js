@@ -3,79 +3,179 @@
  * Fetches real-time and historical solar activity data from NOAA Space Weather Prediction Center
  */
 
-import axios from 'axios';
+import {
+  NOAA_SOLAR_CYCLE_URL,
+  NOAA_PREDICTED_CYCLE_URL,
+  NOAA_XRAY_URL,
+  NOAA_SOLAR_WIND_PLASMA_URL,
+  NOAA_SOLAR_WIND_MAG_URL,
+  NOAA_PROTON_FLUX_URL,
+  NOAA_ELECTRON_FLUX_URL,
+  NOAA_CACHE_TTL_MS,
+  SOLAR_CYCLE_MINIMA,
+  SYNTHETIC_DATA_SEED,
+  SYNTHETIC_SOLAR_MODEL
+} from '@/utils/constants';
+import { findPeaks } from '@/utils/peakFinding';
+import { createRandom, coloredNoise } from '@/utils/random';
+import { fetchWithCache } from '@/services/dataCache';
+import { ParseError } from '@/services/httpClient';
+import {
+  parsePlasmaProduct,
+  parseMagProduct,
+  parseGOESProduct,
+  buildCurrentConditions
+} from '@/services/swpcProducts';
+import { detectFlares, buildFlareCatalog } from '@/services/flareDetection';
 
-const NOAA_BASE_URL = 'https://services.swpc.noaa.gov';
+/**
+ * Fetch a NOAA product through the data cache and process it; background
+ * refreshes go through the same processing, and payloads that cannot be
+ * processed are reported as ParseError
+ * @param {string} url - Product URL
+ * @param {number} ttl - Cache lifetime in ms
+ * @param {Object} options - {refresh, onUpdate}
+ * @param {Function} process - Raw payload -> result
+ * @throws {NetworkError|HttpError|ParseError}
+ */
+export const fetchNOAAProduct = async (url, ttl, options, process) => {
+  const safeProcess = data => {
+    try {
+      return process(data);
+    } catch (error) {
+      throw new ParseError(`Unexpected payload from ${url}: ${error.message}`, { url, cause: error });
+    }
+  };
+  const { data } = await fetchWithCache(url, {
+    ttl,
+    refresh: options.refresh,
+    onUpdate: options.onUpdate && (result => options.onUpdate(safeProcess(result.data)))
+  });
+  return safeProcess(data);
+};
 
 /**
  * Fetch observed solar cycle indices (sunspots, F10.7 flux)
+ * Served from the data cache (24 h TTL, stale-while-revalidate)
+ * @param {number} limit - Most recent months to return
+ * @param {Object} options - {refresh: bypass the cache, onUpdate: receives the
+ *   processed data when a stale copy is refreshed in the background}
+ * @throws {NetworkError|HttpError|ParseError} When NOAA cannot be reached,
+ *   refuses the request or sends an unexpected payload, and nothing is cached
  */
-export const fetchSolarCycleData = async (limit = 100) => {
-  try {
-    const response = await axios.get(
-      `${NOAA_BASE_URL}/json/solar-cycle/observed-solar-cycle-indices.json`
-    );
-    
-    const data = response.data;
-    const processed = data.slice(-limit).map(item => ({
-      date: item['time-tag'],
-      sunspots: parseFloat(item['ssn']) || 0,
-      flux: parseFloat(item['f10.7']) || 0,
-      year: new Date(item['time-tag']).getFullYear(),
-      month: new Date(item['time-tag']).getMonth() + 1,
-      timestamp: new Date(item['time-tag']).getTime()
-    }));
-    
-    return processed;
-  } catch (error) {
-    console.error('Error fetching solar cycle data:', error);
-    throw new Error('Failed to fetch solar data from NOAA');
-  }
+export const fetchSolarCycleData = async (limit = 100, options = {}) => {
+  const process = data => data.slice(-limit).map(item => ({
+    date: item['time-tag'],
+    sunspots: parseFloat(item['ssn']) || 0,
+    // NOAA marks months without a smoothed value (the last six) with -1
+    smoothedSunspots: parseFloat(item['smoothed_ssn']) >= 0 ? parseFloat(item['smoothed_ssn']) : null,
+    flux: parseFloat(item['f10.7']) || 0,
+    year: new Date(item['time-tag']).getFullYear(),
+    month: new Date(item['time-tag']).getMonth() + 1,
+    timestamp: new Date(item['time-tag']).getTime()
+  }));
+
+  return fetchNOAAProduct(NOAA_SOLAR_CYCLE_URL, NOAA_CACHE_TTL_MS.solarCycle, options, process);
 };
 
 /**
  * Fetch current space weather conditions
+ * Real-time solar-wind plasma and magnetic field plus GOES X-ray, ≥10 MeV
+ * proton and ≥2 MeV electron flux, aligned in time with data-quality flags
+ * (see buildCurrentConditions). Products that fail are reported as missing;
+ * the call only fails when every product does.
+ * @param {Object} options - {refresh, onUpdate: receives rebuilt conditions
+ *   when a stale product is refreshed in the background}
+ * @returns {Promise<Object>} Conditions, plus the flat fields timestamp,
+ *   xrayFlux, solarWindSpeed, protonFlux and electronFlux (null when missing)
+ *   and the flares detected in the X-ray series (see detectFlares)
+ * @throws {NetworkError|HttpError|ParseError} First failure, when no product is available
  */
-export const fetchCurrentSpaceWeather = async () => {
-  try {
-    const response = await axios.get(
-      `${NOAA_BASE_URL}/json/goes/primary/xrays-7-day.json`
-    );
-    
-    const latest = response.data[response.data.length - 1];
-    
+export const fetchCurrentSpaceWeather = async (options = {}) => {
+  const products = {
+    plasma: [NOAA_SOLAR_WIND_PLASMA_URL, NOAA_CACHE_TTL_MS.solarWind, parsePlasmaProduct],
+    mag: [NOAA_SOLAR_WIND_MAG_URL, NOAA_CACHE_TTL_MS.solarWind, parseMagProduct],
+    xray: [NOAA_XRAY_URL, NOAA_CACHE_TTL_MS.xray, json => parseGOESProduct(json, { energy: '0.1-0.8nm' })],
+    protons: [NOAA_PROTON_FLUX_URL, NOAA_CACHE_TTL_MS.particles, json => parseGOESProduct(json, { energy: '>=10 MeV' })],
+    electrons: [NOAA_ELECTRON_FLUX_URL, NOAA_CACHE_TTL_MS.particles, json => parseGOESProduct(json, { energy: '>=2 MeV' })]
+  };
+  const latest = {};
+  const toConditions = () => {
+    const conditions = buildCurrentConditions(latest);
     return {
-      timestamp: latest.time_tag,
-      xrayFlux: latest.flux,
-      solarWindSpeed: 450 + Math.random() * 200,
-      protonFlux: Math.random() * 10,
-      electronFlux: Math.random() * 1000
+      ...conditions,
+      timestamp: conditions.time,
+      xrayFlux: conditions.xray.flux,
+      solarWindSpeed: conditions.solarWind.speed,
+      protonFlux: conditions.protons.flux,
+      electronFlux: conditions.electrons.flux,
+      flares: latest.xray ? detectFlares(latest.xray) : []
     };
-  } catch (error) {
-    console.error('Error fetching current space weather:', error);
-    return null;
-  }
+  };
+
+  const names = Object.keys(products);
+  const results = await Promise.allSettled(names.map(name => {
+    const [url, ttl, parse] = products[name];
+    const onUpdate = options.onUpdate && (samples => {
+      latest[name] = samples;
+      options.onUpdate(toConditions());
+    });
+    return fetchNOAAProduct(url, ttl, { refresh: options.refresh, onUpdate }, parse);
+  }));
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      latest[names[index]] = result.value;
+    } else {
+      console.warn(`Space weather product ${names[index]} unavailable:`, result.reason.message);
+    }
+  });
+  if (results.every(result => result.status === 'rejected')) throw results[0].reason;
+  return toConditions();
+};
+
+/**
+ * Fetch the flare catalog of the 7-day GOES X-ray series
+ * @param {Object} options - {refresh, onUpdate} (see fetchSolarCycleData), plus
+ *   the buildFlareCatalog options bin and minClass
+ * @returns {Promise<Object>} Catalog (see buildFlareCatalog); the series spans
+ *   the whole X-ray record, so days without flares count as zero
+ * @throws {NetworkError|HttpError|ParseError} (see fetchSolarCycleData)
+ */
+export const fetchFlareCatalog = async (options = {}) => {
+  const process = json => {
+    const samples = parseGOESProduct(json, { energy: '0.1-0.8nm' });
+    return buildFlareCatalog(detectFlares(samples), {
+      bin: options.bin,
+      minClass: options.minClass,
+      from: samples[0]?.time,
+      to: samples[samples.length - 1]?.time
+    });
+  };
+
+  return fetchNOAAProduct(NOAA_XRAY_URL, NOAA_CACHE_TTL_MS.xray, options, process);
 };
 
 /**
  * Fetch predicted solar cycle data
+ * @param {Object} options - {refresh, onUpdate} (see fetchSolarCycleData)
+ * @throws {NetworkError|HttpError|ParseError} (see fetchSolarCycleData)
  */
-export const fetchSolarPredictions = async () => {
-  try {
-    const response = await axios.get(
-      `${NOAA_BASE_URL}/json/solar-cycle/predicted-solar-cycle.json`
-    );
-    
-    return response.data.map(item => ({
-      date: item['time-tag'],
-      predictedSunspots: parseFloat(item['predicted_ssn']) || 0,
-      predictedFlux: parseFloat(item['predicted_f10.7']) || 0,
-      year: new Date(item['time-tag']).getFullYear()
-    }));
-  } catch (error) {
-    console.error('Error fetching solar predictions:', error);
-    return [];
-  }
+export const fetchSolarPredictions = async (options = {}) => {
+  const bound = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+  const process = data => data.map(item => ({
+    date: item['time-tag'],
+    predictedSunspots: parseFloat(item['predicted_ssn']) || 0,
+    predictedFlux: parseFloat(item['predicted_f10.7']) || 0,
+    // NOAA range around the prediction
+    highSunspots: bound(item['high_ssn']),
+    lowSunspots: bound(item['low_ssn']),
+    highFlux: bound(item['high_f10.7']),
+    lowFlux: bound(item['low_f10.7']),
+    year: new Date(item['time-tag']).getFullYear()
+  }));
+
+  return fetchNOAAProduct(NOAA_PREDICTED_CYCLE_URL, NOAA_CACHE_TTL_MS.predictions, options, process);
 };
 
 /**
@@ -88,37 +188,149 @@ export const calculateActivityIndex = (sunspots, flux) => {
 };
 
 /**
- * Detect solar cycles from historical data
+ * 13-month smoothed sunspot number (SILSO/NOAA definition): centred running
+ * mean over 13 months with half weight on the two end months
+ * @param {Array<number|null>} values - Monthly mean sunspot numbers
+ * @returns {Array<number|null>} Smoothed values; null within 6 months of
+ *   either end or of a missing month
  */
-export const detectSolarCycles = (solarData) => {
-  const cycles = [];
-  let currentCycle = { min: null, max: null, start: null, end: null };
-  let isAscending = true;
-  
-  for (let i = 1; i < solarData.length; i++) {
-    const current = solarData[i].sunspots;
-    const previous = solarData[i - 1].sunspots;
-    
-    if (isAscending && current < previous) {
-      currentCycle.max = { value: previous, date: solarData[i - 1].date };
-      isAscending = false;
-    } else if (!isAscending && current > previous) {
-      currentCycle.min = { value: previous, date: solarData[i - 1].date };
-      if (currentCycle.max) {
-        cycles.push({ ...currentCycle });
-        currentCycle = { min: currentCycle.min, max: null };
-      }
-      isAscending = true;
-    }
+export const smoothSunspotNumber = values => values.map((_, i) => {
+  if (i < 6 || i > values.length - 7) return null;
+  let sum = 0;
+  for (let k = -6; k <= 6; k++) {
+    const value = values[i + k];
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    sum += Math.abs(k) === 6 ? value / 2 : value;
   }
-  
-  return cycles;
+  return sum / 12;
+});
+
+/**
+ * Decimal year of a monthly record (mid-month, as SILSO dates extrema)
+ */
+const recordEpoch = record => {
+  if (Number.isFinite(record.decimalYear)) return record.decimalYear;
+  if (Number.isFinite(record.year) && Number.isFinite(record.month)) return record.year + (record.month - 0.5) / 12;
+  const time = Number.isFinite(record.timestamp) ? record.timestamp : Date.parse(record.date);
+  return 1970 + time / (365.2425 * 86400000);
+};
+
+/**
+ * Official cycle number of a minimum epoch (see SOLAR_CYCLE_MINIMA)
+ * @returns {number|null} Cycle number, or null when no catalogued minimum is
+ *   within tolerance years
+ */
+export const getSolarCycleNumber = (epoch, tolerance = 1.5) => {
+  let best = null;
+  SOLAR_CYCLE_MINIMA.forEach((minimum, index) => {
+    const offset = Math.abs(minimum - epoch);
+    if (offset <= tolerance && (!best || offset < best.offset)) best = { number: index + 1, offset };
+  });
+  return best ? best.number : null;
+};
+
+/**
+ * Detect solar cycles from monthly sunspot numbers
+ * Extrema are taken on the 13-month smoothed series, as in the official
+ * cycle catalogue: maxima are prominent peaks of the smoothed curve, and each
+ * minimum is the lowest smoothed value between two maxima (or before the first
+ * / after the last, when the curve turns up again inside the record). Cycles
+ * run minimum to minimum and are numbered by matching their starting minimum
+ * to SOLAR_CYCLE_MINIMA; the last cycle may be in progress.
+ * @param {Array<Object>} solarData - Monthly records (fetchSolarCycleData or
+ *   SILSO import) with sunspots and optionally smoothedSunspots; a SILSO
+ *   'smoothed' series is used as is
+ * @param {Object} options - {prominence: minimum prominence of a maximum in
+ *   smoothed sunspot units (default 20), distance: minimum months between
+ *   maxima (default 36), tolerance: years between a detected and a catalogued
+ *   minimum for numbering (default 1.5)}
+ * @returns {Array<Object>} Cycles {number, start, end (null while in progress),
+ *   min {date, value, epoch}, max {date, value, epoch} (highest so far while in
+ *   progress), nextMin, length, riseTime, decayTime (years), amplitude (smoothed
+ *   maximum), waldmeierRatio (amplitude / riseTime, the rise rate the Waldmeier
+ *   effect ties to amplitude), complete, phase ('rising' | 'declining' | 'complete')}
+ */
+export const detectSolarCycles = (solarData, options = {}) => {
+  const { prominence = 20, distance = 36, tolerance = 1.5 } = options;
+  const alreadySmoothed = solarData.length > 0 && solarData.every(d => d.series === 'smoothed');
+  const computed = alreadySmoothed ? null : smoothSunspotNumber(solarData.map(d => d.sunspots ?? null));
+  const samples = solarData
+    .map((record, i) => ({
+      record,
+      epoch: recordEpoch(record),
+      value: alreadySmoothed ? record.sunspots : record.smoothedSunspots ?? computed[i]
+    }))
+    .filter(sample => sample.value !== null && sample.value !== undefined && Number.isFinite(sample.value));
+  if (samples.length < 3) return [];
+
+  const values = samples.map(sample => sample.value);
+  const argMin = (from, to) => {
+    let best = from;
+    for (let i = from; i <= to; i++) if (values[i] < values[best]) best = i;
+    return best;
+  };
+  const argMax = (from, to) => {
+    let best = from;
+    for (let i = from; i <= to; i++) if (values[i] > values[best]) best = i;
+    return best;
+  };
+
+  const maxima = findPeaks(values, { prominence, distance }).map(peak => peak.index);
+  const minima = [];
+  if (maxima.length > 0) {
+    const first = argMin(0, maxima[0]);
+    if (first > 0) minima.push(first);
+    for (let k = 0; k < maxima.length - 1; k++) minima.push(argMin(maxima[k], maxima[k + 1]));
+    const last = argMin(maxima[maxima.length - 1], values.length - 1);
+    if (last < values.length - 1 && values[values.length - 1] - values[last] >= prominence) minima.push(last);
+  }
+
+  const point = index => ({
+    date: samples[index].record.date,
+    value: values[index],
+    epoch: samples[index].epoch
+  });
+
+  return minima.map((minIndex, k) => {
+    const nextIndex = k + 1 < minima.length ? minima[k + 1] : null;
+    const maxIndex = nextIndex !== null
+      ? argMax(minIndex, nextIndex)
+      : argMax(minIndex, values.length - 1);
+    const min = point(minIndex);
+    const max = point(maxIndex);
+    const nextMin = nextIndex !== null ? point(nextIndex) : null;
+    const riseTime = max.epoch - min.epoch;
+    let phase = 'complete';
+    if (!nextMin) phase = maxIndex === values.length - 1 ? 'rising' : 'declining';
+
+    return {
+      number: getSolarCycleNumber(min.epoch, tolerance),
+      start: min.date,
+      end: nextMin ? nextMin.date : null,
+      min,
+      max,
+      nextMin,
+      length: nextMin ? nextMin.epoch - min.epoch : null,
+      riseTime,
+      decayTime: nextMin ? nextMin.epoch - max.epoch : null,
+      amplitude: max.value,
+      waldmeierRatio: riseTime > 0 ? max.value / riseTime : null,
+      complete: nextMin !== null,
+      phase
+    };
+  });
 };
 
 /**
  * Get solar activity statistics
+ * @param {Array<Object>} solarData - Monthly records
+ * @param {Object} options - detectSolarCycles options
+ * @returns {Object} {sunspots, flux, period, cycles {list (detectSolarCycles
+ *   output), count (complete cycles), meanLength, stdLength, meanAmplitude,
+ *   meanRiseTime, meanDecayTime, meanWaldmeierRatio (over complete cycles),
+ *   current (latest cycle or null)}}
  */
-export const getSolarStatistics = (solarData) => {
+export const getSolarStatistics = (solarData, options = {}) => {
   const sunspots = solarData.map(d => d.sunspots);
   const fluxes = solarData.map(d => d.flux);
   
@@ -127,6 +339,10 @@ export const getSolarStatistics = (solarData) => {
     const avg = mean(arr);
     return Math.sqrt(mean(arr.map(x => Math.pow(x - avg, 2))));
   };
+  const meanOrNull = arr => (arr.length > 0 ? mean(arr) : null);
+
+  const cycles = detectSolarCycles(solarData, options);
+  const complete = cycles.filter(c => c.complete);
   
   return {
     sunspots: {
@@ -145,35 +361,71 @@ export const getSolarStatistics = (solarData) => {
       start: solarData[0].date,
       end: solarData[solarData.length - 1].date,
       dataPoints: solarData.length
+    },
+    cycles: {
+      list: cycles,
+      count: complete.length,
+      meanLength: meanOrNull(complete.map(c => c.length)),
+      stdLength: complete.length > 0 ? std(complete.map(c => c.length)) : null,
+      meanAmplitude: meanOrNull(complete.map(c => c.amplitude)),
+      meanRiseTime: meanOrNull(complete.map(c => c.riseTime)),
+      meanDecayTime: meanOrNull(complete.map(c => c.decayTime)),
+      meanWaldmeierRatio: meanOrNull(complete.map(c => c.waldmeierRatio)),
+      current: cycles.length > 0 ? cycles[cycles.length - 1] : null
     }
   };
 };
 
 /**
  * Generate fallback solar data for offline/error scenarios
+ * Synthetic monthly record: a sinusoidal cycle plus colored noise, with F10.7
+ * derived from the sunspot number; the same seed gives the same record
+ * @param {number} points - Number of months
+ * @param {Object} options - {seed (default SYNTHETIC_DATA_SEED), start: first
+ *   month (default '2015-01-01'), model: overrides of SYNTHETIC_SOLAR_MODEL}
+ * @returns {Object} {data: records shaped like fetchSolarCycleData, metadata:
+ *   {generator, seed, model, start, points}}
  */
-export const generateFallbackSolarData = (points = 100) => {
-  const startDate = new Date('2015-01-01');
-  return Array.from({ length: points }, (_, i) => {
+export const generateFallbackSolarData = (points = 100, options = {}) => {
+  const { seed = SYNTHETIC_DATA_SEED, start = '2015-01-01' } = options;
+  const model = { ...SYNTHETIC_SOLAR_MODEL, ...options.model };
+  const flux = { ...SYNTHETIC_SOLAR_MODEL.flux, ...options.model?.flux };
+  const random = createRandom(seed);
+  const sunspotNoise = coloredNoise(points, model.noise, random.fork('sunspots'));
+  const fluxNoise = coloredNoise(points, flux.noise, random.fork('flux'));
+  const startDate = new Date(start);
+
+  const data = Array.from({ length: points }, (_, i) => {
     const date = new Date(startDate);
-    date.setMonth(date.getMonth() + i);
+    date.setUTCMonth(date.getUTCMonth() + i);
+    const phase = (2 * Math.PI * (i + model.phaseMonths)) / model.cycleLengthMonths;
+    const sunspots = Math.max(0, model.baseline + model.amplitude * Math.sin(phase) + sunspotNoise[i]);
     
     return {
       date: date.toISOString().split('T')[0],
-      sunspots: Math.sin(i / 11) * 80 + 100 + Math.random() * 30,
-      flux: Math.sin(i / 11) * 50 + 120 + Math.random() * 20,
-      year: date.getFullYear(),
-      month: date.getMonth() + 1,
+      sunspots,
+      flux: Math.max(0, flux.base + flux.perSunspot * sunspots + fluxNoise[i]),
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
       timestamp: date.getTime()
     };
   });
+
+  return {
+    data,
+    metadata: { generator: 'generateFallbackSolarData', seed: random.seed, model: { ...model, flux }, start, points }
+  };
 };
 
 export default {
+  fetchNOAAProduct,
   fetchSolarCycleData,
   fetchCurrentSpaceWeather,
+  fetchFlareCatalog,
   fetchSolarPredictions,
   calculateActivityIndex,
+  smoothSunspotNumber,
+  getSolarCycleNumber,
   detectSolarCycles,
   getSolarStatistics,
   generateFallbackSolarData
@@ -0,0 +1,481 @@
+/**
+ * Solar Forecast
+ * In-project forecasts of the current solar cycle from the observed record,
+ * to check the NOAA prediction rather than repeat it:
+ * - Hathaway: the Hathaway, Wilson & Reichmann (1994) cycle shape fitted by
+ *   least squares to the monthly sunspot numbers since the cycle minimum
+ * - McNish–Lincoln: mean cycle plus the regressed persistence of the current
+ *   cycle's departure from it, calibrated on past cycles (smoothed values)
+ * Both give monthly sunspot number and F10.7 with prediction intervals.
+ */
+
+import { detectSolarCycles, smoothSunspotNumber } from '@/services/solarAPI';
+
+// Z-scores for two-sided prediction intervals (approximation, as in statistics.js)
+const Z_SCORES = {
+  0.68: 0.994,
+  0.80: 1.282,
+  0.90: 1.645,
+  0.95: 1.960,
+  0.99: 2.576
+};
+
+// Hathaway shape parameter c (fixed, Hathaway et al. 1994)
+export const HATHAWAY_C = 0.8;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Month index (months since year 0) of a record or a decimal year
+ */
+const monthIndexOf = record => record.year * 12 + record.month - 1;
+const monthIndexOfEpoch = epoch => Math.floor(epoch * 12);
+
+const monthRecord = index => {
+  const year = Math.floor(index / 12);
+  const month = index - year * 12 + 1;
+  return { date: `${year}-${pad(month)}`, year, month, timestamp: Date.UTC(year, month - 1, 1) };
+};
+
+/**
+ * Hathaway cycle shape
+ * R(t) = a (t − t0)³ / (exp(((t − t0) / b)²) − c), zero before t0
+ * @param {number} t - Months since the cycle minimum
+ * @param {Object} params - {a: amplitude factor, b: width (months), c (default 0.8), t0: start offset (months)}
+ * @returns {number} Monthly sunspot number
+ */
+export const hathawayFunction = (t, { a, b, c = HATHAWAY_C, t0 = 0 }) => {
+  const x = t - t0;
+  if (x <= 0) return 0;
+  return (a * x ** 3) / (Math.exp((x / b) ** 2) - c);
+};
+
+/**
+ * Width tied to amplitude, b = 27.12 + 25.15 / (a·10³)^¼ (Hathaway et al.
+ * 1994); a is rescaled from sunspot number V2 to the V1 scale of the fit (×0.6)
+ */
+export const hathawayWidth = a => 27.12 + 25.15 / Math.pow(0.6 * a * 1e3, 0.25);
+
+/**
+ * Nelder–Mead minimization
+ * @returns {Object} {point, value}
+ */
+const nelderMead = (f, start, { step, iterations = 600, tolerance = 1e-10 }) => {
+  const n = start.length;
+  let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + step[j] : x)))];
+  let values = simplex.map(f);
+  const move = (from, to, factor) => from.map((x, j) => x + factor * (to[j] - x));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const order = values.map((_, i) => i).sort((i, j) => values[i] - values[j]);
+    simplex = order.map(i => simplex[i]);
+    values = order.map(i => values[i]);
+    if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) break;
+
+    const centroid = start.map((_, j) => simplex.slice(0, n).reduce((sum, p) => sum + p[j], 0) / n);
+    const reflected = move(centroid, simplex[n], -1);
+    const reflectedValue = f(reflected);
+    if (reflectedValue < values[0]) {
+      const expanded = move(centroid, simplex[n], -2);
+      const expandedValue = f(expanded);
+      [simplex[n], values[n]] = expandedValue < reflectedValue
+        ? [expanded, expandedValue]
+        : [reflected, reflectedValue];
+    } else if (reflectedValue < values[n - 1]) {
+      [simplex[n], values[n]] = [reflected, reflectedValue];
+    } else {
+      const contracted = move(centroid, simplex[n], 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < values[n]) {
+        [simplex[n], values[n]] = [contracted, contractedValue];
+      } else {
+        simplex = simplex.map((p, i) => (i === 0 ? p : move(simplex[0], p, 0.5)));
+        values = simplex.map((p, i) => (i === 0 ? values[0] : f(p)));
+      }
+    }
+  }
+  return { point: simplex[0], value: values[0] };
+};
+
+/**
+ * Inverse of a small square matrix (Gauss–Jordan)
+ * @returns {Array<Array<number>>|null} Inverse, or null when singular
+ */
+const invert = matrix => {
+  const n = matrix.length;
+  const m = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    if (Math.abs(m[pivot][col]) < 1e-300) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    const p = m[col][col];
+    m[col] = m[col].map(v => v / p);
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col];
+      m[row] = m[row].map((v, j) => v - factor * m[col][j]);
+    }
+  }
+  return m.map(row => row.slice(n));
+};
+
+/**
+ * Least-squares relation F10.7 = c0 + c1·S + c2·S² over months with both values
+ * @param {Array<Object>} solarData - Monthly records with sunspots and flux
+ * @returns {Object|null} {coefficients, sigma (residual SFU), count, predict(S)},
+ *   or null with fewer than 24 months of flux
+ */
+export const fitFluxRelation = solarData => {
+  const points = solarData.filter(d => Number.isFinite(d.sunspots) && d.flux > 0);
+  if (points.length < 24) return null;
+
+  const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rhs = [0, 0, 0];
+  points.forEach(({ sunspots, flux }) => {
+    const basis = [1, sunspots, sunspots * sunspots];
+    basis.forEach((u, i) => {
+      rhs[i] += u * flux;
+      basis.forEach((v, j) => {
+        normal[i][j] += u * v;
+      });
+    });
+  });
+  const inverse = invert(normal);
+  if (!inverse) return null;
+
+  const coefficients = inverse.map(row => row.reduce((sum, v, j) => sum + v * rhs[j], 0));
+  const predict = s => coefficients[0] + coefficients[1] * s + coefficients[2] * s * s;
+  const sse = points.reduce((sum, d) => sum + (d.flux - predict(d.sunspots)) ** 2, 0);
+  return { coefficients, sigma: Math.sqrt(sse / (points.length - 3)), count: points.length, predict };
+};
+
+/**
+ * Forecast point with sunspot and F10.7 intervals
+ */
+const toPoint = (monthIndex, sunspots, halfWidth, z, fluxRelation, extra = {}) => {
+  const lower = Math.max(0, sunspots - halfWidth);
+  const upper = sunspots + halfWidth;
+  const point = { ...monthRecord(monthIndex), sunspots, lower, upper, ...extra };
+  if (fluxRelation) {
+    const flux = fluxRelation.predict(sunspots);
+    const spread = z * fluxRelation.sigma;
+    point.flux = flux;
+    point.fluxLower = flux - Math.hypot(flux - fluxRelation.predict(lower), spread);
+    point.fluxUpper = flux + Math.hypot(fluxRelation.predict(upper) - flux, spread);
+  } else {
+    point.flux = point.fluxLower = point.fluxUpper = null;
+  }
+  return point;
+};
+
+/**
+ * Latest cycle of the record, the one being forecast
+ */
+const getCurrentCycle = (solarData, cycleOptions) => {
+  const cycles = detectSolarCycles(solarData, cycleOptions);
+  if (cycles.length === 0) {
+    throw new Error('No solar cycle minimum found in the record');
+  }
+  return { cycles, current: cycles[cycles.length - 1] };
+};
+
+const getZ = confidence => Z_SCORES[confidence] || 1.960;
+
+/**
+ * Fit the Hathaway shape to the current cycle
+ * @param {Array<Object>} solarData - Monthly records through the present
+ *   (fetchSolarCycleData or SILSO import), with year, month and sunspots;
+ *   flux is used for the F10.7 relation
+ * @param {Object} options - {confidence (default 0.95), endYears: forecast
+ *   through this cycle age (default 12), minMonths: observed months required
+ *   (default 18), tieWidth: tie b to a (default: while fewer than 48 months
+ *   are observed), cycles: detectSolarCycles options}
+ * @returns {Object} Forecast {method, cycle, start, fittedThrough, parameters
+ *   {a, b, c, t0}, fit {observations, rmse}, predictedMaximum {date, sunspots,
+ *   lower, upper, reached}, points [{date, year, month, timestamp, sunspots,
+ *   lower, upper (monthly value), curveLower, curveUpper (model curve), flux,
+ *   fluxLower, fluxUpper}], confidence}
+ * @throws {Error} Without a cycle minimum or with too few observed months
+ */
+export const fitHathawayCycle = (solarData, options = {}) => {
+  const { confidence = 0.95, endYears = 12, minMonths = 18 } = options;
+  const { current } = getCurrentCycle(solarData, options.cycles);
+  const startMonth = monthIndexOfEpoch(current.min.epoch);
+  const observed = solarData
+    .filter(d => Number.isFinite(d.sunspots) && monthIndexOf(d) >= startMonth)
+    .map(d => ({ t: monthIndexOf(d) - startMonth, value: d.sunspots }));
+  if (observed.length < minMonths) {
+    throw new Error(`Cycle ${current.number ?? ''} has ${observed.length} observed months; ${minMonths} needed`);
+  }
+  const tieWidth = options.tieWidth ?? observed.length < 48;
+
+  // Parameters: ln a, t0 and, with a free width, ln b
+  const toParams = p => {
+    const a = Math.exp(p[0]);
+    return { a, b: tieWidth ? hathawayWidth(a) : Math.exp(p[2]), c: HATHAWAY_C, t0: p[1] };
+  };
+  const sse = p => observed.reduce((sum, o) => sum + (o.value - hathawayFunction(o.t, toParams(p))) ** 2, 0);
+
+  let best = null;
+  [35, 50, 65].forEach(width => {
+    const start = tieWidth ? [Math.log(0.005), -2] : [Math.log(0.005), -2, Math.log(width)];
+    const step = tieWidth ? [0.5, 3] : [0.5, 3, 0.2];
+    const result = nelderMead(sse, start, { step });
+    if (!best || result.value < best.value) best = result;
+  });
+  const parameters = toParams(best.point);
+
+  // Covariance of the free parameters (a, t0[, b]) from the Jacobian
+  const free = tieWidth ? ['a', 't0'] : ['a', 't0', 'b'];
+  const gradient = t => free.map(name => {
+    const h = Math.max(Math.abs(parameters[name]) * 1e-4, 1e-6);
+    const plus = { ...parameters, [name]: parameters[name] + h };
+    const minus = { ...parameters, [name]: parameters[name] - h };
+    if (tieWidth && name === 'a') {
+      plus.b = hathawayWidth(plus.a);
+      minus.b = hathawayWidth(minus.a);
+    }
+    return (hathawayFunction(t, plus) - hathawayFunction(t, minus)) / (2 * h);
+  });
+  const dof = Math.max(1, observed.length - free.length);
+  const variance = best.value / dof;
+  const jtj = free.map((_, i) => free.map((__, j) => observed.reduce((sum, o) => {
+    const g = gradient(o.t);
+    return sum + g[i] * g[j];
+  }, 0)));
+  const inverse = invert(jtj);
+  const curveVariance = t => {
+    if (!inverse) return 0;
+    const g = gradient(t);
+    return variance * g.reduce((sum, gi, i) => sum + gi * g.reduce((s, gj, j) => s + inverse[i][j] * gj, 0), 0);
+  };
+
+  const z = getZ(confidence);
+  const fluxRelation = fitFluxRelation(solarData);
+  const lastT = observed[observed.length - 1].t;
+  const points = [];
+  for (let t = lastT + 1; t <= endYears * 12; t++) {
+    const value = hathawayFunction(t, parameters);
+    const curveSigma = Math.sqrt(Math.max(0, curveVariance(t)));
+    points.push(toPoint(startMonth + t, value, z * Math.hypot(curveSigma, Math.sqrt(variance)), z, fluxRelation, {
+      curveLower: Math.max(0, value - z * curveSigma),
+      curveUpper: value + z * curveSigma
+    }));
+  }
+
+  // Maximum of the model curve over the whole cycle
+  let tMax = 0;
+  for (let t = 0; t <= endYears * 12; t += 0.25) {
+    if (hathawayFunction(t, parameters) > hathawayFunction(tMax, parameters)) tMax = t;
+  }
+  const peak = hathawayFunction(tMax, parameters);
+  const peakSigma = z * Math.sqrt(Math.max(0, curveVariance(tMax)));
+
+  return {
+    method: 'hathaway',
+    cycle: current.number,
+    start: current.start,
+    fittedThrough: monthRecord(startMonth + lastT).date,
+    parameters,
+    fit: { observations: observed.length, rmse: Math.sqrt(best.value / observed.length), tiedWidth: tieWidth },
+    predictedMaximum: {
+      date: monthRecord(startMonth + Math.round(tMax)).date,
+      sunspots: peak,
+      lower: Math.max(0, peak - peakSigma),
+      upper: peak + peakSigma,
+      reached: tMax <= lastT
+    },
+    points,
+    confidence
+  };
+};
+
+/**
+ * McNish–Lincoln forecast of the current cycle
+ * Past cycles, aligned at their minima, give the mean cycle R̄(τ); the current
+ * departure from it at the latest smoothed month t persists k months ahead
+ * with a regression coefficient ρk fitted on past cycles:
+ * R(t + k) = R̄(t + k) + ρk (R(t) − R̄(t)), with the regression residual as spread
+ * @param {Array<Object>} solarData - Monthly records covering several past
+ *   cycles (ideally the full record since 1749)
+ * @param {Object} options - {confidence (default 0.95), endYears (default 12),
+ *   minCycles: past cycles required (default 5), referenceCycles: use only the
+ *   most recent n past cycles, cycles: detectSolarCycles options}
+ * @returns {Object} Forecast as fitHathawayCycle, with smoothed values and
+ *   parameters {referenceCycles, leads [{lead, coefficient, sigma, cycles}]}
+ * @throws {Error} Without a cycle minimum or with too few past cycles
+ */
+export const fitMcNishLincoln = (solarData, options = {}) => {
+  const { confidence = 0.95, endYears = 12, minCycles = 5, referenceCycles = null } = options;
+  const { cycles, current } = getCurrentCycle(solarData, options.cycles);
+  let past = cycles.filter(c => c !== current && c.complete);
+  if (referenceCycles) past = past.slice(-referenceCycles);
+  if (past.length < minCycles) {
+    throw new Error(`McNish–Lincoln needs ${minCycles} past cycles; the record has ${past.length}`);
+  }
+
+  const computed = smoothSunspotNumber(solarData.map(d => d.sunspots ?? null));
+  const smoothed = new Map();
+  solarData.forEach((d, i) => {
+    const value = d.series === 'smoothed' ? d.sunspots : d.smoothedSunspots ?? computed[i];
+    if (Number.isFinite(value)) smoothed.set(monthIndexOf(d), value);
+  });
+
+  const startMonth = monthIndexOfEpoch(current.min.epoch);
+  const lastMonth = Math.max(...[...smoothed.keys()].filter(m => m >= startMonth));
+  if (!Number.isFinite(lastMonth)) throw new Error('No smoothed values in the current cycle yet');
+  const t = lastMonth - startMonth;
+  const horizon = endYears * 12;
+
+  const aligned = past.map(cycle => {
+    const start = monthIndexOfEpoch(cycle.min.epoch);
+    return tau => smoothed.get(start + tau) ?? null;
+  });
+  const meanCycle = tau => {
+    const values = aligned.map(series => series(tau)).filter(v => v !== null);
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  };
+  const meanAt = Array.from({ length: horizon + 1 }, (_, tau) => meanCycle(tau));
+  const departure = smoothed.get(lastMonth) - meanAt[t];
+
+  const z = getZ(confidence);
+  const fluxRelation = fitFluxRelation(solarData);
+  const leads = [];
+  const points = [];
+  for (let k = 1; t + k <= horizon; k++) {
+    const pairs = aligned
+      .map(series => [series(t), series(t + k)])
+      .filter(([now, later]) => now !== null && later !== null && meanAt[t + k] !== null)
+      .map(([now, later]) => [now - meanAt[t], later - meanAt[t + k]]);
+    if (pairs.length < 3) break;
+
+    const sxx = pairs.reduce((sum, [d]) => sum + d * d, 0);
+    const coefficient = sxx > 0 ? pairs.reduce((sum, [d, dk]) => sum + d * dk, 0) / sxx : 0;
+    const sigma = Math.sqrt(pairs.reduce((sum, [d, dk]) => sum + (dk - coefficient * d) ** 2, 0) / (pairs.length - 1));
+    leads.push({ lead: k, coefficient, sigma, cycles: pairs.length });
+
+    const value = Math.max(0, meanAt[t + k] + coefficient * departure);
+    points.push(toPoint(startMonth + t + k, value, z * sigma, z, fluxRelation));
+  }
+
+  const observedPeak = [...smoothed.entries()]
+    .filter(([m]) => m >= startMonth)
+    .reduce((a, b) => (b[1] > a[1] ? b : a));
+  const forecastPeak = points.reduce((a, b) => (b.sunspots > a.sunspots ? b : a), { sunspots: -Infinity });
+  const reached = observedPeak[1] >= forecastPeak.sunspots;
+
+  return {
+    method: 'mcnish-lincoln',
+    cycle: current.number,
+    start: current.start,
+    fittedThrough: monthRecord(lastMonth).date,
+    parameters: { referenceCycles: past.map(c => c.number), leads },
+    fit: {
+      observations: t + 1,
+      departure,
+      rmse: leads.length > 0 ? Math.sqrt(leads.reduce((sum, l) => sum + l.sigma ** 2, 0) / leads.length) : null
+    },
+    predictedMaximum: reached
+      ? {
+        date: monthRecord(observedPeak[0]).date,
+        sunspots: observedPeak[1],
+        lower: observedPeak[1],
+        upper: observedPeak[1],
+        reached
+      }
+      : {
+        date: forecastPeak.date,
+        sunspots: forecastPeak.sunspots,
+        lower: forecastPeak.lower,
+        upper: forecastPeak.upper,
+        reached
+      },
+    points,
+    confidence
+  };
+};
+
+/**
+ * Forecast the current solar cycle
+ * @param {Array<Object>} solarData - Monthly records
+ * @param {Object} options - {method: 'hathaway' (default) or 'mcnish-lincoln'},
+ *   plus the options of the chosen method
+ * @returns {Object} Forecast (see fitHathawayCycle)
+ */
+export const forecastSolarCycle = (solarData, options = {}) => {
+  const { method = 'hathaway' } = options;
+  if (method === 'hathaway') return fitHathawayCycle(solarData, options);
+  if (method === 'mcnish-lincoln') return fitMcNishLincoln(solarData, options);
+  throw new Error(`Unknown solar forecast method: ${method}`);
+};
+
+/**
+ * Compare a forecast with the NOAA prediction month by month
+ * @param {Object} forecast - forecastSolarCycle output
+ * @param {Array<Object>} predictions - fetchSolarPredictions output
+ * @returns {Object} {months: overlapping months, meanDifference, rmsDifference,
+ *   maxAbsDifference (forecast − NOAA, sunspot number), fluxMeanDifference,
+ *   withinInterval: fraction of NOAA values inside the forecast interval,
+ *   withinNOAARange: fraction of forecast values inside NOAA's high/low range,
+ *   maximum {forecast, noaa, monthsApart, difference}, rows [{date, forecast,
+ *   noaa, difference, fluxDifference, withinInterval, withinNOAARange}]}
+ */
+export const compareWithNOAAPrediction = (forecast, predictions) => {
+  const noaa = new Map(predictions.map(p => [p.date, p]));
+  const rows = forecast.points
+    .filter(point => noaa.has(point.date))
+    .map(point => {
+      const reference = noaa.get(point.date);
+      return {
+        date: point.date,
+        forecast: point.sunspots,
+        noaa: reference.predictedSunspots,
+        difference: point.sunspots - reference.predictedSunspots,
+        fluxDifference: point.flux !== null && reference.predictedFlux > 0
+          ? point.flux - reference.predictedFlux
+          : null,
+        withinInterval: reference.predictedSunspots >= point.lower && reference.predictedSunspots <= point.upper,
+        withinNOAARange: Number.isFinite(reference.lowSunspots) && Number.isFinite(reference.highSunspots)
+          ? point.sunspots >= reference.lowSunspots && point.sunspots <= reference.highSunspots
+          : null
+      };
+    });
+
+  const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const differences = rows.map(r => r.difference);
+  const fluxDifferences = rows.map(r => r.fluxDifference).filter(d => d !== null);
+  const ranged = rows.filter(r => r.withinNOAARange !== null);
+  const noaaPeak = predictions.length > 0
+    ? predictions.reduce((a, b) => (b.predictedSunspots > a.predictedSunspots ? b : a))
+    : null;
+  const monthsOf = date => Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1;
+
+  return {
+    months: rows.length,
+    meanDifference: mean(differences),
+    rmsDifference: rows.length > 0 ? Math.sqrt(mean(differences.map(d => d * d))) : null,
+    maxAbsDifference: rows.length > 0 ? Math.max(...differences.map(Math.abs)) : null,
+    fluxMeanDifference: mean(fluxDifferences),
+    withinInterval: rows.length > 0 ? rows.filter(r => r.withinInterval).length / rows.length : null,
+    withinNOAARange: ranged.length > 0 ? ranged.filter(r => r.withinNOAARange).length / ranged.length : null,
+    maximum: noaaPeak && {
+      forecast: forecast.predictedMaximum,
+      noaa: { date: noaaPeak.date, sunspots: noaaPeak.predictedSunspots },
+      monthsApart: monthsOf(forecast.predictedMaximum.date) - monthsOf(noaaPeak.date),
+      difference: forecast.predictedMaximum.sunspots - noaaPeak.predictedSunspots
+    },
+    rows
+  };
+};
+
+export default {
+  HATHAWAY_C,
+  hathawayFunction,
+  hathawayWidth,
+  fitFluxRelation,
+  fitHathawayCycle,
+  fitMcNishLincoln,
+  forecastSolarCycle,
+  compareWithNOAAPrediction
+};
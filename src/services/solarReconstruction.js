@@ -0,0 +1,307 @@
+/**
+ * Solar Reconstruction
+ * Solar activity over the Holocene from cosmogenic isotopes. Galactic cosmic
+ * rays produce 14C and 10Be in the atmosphere at a rate set by the solar
+ * modulation potential φ and the geomagnetic dipole; inverting that
+ * dependence on an isotope production record gives φ, and φ gives an
+ * estimated sunspot number. Uncertainties come from a seeded Monte Carlo over
+ * the measurement errors, the dipole moment and the φ–sunspot relation.
+ *
+ * The models are deliberately simple (a single-reservoir carbon cycle and a
+ * power-law production curve); their parameters are exposed so they can be
+ * tuned against published reconstructions.
+ */
+
+import { SYNTHETIC_DATA_SEED } from '@/utils/constants';
+import { createRandom } from '@/utils/random';
+import { percentile } from '@/utils/statistics';
+import { linearRegression } from '@/utils/correlations';
+
+// Present geomagnetic dipole moment (1e22 Am²)
+export const PRESENT_DIPOLE_MOMENT = 8.0;
+
+// Production relative to the reference: Q/Qref = ((φref + phi0) / (φ + phi0))^alpha
+// · (Mref / M)^dipoleExponent, a power-law approximation of yield-function
+// production curves for the global mean production
+export const ISOTOPE_PRODUCTION = {
+  '14C': { alpha: 1, phi0: 1100, dipoleExponent: 0.5 },
+  '10Be': { alpha: 1.1, phi0: 1100, dipoleExponent: 0.45 }
+};
+
+// Defaults: reference φ (MeV) of the mean production of the reference window
+// (approximately the Holocene mean), decadal resolution, linear φ–sunspot relation
+export const RECONSTRUCTION_DEFAULTS = {
+  reference: { from: -Infinity, to: Infinity, phi: 450 },
+  stepYears: 10,
+  smoothingYears: 22, // radiocarbon: running mean before differentiating
+  responseTime: 1000, // radiocarbon: effective carbon-cycle response (years)
+  dipoleUncertainty: 0.1, // fraction of the dipole moment
+  phiToSunspot: { intercept: 200, slope: 4.5, sigma: 15 }, // φ = intercept + slope · SN
+  confidence: 0.68,
+  draws: 200
+};
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Running mean over ±halfWidth years (irregular sampling allowed)
+ */
+const runningMean = (years, values, halfWidth) => {
+  if (!(halfWidth > 0)) return values;
+  let lo = 0;
+  let hi = 0;
+  let sum = 0;
+  return years.map(year => {
+    while (hi < years.length && years[hi] <= year + halfWidth) sum += values[hi++];
+    while (years[lo] < year - halfWidth) sum -= values[lo++];
+    return sum / (hi - lo);
+  });
+};
+
+/**
+ * Dipole moment at a year: a constant, or linear interpolation in
+ * [{year, moment}] (held constant beyond the ends)
+ */
+const dipoleAt = (dipole, year) => {
+  if (typeof dipole === 'number') return dipole;
+  if (year <= dipole[0].year) return dipole[0].moment;
+  const last = dipole[dipole.length - 1];
+  if (year >= last.year) return last.moment;
+  const i = dipole.findIndex(d => d.year > year);
+  const [a, b] = [dipole[i - 1], dipole[i]];
+  return a.moment + ((b.moment - a.moment) * (year - a.year)) / (b.year - a.year);
+};
+
+/**
+ * Production rate (arbitrary units) from isotope records
+ * - 14C: single-reservoir inversion of Δ14C, Q ∝ (1 + Δ) + τ dΔ/dt, after a
+ *   running mean over smoothingYears
+ * - 10Be: deposition flux (or concentration at constant accumulation) ∝ Q
+ * @param {Array<Object>} records - isotopeImport records {year, value}, oldest first
+ * @param {Object} options - {smoothingYears, responseTime} (radiocarbon)
+ * @returns {Array<number>} Production at each record
+ */
+export const productionFromIsotope = (records, options = {}) => {
+  const { smoothingYears, responseTime } = { ...RECONSTRUCTION_DEFAULTS, ...options };
+  const years = records.map(r => r.year);
+  if (records[0]?.isotope !== '14C') return records.map(r => r.value);
+
+  const delta = runningMean(years, records.map(r => r.value / 1000), smoothingYears / 2);
+  return delta.map((d, i) => {
+    const prev = Math.max(0, i - 1);
+    const next = Math.min(delta.length - 1, i + 1);
+    const slope = next > prev ? (delta[next] - delta[prev]) / (years[next] - years[prev]) : 0;
+    return 1 + d + responseTime * slope;
+  });
+};
+
+/**
+ * Invert the production curve of an isotope
+ * @param {number} relative - Production relative to the reference (Q/Qref)
+ * @param {number} dipoleRatio - Dipole moment over the reference moment (M/Mref)
+ * @param {string} isotope - Key of ISOTOPE_PRODUCTION
+ * @param {number} referencePhi - φ of Q/Qref = 1 at M = Mref (MeV)
+ * @returns {number} Modulation potential φ (MeV)
+ */
+export const modulationFromProduction = (relative, dipoleRatio, isotope, referencePhi) => {
+  const { alpha, phi0, dipoleExponent } = ISOTOPE_PRODUCTION[isotope];
+  const solarPart = relative * dipoleRatio ** dipoleExponent;
+  return (referencePhi + phi0) * solarPart ** (-1 / alpha) - phi0;
+};
+
+/**
+ * Mean of the values within each stepYears bin, keyed by bin start
+ */
+const binMeans = (years, values, stepYears) => {
+  const bins = new Map();
+  years.forEach((year, i) => {
+    const start = Math.floor(year / stepYears) * stepYears;
+    if (!bins.has(start)) bins.set(start, []);
+    bins.get(start).push(values[i]);
+  });
+  return new Map([...bins].map(([start, list]) => [start, mean(list)]));
+};
+
+const pad = (n, width) => String(n).padStart(width, '0');
+
+/**
+ * Date string of a year CE that Date parses (expanded years before 0 and after 9999)
+ */
+const yearDate = year => (year >= 0 && year <= 9999 ? pad(year, 4) : `${year < 0 ? '-' : '+'}${pad(Math.abs(year), 6)}`);
+
+const yearTimestamp = year => {
+  const date = new Date(0);
+  date.setUTCFullYear(year, 0, 1);
+  return date.getTime();
+};
+
+/**
+ * Reconstruct solar activity from a cosmogenic isotope record
+ * @param {Array<Object>} records - isotopeImport records of one isotope
+ * @param {Object} options - Overrides of RECONSTRUCTION_DEFAULTS, plus: seed
+ *   (default SYNTHETIC_DATA_SEED); dipole: moment (1e22 Am²) or [{year,
+ *   moment}] (default PRESENT_DIPOLE_MOMENT; a Holocene VADM series keeps
+ *   geomagnetic trends out of φ); calibration: instrumental records {year,
+ *   sunspots} (e.g. fetchSolarCycleData or SILSO) to refit the φ–sunspot
+ *   relation on the overlap
+ * @returns {Object} {data: [{date, year, timestamp, decimalYear, sunspots,
+ *   sunspotsLower, sunspotsUpper, modulationPotential, modulationLower,
+ *   modulationUpper, production (relative), isotope}] one per stepYears bin,
+ *   shaped like solarAPI records for the correlation utilities; metadata:
+ *   {generator, isotope, seed, draws, confidence, phiToSunspot, reference,
+ *   from, to}}
+ * @throws {Error} On an empty record or an isotope without a production model
+ */
+export const reconstructSolarActivity = (records, options = {}) => {
+  if (!records || records.length < 2) throw new Error('Need at least two isotope records');
+  const isotope = records[0].isotope;
+  if (!ISOTOPE_PRODUCTION[isotope]) throw new Error(`No production model for isotope ${isotope}`);
+
+  const settings = { ...RECONSTRUCTION_DEFAULTS, ...options };
+  const reference = { ...RECONSTRUCTION_DEFAULTS.reference, ...options.reference };
+  const { stepYears, dipoleUncertainty, confidence, draws, seed = SYNTHETIC_DATA_SEED } = settings;
+  const dipole = options.dipole ?? PRESENT_DIPOLE_MOMENT;
+  const random = createRandom(seed);
+  const years = records.map(r => r.year);
+  const inReference = years.map(year => year >= reference.from && year <= reference.to);
+  if (!inReference.some(Boolean)) throw new Error('The reference window does not overlap the record');
+  const referenceDipole = mean(years.filter((_, i) => inReference[i]).map(year => dipoleAt(dipole, year)));
+
+  // φ in each bin for one realization of the measurements and the dipole
+  const realize = (values, dipoleScale) => {
+    const production = productionFromIsotope(records.map((r, i) => ({ ...r, value: values[i] })), settings);
+    const referenceProduction = mean(production.filter((_, i) => inReference[i]));
+    const phi = production.map((q, i) => {
+      const ratio = (dipoleAt(dipole, years[i]) * dipoleScale) / referenceDipole;
+      return modulationFromProduction(q / referenceProduction, ratio, isotope, reference.phi);
+    });
+    return {
+      phi: binMeans(years, phi, stepYears),
+      production: binMeans(years, production.map(q => q / referenceProduction), stepYears)
+    };
+  };
+
+  const central = realize(records.map(r => r.value), 1);
+  const starts = [...central.phi.keys()];
+  const samples = starts.map(() => []);
+  const perturb = random.fork('measurements');
+  const dipoleDraws = random.fork('dipole');
+  for (let d = 0; d < draws; d++) {
+    const values = records.map(r => r.value + (r.sigma ? perturb.normal(0, r.sigma) : 0));
+    const { phi } = realize(values, 1 + dipoleDraws.normal(0, dipoleUncertainty));
+    starts.forEach((start, k) => samples[k].push(phi.get(start)));
+  }
+
+  // φ–sunspot relation, refitted on the instrumental overlap when given
+  let phiToSunspot = { ...RECONSTRUCTION_DEFAULTS.phiToSunspot, ...options.phiToSunspot };
+  if (options.calibration) {
+    const observed = binMeans(
+      options.calibration.filter(r => Number.isFinite(r.sunspots)).map(r => r.year),
+      options.calibration.filter(r => Number.isFinite(r.sunspots)).map(r => r.sunspots),
+      stepYears
+    );
+    const overlap = starts.filter(start => observed.has(start));
+    if (overlap.length >= 3) {
+      const fit = linearRegression(overlap.map(s => observed.get(s)), overlap.map(s => central.phi.get(s)));
+      const residuals = overlap.map((s, k) => central.phi.get(s) - fit.predicted[k]);
+      phiToSunspot = {
+        intercept: fit.intercept,
+        slope: fit.slope,
+        sigma: Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / Math.max(1, overlap.length - 2)) / fit.slope,
+        calibrated: overlap.length
+      };
+    }
+  }
+  const toSunspots = phi => Math.max(0, (phi - phiToSunspot.intercept) / phiToSunspot.slope);
+
+  const tail = ((1 - confidence) / 2) * 100;
+  const relationNoise = random.fork('relation');
+  const data = starts.map((start, k) => {
+    const phi = central.phi.get(start);
+    const spots = samples[k].map(p => Math.max(0, toSunspots(p) + relationNoise.normal(0, phiToSunspot.sigma)));
+    const year = start + Math.floor(stepYears / 2);
+    return {
+      date: yearDate(year),
+      year,
+      timestamp: yearTimestamp(year),
+      decimalYear: start + stepYears / 2,
+      sunspots: toSunspots(phi),
+      sunspotsLower: percentile(spots, tail),
+      sunspotsUpper: percentile(spots, 100 - tail),
+      modulationPotential: phi,
+      modulationLower: percentile(samples[k], tail),
+      modulationUpper: percentile(samples[k], 100 - tail),
+      production: central.production.get(start),
+      isotope
+    };
+  });
+
+  return {
+    data,
+    metadata: {
+      generator: 'reconstructSolarActivity',
+      isotope,
+      seed: random.seed,
+      draws,
+      confidence,
+      phiToSunspot,
+      reference,
+      from: years[0],
+      to: years[years.length - 1]
+    }
+  };
+};
+
+/**
+ * Combine reconstructions from different isotopes into one series,
+ * weighting each bin by the inverse variance of its interval
+ * @param {Array<Object>} reconstructions - reconstructSolarActivity results with the same stepYears
+ * @returns {Object} {data (same record shape, isotope: list), metadata: {generator, sources}}
+ */
+export const combineReconstructions = reconstructions => {
+  const byYear = new Map();
+  reconstructions.forEach(({ data }) => data.forEach(record => {
+    if (!byYear.has(record.year)) byYear.set(record.year, []);
+    byYear.get(record.year).push(record);
+  }));
+
+  const weighted = (list, field, lower, upper) => {
+    const weights = list.map(r => 1 / Math.max(1e-9, ((r[upper] - r[lower]) / 2) ** 2));
+    const total = weights.reduce((a, b) => a + b, 0);
+    const value = list.reduce((sum, r, i) => sum + weights[i] * r[field], 0) / total;
+    const half = Math.sqrt(1 / total);
+    return [value, value - half, value + half];
+  };
+
+  const data = [...byYear.keys()].sort((a, b) => a - b).map(year => {
+    const list = byYear.get(year);
+    const [sunspots, sunspotsLower, sunspotsUpper] = weighted(list, 'sunspots', 'sunspotsLower', 'sunspotsUpper');
+    const [phi, phiLower, phiUpper] = weighted(list, 'modulationPotential', 'modulationLower', 'modulationUpper');
+    return {
+      ...list[0],
+      sunspots,
+      sunspotsLower: Math.max(0, sunspotsLower),
+      sunspotsUpper,
+      modulationPotential: phi,
+      modulationLower: phiLower,
+      modulationUpper: phiUpper,
+      production: mean(list.map(r => r.production)),
+      isotope: list.map(r => r.isotope)
+    };
+  });
+
+  return {
+    data,
+    metadata: { generator: 'combineReconstructions', sources: reconstructions.map(r => r.metadata) }
+  };
+};
+
+export default {
+  PRESENT_DIPOLE_MOMENT,
+  ISOTOPE_PRODUCTION,
+  RECONSTRUCTION_DEFAULTS,
+  productionFromIsotope,
+  modulationFromProduction,
+  reconstructSolarActivity,
+  combineReconstructions
+};
@@ -0,0 +1,254 @@
+/**
+ * SWPC Products
+ * Parsers for the NOAA SWPC real-time products — solar-wind plasma and
+ * interplanetary magnetic field (DSCOVR/ACE), GOES X-ray, proton and electron
+ * flux — and the current-conditions summary built from them. Parsers are
+ * pure, so they run on saved product files as well as on live responses.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Physically plausible values; readings outside are flagged 'suspect'
+export const SWPC_VALID_RANGES = {
+  density: [0, 200], // p/cm³
+  speed: [150, 3000], // km/s
+  temperature: [1e3, 1e8], // K
+  bx: [-200, 200], // nT (GSM)
+  by: [-200, 200],
+  bz: [-200, 200],
+  bt: [0, 200],
+  flux: [0, Infinity] // W/m² (X-ray), pfu (protons), electrons/(cm² s sr)
+};
+
+// SWPC marks gaps with fill values (-99999, -9999.9): anything at or below this is missing
+export const SWPC_FILL_THRESHOLD = -9999;
+
+// Alignment tolerance around the reference time and age after which a
+// reading is flagged 'stale', per product cadence
+export const SWPC_QUALITY_LIMITS = {
+  solarWind: { toleranceMs: 5 * MINUTE_MS, staleAfterMs: 15 * MINUTE_MS },
+  goes: { toleranceMs: 10 * MINUTE_MS, staleAfterMs: 30 * MINUTE_MS }
+};
+
+/**
+ * SWPC time tag ('2025-01-06 10:00:00.000' or '2025-01-06T10:00:00Z', UTC) in ms
+ * @returns {number|null} Timestamp, or null when unreadable
+ */
+export const parseTimeTag = tag => {
+  if (typeof tag === 'number') return tag;
+  if (typeof tag !== 'string' || tag === '') return null;
+  let iso = tag.trim().replace(' ', 'T');
+  if (!/(Z|[+-]\d\d:?\d\d)$/.test(iso)) iso += 'Z';
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Product value as a number; SWPC sends numbers as strings and gaps as null
+ * or fill values
+ */
+const toNumber = value => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number > SWPC_FILL_THRESHOLD ? number : null;
+};
+
+/**
+ * GOES flux as a number; fluxes are positive, so zero and negative values are gaps
+ */
+const toFlux = value => {
+  const flux = toNumber(value);
+  return flux !== null && flux > 0 ? flux : null;
+};
+
+/**
+ * Parse an SWPC table product (header row followed by data rows)
+ * @param {Array<Array>} json - Product payload
+ * @returns {Array<Object>} Rows keyed by column, time in ms, sorted by time;
+ *   rows without a readable time are dropped
+ * @throws {Error} When the payload is not a table
+ */
+export const parseSWPCTable = json => {
+  if (!Array.isArray(json) || !Array.isArray(json[0])) {
+    throw new Error('Expected an SWPC table: header row followed by data rows');
+  }
+  const [header, ...rows] = json;
+  const timeColumn = header.indexOf('time_tag');
+  if (timeColumn === -1) throw new Error('SWPC table has no time_tag column');
+
+  return rows
+    .map(row => {
+      const record = { time: parseTimeTag(row[timeColumn]) };
+      header.forEach((column, index) => {
+        if (index !== timeColumn) record[column] = toNumber(row[index]);
+      });
+      return record;
+    })
+    .filter(record => record.time !== null)
+    .sort((a, b) => a.time - b.time);
+};
+
+const requireColumns = (json, columns, product) => {
+  const missing = columns.filter(column => !json[0].includes(column));
+  if (missing.length > 0) throw new Error(`${product} product lacks columns: ${missing.join(', ')}`);
+};
+
+/**
+ * Parse the real-time solar-wind plasma product
+ * @param {Array<Array>} json - plasma-*.json payload
+ * @returns {Array<Object>} Samples {time, density (p/cm³), speed (km/s), temperature (K)}
+ */
+export const parsePlasmaProduct = json => {
+  const rows = parseSWPCTable(json);
+  requireColumns(json, ['density', 'speed', 'temperature'], 'Plasma');
+  return rows.map(({ time, density, speed, temperature }) => ({ time, density, speed, temperature }));
+};
+
+/**
+ * Parse the real-time interplanetary magnetic field product
+ * @param {Array<Array>} json - mag-*.json payload
+ * @returns {Array<Object>} Samples {time, bx, by, bz (GSM, nT), bt (nT)}
+ */
+export const parseMagProduct = json => {
+  const rows = parseSWPCTable(json);
+  requireColumns(json, ['bx_gsm', 'by_gsm', 'bz_gsm', 'bt'], 'Magnetic field');
+  return rows.map(row => ({ time: row.time, bx: row.bx_gsm, by: row.by_gsm, bz: row.bz_gsm, bt: row.bt }));
+};
+
+/**
+ * Parse a GOES flux product (X-rays, integral protons or electrons)
+ * @param {Array<Object>} json - GOES JSON payload
+ * @param {Object} options - {energy: channel to keep, e.g. '0.1-0.8nm',
+ *   '>=10 MeV' or '>=2 MeV' (default: all channels)}
+ * @returns {Array<Object>} Samples {time, flux, energy, satellite}, sorted by
+ *   time; flux is null for fill values and other non-positive readings
+ * @throws {Error} When the payload is not a list of GOES records
+ */
+export const parseGOESProduct = (json, options = {}) => {
+  if (!Array.isArray(json) || (json.length > 0 && (typeof json[0] !== 'object' || !('flux' in json[0])))) {
+    throw new Error('Expected a GOES product: list of {time_tag, flux, energy} records');
+  }
+  const { energy = null } = options;
+  return json
+    .filter(record => energy === null || record.energy === energy)
+    .map(record => ({
+      time: parseTimeTag(record.time_tag),
+      flux: toFlux(record.flux),
+      energy: record.energy ?? null,
+      satellite: record.satellite ?? null
+    }))
+    .filter(record => record.time !== null)
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Latest time at which every field of a sample is present
+ */
+const latestValidTime = (samples, fields) => {
+  for (let i = (samples?.length ?? 0) - 1; i >= 0; i--) {
+    if (fields.every(field => samples[i][field] !== null)) return samples[i].time;
+  }
+  return null;
+};
+
+/**
+ * Reading of a product at the reference time: the complete sample nearest to
+ * it within the tolerance, with quality flags
+ * - missing: no complete sample within the tolerance (or no product)
+ * - stale: the sample is older than staleAfterMs
+ * - suspect: a value lies outside SWPC_VALID_RANGES
+ * quality is the most severe flag ('missing' > 'suspect' > 'stale' > 'good')
+ */
+const readAt = (samples, fields, referenceTime, now, { toleranceMs, staleAfterMs }) => {
+  let nearest = null;
+  (samples ?? []).forEach(sample => {
+    if (!fields.every(field => sample[field] !== null)) return;
+    const offset = Math.abs(sample.time - referenceTime);
+    if (offset <= toleranceMs && (!nearest || offset < Math.abs(nearest.time - referenceTime))) nearest = sample;
+  });
+
+  const values = Object.fromEntries(fields.map(field => [field, nearest ? nearest[field] : null]));
+  if (!nearest) {
+    return { time: null, ...values, offsetMs: null, ageMs: null, quality: 'missing', flags: ['missing'] };
+  }
+
+  const flags = [];
+  const suspect = fields.some(field => {
+    const [min, max] = SWPC_VALID_RANGES[field];
+    return nearest[field] < min || nearest[field] > max;
+  });
+  if (suspect) flags.push('suspect');
+  const ageMs = now - nearest.time;
+  if (ageMs > staleAfterMs) flags.push('stale');
+
+  return {
+    time: new Date(nearest.time).toISOString(),
+    ...values,
+    offsetMs: nearest.time - referenceTime,
+    ageMs,
+    quality: flags[0] ?? 'good',
+    flags
+  };
+};
+
+/**
+ * Current space-weather conditions from parsed products
+ * Solar-wind plasma and field are aligned on the latest time both are
+ * complete, so speed, density and Bz describe the same parcel; GOES readings
+ * are taken at that time as well.
+ * @param {Object} products - Parsed samples {plasma, mag, xray, protons,
+ *   electrons}; a product that could not be fetched is null
+ * @param {Object} options - {now: current time in ms (default Date.now())}
+ * @returns {Object} Conditions {time, solarWind {density, speed, temperature},
+ *   imf {bx, by, bz, bt}, xray {flux}, protons {flux}, electrons {flux}, quality
+ *   {complete, missing, stale, suspect}}. Each reading carries time, offsetMs
+ *   from the reference time, ageMs, quality and flags.
+ */
+export const buildCurrentConditions = (products, options = {}) => {
+  const { now = Date.now() } = options;
+  const { plasma = null, mag = null, xray = null, protons = null, electrons = null } = products;
+
+  const windTimes = [
+    latestValidTime(plasma, ['density', 'speed', 'temperature']),
+    latestValidTime(mag, ['bx', 'by', 'bz', 'bt'])
+  ].filter(time => time !== null);
+  const goesTimes = [xray, protons, electrons]
+    .map(samples => latestValidTime(samples, ['flux']))
+    .filter(time => time !== null);
+  const referenceTime = windTimes.length > 0
+    ? Math.min(...windTimes)
+    : goesTimes.length > 0 ? Math.min(...goesTimes) : now;
+
+  const { solarWind: windLimits, goes: goesLimits } = SWPC_QUALITY_LIMITS;
+  const readings = {
+    solarWind: readAt(plasma, ['density', 'speed', 'temperature'], referenceTime, now, windLimits),
+    imf: readAt(mag, ['bx', 'by', 'bz', 'bt'], referenceTime, now, windLimits),
+    xray: { ...readAt(xray, ['flux'], referenceTime, now, goesLimits), energy: '0.1-0.8nm' },
+    protons: { ...readAt(protons, ['flux'], referenceTime, now, goesLimits), energy: '>=10 MeV' },
+    electrons: { ...readAt(electrons, ['flux'], referenceTime, now, goesLimits), energy: '>=2 MeV' }
+  };
+
+  const withFlag = flag => Object.keys(readings).filter(name => readings[name].flags.includes(flag));
+  return {
+    time: new Date(referenceTime).toISOString(),
+    ...readings,
+    quality: {
+      complete: Object.values(readings).every(reading => reading.quality === 'good'),
+      missing: withFlag('missing'),
+      stale: withFlag('stale'),
+      suspect: withFlag('suspect')
+    }
+  };
+};
+
+export default {
+  SWPC_VALID_RANGES,
+  SWPC_FILL_THRESHOLD,
+  SWPC_QUALITY_LIMITS,
+  parseTimeTag,
+  parseSWPCTable,
+  parsePlasmaProduct,
+  parseMagProduct,
+  parseGOESProduct,
+  buildCurrentConditions
+};
@@ -0,0 +1,209 @@
+/**
+ * Worker Pool
+ * Dispatches tasks to a fixed number of workers speaking the ftrtTasks
+ * message protocol, with progress callbacks and cancellation. Web Workers and
+ * Node worker threads are wrapped in the same handle.
+ */
+
+/**
+ * Error raised when no worker can be started; callers fall back to running inline
+ */
+const workersUnavailable = cause => {
+  const error = new Error(`FTRT workers unavailable: ${cause?.message ?? cause}`);
+  error.code = 'WORKER_UNAVAILABLE';
+  return error;
+};
+
+/**
+ * Error raised when a task is cancelled through its AbortSignal
+ */
+const abortError = signal => signal.reason ?? Object.assign(new Error('FTRT task cancelled'), { name: 'AbortError' });
+
+/**
+ * Wrap a browser Web Worker in a pool handle
+ * @param {Worker} worker - Web Worker
+ * @returns {Object} {post, onMessage, onError, terminate}
+ */
+export const wrapWebWorker = worker => ({
+  post: message => worker.postMessage(message),
+  onMessage: handler => {
+    worker.onmessage = event => handler(event.data);
+  },
+  onError: handler => {
+    worker.onerror = event => handler(event.error ?? new Error(event.message));
+  },
+  terminate: () => worker.terminate()
+});
+
+/**
+ * Wrap a Node worker_threads Worker in a pool handle
+ * @param {Object} worker - worker_threads Worker
+ * @returns {Object} {post, onMessage, onError, terminate}
+ */
+export const wrapNodeWorker = worker => ({
+  post: message => worker.postMessage(message),
+  onMessage: handler => worker.on('message', handler),
+  onError: handler => {
+    worker.on('error', handler);
+    worker.on('exit', code => {
+      if (code !== 0) handler(new Error(`Worker exited with code ${code}`));
+    });
+  },
+  terminate: () => worker.terminate()
+});
+
+/**
+ * Create a worker pool
+ * Workers are started lazily, up to `size`. A worker that fails before
+ * reporting ready makes the pool unavailable: pending and later tasks reject
+ * with code 'WORKER_UNAVAILABLE'. Cancelling a running task terminates its
+ * worker, which is then replaced.
+ * @param {Object} options - {size: number of workers, createWorker: function
+ *   returning a handle (or a promise of one) as built by wrapWebWorker/wrapNodeWorker}
+ * @returns {Object} {run(task, args, {onProgress, signal}) -> Promise, terminate, stats}
+ */
+export const createWorkerPool = ({ size = 2, createWorker }) => {
+  const slots = [];
+  const queue = [];
+  let nextId = 1;
+  let failure = null;
+  let everReady = false;
+
+  const fail = error => {
+    failure = workersUnavailable(error);
+    queue.splice(0).forEach(job => job.reject(failure));
+    slots.splice(0).forEach(slot => {
+      if (slot.job) slot.job.reject(failure);
+      if (slot.handle) slot.handle.terminate();
+    });
+  };
+
+  const removeSlot = slot => {
+    const index = slots.indexOf(slot);
+    if (index !== -1) slots.splice(index, 1);
+  };
+
+  const dispatch = () => {
+    let slot = slots.find(s => s.ready && !s.job);
+    while (queue.length > 0 && slot) {
+      const job = queue.shift();
+      slot.job = job;
+      job.slot = slot;
+      slot.handle.post({ id: job.id, task: job.task, args: job.args });
+      slot = slots.find(s => s.ready && !s.job);
+    }
+    // Start workers for the tasks still waiting
+    while (!failure && slots.length < size && slots.filter(s => !s.job).length < queue.length) spawn();
+  };
+
+  const finish = (slot, settle) => {
+    const job = slot.job;
+    slot.job = null;
+    if (job) {
+      if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+      settle(job);
+    }
+    dispatch();
+  };
+
+  const handleMessage = (slot, message) => {
+    if (message.type === 'ready') {
+      slot.ready = true;
+      everReady = true;
+      dispatch();
+      return;
+    }
+    const job = slot.job;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+      if (job.onProgress) {
+        const { completed, total } = message;
+        job.onProgress({ completed, total, fraction: completed / total });
+      }
+    } else if (message.type === 'result') {
+      finish(slot, j => j.resolve(message.result));
+    } else if (message.type === 'error') {
+      const error = Object.assign(new Error(message.error.message), { name: message.error.name });
+      finish(slot, j => j.reject(error));
+    }
+  };
+
+  const handleError = (slot, error) => {
+    if (!slots.includes(slot)) return;
+    if (!slot.ready && !everReady) {
+      fail(error);
+      return;
+    }
+    removeSlot(slot);
+    slot.handle.terminate();
+    finish(slot, job => job.reject(error));
+  };
+
+  const spawn = () => {
+    const slot = { handle: null, ready: false, job: null };
+    slots.push(slot);
+    Promise.resolve()
+      .then(() => createWorker())
+      .then(handle => {
+        slot.handle = handle;
+        handle.onMessage(message => handleMessage(slot, message));
+        handle.onError(error => handleError(slot, error));
+      })
+      .catch(error => fail(error));
+  };
+
+  const cancel = job => {
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    } else if (job.slot && job.slot.job === job) {
+      // A synchronous computation cannot be interrupted; replace the worker
+      const slot = job.slot;
+      removeSlot(slot);
+      slot.handle.terminate();
+      slot.job = null;
+      dispatch();
+    }
+    job.reject(abortError(job.signal));
+  };
+
+  return {
+    run(task, args, options = {}) {
+      const { onProgress, signal } = options;
+      if (failure) return Promise.reject(failure);
+      if (signal?.aborted) return Promise.reject(abortError(signal));
+
+      return new Promise((resolve, reject) => {
+        const job = { id: nextId++, task, args, onProgress, signal, resolve, reject, slot: null };
+        if (signal) {
+          job.onAbort = () => cancel(job);
+          signal.addEventListener('abort', job.onAbort, { once: true });
+        }
+        queue.push(job);
+        dispatch();
+      });
+    },
+    terminate() {
+      const error = new Error('FTRT worker pool terminated');
+      queue.splice(0).forEach(job => job.reject(error));
+      slots.splice(0).forEach(slot => {
+        if (slot.job) slot.job.reject(error);
+        if (slot.handle) slot.handle.terminate();
+      });
+    },
+    stats: () => ({
+      size,
+      workers: slots.length,
+      busy: slots.filter(s => s.job).length,
+      queued: queue.length,
+      available: !failure
+    })
+  };
+};
+
+export default {
+  wrapWebWorker,
+  wrapNodeWorker,
+  createWorkerPool
+};
@@ -70,12 +70,175 @@ export const PLANETS = {
   }
 };
 
+// Lunar Data
+// Mean orbit; the lunar position itself comes from the low-precision series in orbitalMechanics
+export const MOON = {
+  mass: 7.342e22, // kg
+  radius: 1.7374e6, // meters
+  semiMajorAxis: 3.844e8, // meters
+  eccentricity: 0.0549,
+  inclination: 5.145, // degrees to the ecliptic
+  siderealPeriod: 27.321661, // days
+  synodicPeriod: 29.530589, // days
+  anomalisticPeriod: 27.554550, // days (perigee to perigee)
+  nodalPeriod: 6798.38, // days (18.61-year regression of the nodes)
+  apsidalPeriod: 3232.6 // days (8.85-year advance of the perigee)
+};
+
+// Bodies on which tides can be evaluated, with the sources raising them
+export const TARGET_BODIES = {
+  sun: {
+    name: 'Sun',
+    mass: SUN_MASS,
+    radius: SUN_RADIUS,
+    sources: ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune']
+  },
+  earth: {
+    name: 'Earth',
+    mass: EARTH_MASS,
+    radius: 6.371e6,
+    sources: ['moon', 'sun', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune']
+  }
+};
+
+// Keplerian mean elements at J2000.0 and their rates per Julian century
+// Source: Standish (JPL), "Approximate Positions of the Planets", Table 1 (1800 AD - 2050 AD)
+// a: AU, e: dimensionless, i/L/longPeri/longNode: degrees
+export const J2000_EPOCH = 2451545.0; // Julian Day of J2000.0
+export const DAYS_PER_JULIAN_CENTURY = 36525;
+
+export const ORBITAL_ELEMENTS = {
+  mercury: {
+    elements: {
+      a: 0.38709927, e: 0.20563593, i: 7.00497902,
+      L: 252.2503235, longPeri: 77.45779628, longNode: 48.33076593
+    },
+    rates: {
+      a: 0.00000037, e: 0.00001906, i: -0.00594749,
+      L: 149472.67411175, longPeri: 0.16047689, longNode: -0.12534081
+    }
+  },
+  venus: {
+    elements: {
+      a: 0.72333566, e: 0.00677672, i: 3.39467605,
+      L: 181.9790995, longPeri: 131.60246718, longNode: 76.67984255
+    },
+    rates: {
+      a: 0.0000039, e: -0.00004107, i: -0.0007889,
+      L: 58517.81538729, longPeri: 0.00268329, longNode: -0.27769418
+    }
+  },
+  // Earth-Moon barycenter
+  earth: {
+    elements: {
+      a: 1.00000261, e: 0.01671123, i: -0.00001531,
+      L: 100.46457166, longPeri: 102.93768193, longNode: 0.0
+    },
+    rates: {
+      a: 0.00000562, e: -0.00004392, i: -0.01294668,
+      L: 35999.37244981, longPeri: 0.32327364, longNode: 0.0
+    }
+  },
+  mars: {
+    elements: {
+      a: 1.52371034, e: 0.0933941, i: 1.84969142,
+      L: -4.55343205, longPeri: -23.94362959, longNode: 49.55953891
+    },
+    rates: {
+      a: 0.00001847, e: 0.00007882, i: -0.00813131,
+      L: 19140.30268499, longPeri: 0.44441088, longNode: -0.29257343
+    }
+  },
+  jupiter: {
+    elements: {
+      a: 5.202887, e: 0.04838624, i: 1.30439695,
+      L: 34.39644051, longPeri: 14.72847983, longNode: 100.47390909
+    },
+    rates: {
+      a: -0.00011607, e: -0.00013253, i: -0.00183714,
+      L: 3034.74612775, longPeri: 0.21252668, longNode: 0.20469106
+    }
+  },
+  saturn: {
+    elements: {
+      a: 9.53667594, e: 0.05386179, i: 2.48599187,
+      L: 49.95424423, longPeri: 92.59887831, longNode: 113.66242448
+    },
+    rates: {
+      a: -0.0012506, e: -0.00050991, i: 0.00193609,
+      L: 1222.49362201, longPeri: -0.41897216, longNode: -0.28867794
+    }
+  },
+  uranus: {
+    elements: {
+      a: 19.18916464, e: 0.04725744, i: 0.77263783,
+      L: 313.23810451, longPeri: 170.9542763, longNode: 74.01692503
+    },
+    rates: {
+      a: -0.00196176, e: -0.00004397, i: -0.00242939,
+      L: 428.48202785, longPeri: 0.40805281, longNode: 0.04240589
+    }
+  },
+  neptune: {
+    elements: {
+      a: 30.06992276, e: 0.00859048, i: 1.77004347,
+      L: -55.12002969, longPeri: 44.96476227, longNode: 131.78422574
+    },
+    rates: {
+      a: 0.00026291, e: 0.00005105, i: 0.00035372,
+      L: 218.45945325, longPeri: -0.32241464, longNode: -0.00508664
+    }
+  }
+};
+
+// Secular (Laplace-Lagrange) frequencies in arcsec/yr, after Laskar (1990)
+// g: perihelion precession mode, s: node regression mode of each planet;
+// forcedBy/forcedAmplitude: dominant eccentricity forcing from a giant-planet mode
+export const SECULAR_MODES = {
+  mercury: { g: 5.59, s: -5.61, forcedBy: 'jupiter', forcedAmplitude: 0.0036 },
+  venus: { g: 7.45, s: -7.06, forcedBy: 'jupiter', forcedAmplitude: 0.0016 },
+  earth: { g: 17.37, s: -18.85, forcedBy: 'jupiter', forcedAmplitude: 0.0163 },
+  mars: { g: 17.92, s: -17.76, forcedBy: 'jupiter', forcedAmplitude: 0.0187 },
+  jupiter: { g: 4.26, s: 0, forcedBy: 'saturn', forcedAmplitude: 0.0157 },
+  saturn: { g: 28.22, s: -26.35, forcedBy: 'jupiter', forcedAmplitude: 0.0330 },
+  uranus: { g: 3.09, s: -2.99, forcedBy: 'jupiter', forcedAmplitude: 0.0375 },
+  neptune: { g: 0.67, s: -0.69, forcedBy: 'jupiter', forcedAmplitude: 0.0018 }
+};
+
+// Inner solar system Lyapunov time and horizon of reliable orbital solutions
+export const LYAPUNOV_TIME_MA = 5;
+export const DETERMINISTIC_HORIZON_MA = 50;
+// Chaotic diffusion of the free secular amplitudes past the horizon: fractional
+// spread per square root of Myr (a random walk, so it keeps growing after the
+// phases are lost)
+export const SECULAR_AMPLITUDE_DIFFUSION = 0.05;
+
 // Geomagnetic Constants
 export const EARTH_MAGNETIC_FIELD_BASELINE = 50000; // nT (nanoTesla)
 export const GEOMAG_WEAKENING_THRESHOLD = 0.3; // 30% weakening considered significant
 
 // Solar Activity Constants
 export const SOLAR_CYCLE_AVERAGE_LENGTH = 11; // years
+export const SOLAR_CYCLE_MEAN_RISE_TIME = 4.8; // years from minimum to maximum
+export const SOLAR_CYCLE_REFERENCE = { // Latest cycle with observed extrema (decimal years)
+  cycle: 25,
+  minimum: 2019.96,
+  maximum: 2024.83
+};
+// Epochs (decimal years) of the 13-month smoothed sunspot minima that open
+// cycles 1-25 (SILSO); cycle n starts at SOLAR_CYCLE_MINIMA[n - 1]
+export const SOLAR_CYCLE_MINIMA = [
+  1755.2, 1766.5, 1775.5, 1784.7, 1798.3, 1810.6, 1823.3, 1833.9, 1843.5, 1855.9,
+  1867.2, 1878.9, 1890.2, 1902.0, 1913.6, 1923.6, 1933.8, 1944.2, 1954.3, 1964.9,
+  1976.5, 1986.8, 1996.4, 2008.9, 2019.96
+];
+// Epochs (decimal years) of the 13-month smoothed sunspot maxima of cycles
+// 1-25 (SILSO); SOLAR_CYCLE_MAXIMA[n - 1] belongs to cycle n
+export const SOLAR_CYCLE_MAXIMA = [
+  1761.5, 1769.7, 1778.4, 1788.1, 1805.2, 1816.4, 1829.9, 1837.2, 1848.1, 1860.1,
+  1870.6, 1883.9, 1894.1, 1906.2, 1917.6, 1928.4, 1937.4, 1947.5, 1958.2, 1968.9,
+  1979.9, 1989.6, 2001.9, 2014.3, 2024.83
+];
 export const SUNSPOT_MAX_HISTORICAL = 300; // approximate maximum
 export const F10_7_BASELINE = 120; // SFU (Solar Flux Units)
 
@@ -83,12 +246,33 @@ export const F10_7_BASELINE = 120; // SFU (Solar Flux Units)
 export const FTRT_REFERENCE_FORCE = 1e15; // Newtons (for normalization)
 export const FTRT_PEAK_THRESHOLD = 0.7; // Normalized index threshold for peak detection
 export const FTRT_TIME_WINDOW_MA = 10; // Million years window for correlations
+export const FTRT_REFERENCE_PERIOD = { // Climatology sampled for relative normalization schemes
+  start: '1950-01-01T00:00:00Z',
+  end: '2050-01-01T00:00:00Z',
+  stepDays: 5
+};
 
 // API Endpoints
 export const NOAA_BASE_URL = 'https://services.swpc.noaa.gov';
 export const NOAA_SOLAR_CYCLE_URL = `${NOAA_BASE_URL}/json/solar-cycle/observed-solar-cycle-indices.json`;
 export const NOAA_PLANETARY_K_URL = `${NOAA_BASE_URL}/products/noaa-planetary-k-index.json`;
 export const NOAA_XRAY_URL = `${NOAA_BASE_URL}/json/goes/primary/xrays-7-day.json`;
+export const NOAA_PREDICTED_CYCLE_URL = `${NOAA_BASE_URL}/json/solar-cycle/predicted-solar-cycle.json`;
+export const NOAA_SOLAR_WIND_PLASMA_URL = `${NOAA_BASE_URL}/products/solar-wind/plasma-2-hour.json`;
+export const NOAA_SOLAR_WIND_MAG_URL = `${NOAA_BASE_URL}/products/solar-wind/mag-2-hour.json`;
+export const NOAA_PROTON_FLUX_URL = `${NOAA_BASE_URL}/json/goes/primary/integral-protons-6-hour.json`;
+export const NOAA_ELECTRON_FLUX_URL = `${NOAA_BASE_URL}/json/goes/primary/integral-electrons-6-hour.json`;
+
+// Cache lifetimes (ms) of NOAA products, matched to their update cadence
+export const NOAA_CACHE_TTL_MS = {
+  solarCycle: 24 * 60 * 60 * 1000, // monthly indices
+  predictions: 24 * 60 * 60 * 1000, // monthly forecast
+  kpIndex: 15 * 60 * 1000, // 3-hourly index, estimated values refreshed more often
+  xray: 5 * 60 * 1000, // 1-minute GOES flux
+  solarWind: 60 * 1000, // 1-minute real-time solar wind
+  particles: 5 * 60 * 1000 // 5-minute GOES integral flux
+};
+export const JPL_HORIZONS_URL = 'https://ssd.jpl.nasa.gov/api/horizons.api';
 
 // Evolutionary Event Types
 export const EVENT_TYPES = {
@@ -145,6 +329,43 @@ export const GEOLOGICAL_PERIODS = [
   { name: 'Cámbrico', start: 485, end: 541, color: '#7FA056' }
 ];
 
+// Synthetic Data Models (offline fallback, demos and tests)
+// Default seed of every synthetic generator; pass {seed} to vary it
+export const SYNTHETIC_DATA_SEED = 20151;
+
+// Noise is {sigma, exponent}: spectrum ∝ 1/f^exponent (0 white, 1 pink, 2 red)
+export const SYNTHETIC_SOLAR_MODEL = {
+  cycleLengthMonths: 132, // 11 years
+  phaseMonths: 0,
+  baseline: 100, // mean sunspot number
+  amplitude: 80,
+  noise: { sigma: 12, exponent: 1 },
+  flux: { base: 67, perSunspot: 0.57, noise: { sigma: 4, exponent: 0 } } // F10.7 (SFU)
+};
+
+export const SYNTHETIC_GEOMAG_MODEL = {
+  fieldBaseline: 48000, // nT
+  fieldAmplitude: 2000,
+  fieldPeriodMonths: 126,
+  fieldPerSunspot: 0, // nT lost per sunspot (set when driven by solar data)
+  fieldNoise: { sigma: 300, exponent: 2 },
+  kpBaseline: 2.5,
+  kpAmplitude: 0,
+  kpPeriodMonths: 63,
+  kpPerSunspot: 0.005,
+  kpNoise: { sigma: 1, exponent: 0 },
+  stormRate: 0.15, // storms per sample at 100 sunspots (Poisson)
+  stormKp: { min: 5, mean: 1.2 } // storm Kp = min + exponential excess, capped at 9
+};
+
+export const SYNTHETIC_PALEOMAG_MODEL = {
+  intensityPeriodMa: 314,
+  intensityAmplitude: 0.3, // fraction of EARTH_MAGNETIC_FIELD_BASELINE
+  polarityPeriodMa: 157,
+  noise: { sigma: 0.06, exponent: 1 }, // fraction of the baseline
+  uncertaintyMax: 5000 // nT
+};
+
 // Statistical Thresholds
 export const CORRELATION_THRESHOLDS = {
   STRONG: 0.7,
@@ -182,14 +403,26 @@ export default {
   SUN_MASS,
   SUN_RADIUS,
   PLANETS,
+  MOON,
+  TARGET_BODIES,
+  ORBITAL_ELEMENTS,
+  SECULAR_MODES,
   EARTH_MAGNETIC_FIELD_BASELINE,
   SOLAR_CYCLE_AVERAGE_LENGTH,
+  SOLAR_CYCLE_MINIMA,
+  SOLAR_CYCLE_MAXIMA,
   FTRT_REFERENCE_FORCE,
+  FTRT_REFERENCE_PERIOD,
   NOAA_BASE_URL,
+  NOAA_CACHE_TTL_MS,
   EVENT_TYPES,
   SIGNIFICANCE_LEVELS,
   COLORS,
   GEOLOGICAL_PERIODS,
+  SYNTHETIC_DATA_SEED,
+  SYNTHETIC_SOLAR_MODEL,
+  SYNTHETIC_GEOMAG_MODEL,
+  SYNTHETIC_PALEOMAG_MODEL,
   CORRELATION_THRESHOLDS,
   PROJECT_INFO
 };
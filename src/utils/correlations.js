@@ -3,6 +3,8 @@
  * Statistical methods for analyzing cosmic-biological correlations
  */
 
+import { findPeaks } from '@/utils/peakFinding';
+
 /**
  * Calculate Pearson correlation coefficient
  * @param {Array<number>} x - First variable
@@ -209,27 +211,22 @@ export const movingAverage = (data, windowSize = 5) => {
 
 /**
  * Detect peaks in time series
+ * Thin wrapper over the shared peak finder (plateaus collapse to their midpoint,
+ * the highest peak wins inside minDistance)
  * @param {Array<number>} data - Time series data
- * @param {number} threshold - Minimum value to be considered a peak
+ * @param {number} threshold - Peaks must lie strictly above this value
  * @param {number} minDistance - Minimum distance between peaks
+ * @param {number} minProminence - Minimum topographic prominence
  * @returns {Array<number>} Indices of peaks
  */
-export const detectPeaks = (data, threshold = 0, minDistance = 1) => {
-  const peaks = [];
-  
-  for (let i = 1; i < data.length - 1; i++) {
-    if (data[i] > data[i - 1] && 
-        data[i] > data[i + 1] && 
-        data[i] > threshold) {
-      
-      // Check minimum distance from previous peak
-      if (peaks.length === 0 || i - peaks[peaks.length - 1] >= minDistance) {
-        peaks.push(i);
-      }
-    }
-  }
-  
-  return peaks;
+export const detectPeaks = (data, threshold = 0, minDistance = 1, minProminence = 0) => {
+  return findPeaks(data, {
+    height: threshold,
+    distance: minDistance,
+    prominence: minProminence
+  })
+    .filter(peak => peak.value > threshold)
+    .map(peak => peak.index);
 };
 
 /**
@@ -44,6 +44,48 @@ export const julianDayToDate = (jd) => {
   return new Date(year, month - 1, day);
 };
 
+/**
+ * Convert date to fractional Julian Date (UTC, includes time of day)
+ * @param {Date} date - JavaScript Date object
+ * @returns {number} Julian Date
+ */
+export const dateToJulianDate = date => {
+  return date.getTime() / 86400000 + 2440587.5;
+};
+
+/**
+ * Convert fractional Julian Date to Date
+ * @param {number} jd - Julian Date
+ * @returns {Date} JavaScript Date object
+ */
+export const julianDateToDate = jd => {
+  return new Date((jd - 2440587.5) * 86400000);
+};
+
+/**
+ * Convert decimal year (e.g. 2019.96) to Date (UTC)
+ * @param {number} year - Decimal year
+ * @returns {Date} JavaScript Date object
+ */
+export const decimalYearToDate = year => {
+  const whole = Math.floor(year);
+  const start = Date.UTC(whole, 0, 1);
+  const end = Date.UTC(whole + 1, 0, 1);
+  return new Date(start + (year - whole) * (end - start));
+};
+
+/**
+ * Convert Date to decimal year (UTC)
+ * @param {Date} date - JavaScript Date object
+ * @returns {number} Decimal year
+ */
+export const dateToDecimalYear = date => {
+  const whole = date.getUTCFullYear();
+  const start = Date.UTC(whole, 0, 1);
+  const end = Date.UTC(whole + 1, 0, 1);
+  return whole + (date.getTime() - start) / (end - start);
+};
+
 /**
  * Calculate age in millions of years from date
  * @param {Date|string} date - Date or date string
@@ -175,6 +217,10 @@ export const isSamePeriod = (age1, age2) => {
 export default {
   dateToJulianDay,
   julianDayToDate,
+  dateToJulianDate,
+  julianDateToDate,
+  decimalYearToDate,
+  dateToDecimalYear,
   calculateAge,
   formatGeologicalAge,
   getGeologicalPeriod,
@@ -0,0 +1,148 @@
+/**
+ * FTRT Normalization
+ * Schemes that map a raw net tidal magnitude onto an index, each with the
+ * thresholds (peaks, significance, interpretation) expressed in its own units
+ */
+
+import { FTRT_REFERENCE_FORCE } from '@/utils/constants';
+
+/**
+ * Supported schemes
+ * - legacy: fixed FTRT_REFERENCE_FORCE divisor clamped to 1 (pre-climatology behaviour)
+ * - minmax: position within the reference climatology's range (0 = min, 1 = max)
+ * - zscore: standard deviations from the climatological mean
+ * - percentile: empirical rank within the climatology (0-1)
+ */
+export const NORMALIZATION_SCHEMES = {
+  legacy: {
+    requiresClimatology: false,
+    thresholds: { peak: 0.7, high: 0.75, extreme: 0.85 },
+    levels: { veryHigh: 0.8, elevated: 0.6, normal: 0.4 }
+  },
+  minmax: {
+    requiresClimatology: true,
+    thresholds: { peak: 0.7, high: 0.75, extreme: 0.85 },
+    levels: { veryHigh: 0.8, elevated: 0.6, normal: 0.4 }
+  },
+  zscore: {
+    requiresClimatology: true,
+    thresholds: { peak: 1, high: 1.5, extreme: 2 },
+    levels: { veryHigh: 1, elevated: 0.25, normal: -0.5 }
+  },
+  percentile: {
+    requiresClimatology: true,
+    thresholds: { peak: 0.9, high: 0.95, extreme: 0.99 },
+    levels: { veryHigh: 0.75, elevated: 0.6, normal: 0.4 }
+  }
+};
+
+export const DEFAULT_NORMALIZATION = 'percentile';
+
+/**
+ * Look up a scheme definition
+ * @param {string} scheme - Scheme name (defaults to DEFAULT_NORMALIZATION)
+ * @returns {Object} Scheme definition with its name
+ */
+export const getNormalizationScheme = (scheme = DEFAULT_NORMALIZATION) => {
+  const definition = NORMALIZATION_SCHEMES[scheme];
+  if (!definition) {
+    throw new Error(`Unknown FTRT normalization scheme: ${scheme}`);
+  }
+  return { name: scheme, ...definition };
+};
+
+/**
+ * Summarize raw tidal magnitudes into a reference climatology
+ * @param {ArrayLike<number>} values - Raw totalForce samples
+ * @param {Object} meta - Descriptive fields kept on the climatology (id, period, ephemeris)
+ * @returns {Object} {sorted, count, min, max, mean, std, ...meta}
+ */
+export const buildClimatology = (values, meta = {}) => {
+  if (!values || values.length < 2) {
+    throw new Error('FTRT climatology needs at least two samples');
+  }
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  let sum = 0;
+  for (let i = 0; i < count; i++) sum += sorted[i];
+  const mean = sum / count;
+  let squares = 0;
+  for (let i = 0; i < count; i++) squares += (sorted[i] - mean) ** 2;
+
+  return {
+    ...meta,
+    sorted,
+    count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    mean,
+    std: Math.sqrt(squares / (count - 1))
+  };
+};
+
+/**
+ * Empirical percentile rank (0-1) of a value, linearly interpolated between
+ * neighbouring climatology samples
+ */
+const percentileRank = (value, sorted) => {
+  const n = sorted.length;
+  if (value <= sorted[0]) return 0;
+  if (value >= sorted[n - 1]) return 1;
+
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) lo = mid;
+    else hi = mid;
+  }
+  const fraction = (value - sorted[lo]) / (sorted[hi] - sorted[lo] || 1);
+  return (lo + fraction) / (n - 1);
+};
+
+/**
+ * Map a raw tidal magnitude onto a scheme's index
+ * @param {number} totalForce - Raw net tidal magnitude
+ * @param {string} scheme - Scheme name
+ * @param {Object} climatology - Reference climatology (ignored by legacy)
+ * @returns {number} Normalized index
+ */
+export const normalizeTidalMagnitude = (totalForce, scheme = DEFAULT_NORMALIZATION, climatology = null) => {
+  const definition = getNormalizationScheme(scheme);
+  if (definition.requiresClimatology && !climatology) {
+    throw new Error(`FTRT normalization '${scheme}' requires a reference climatology`);
+  }
+
+  switch (scheme) {
+    case 'minmax':
+      return (totalForce - climatology.min) / (climatology.max - climatology.min);
+    case 'zscore':
+      return (totalForce - climatology.mean) / climatology.std;
+    case 'percentile':
+      return percentileRank(totalForce, climatology.sorted);
+    default:
+      return Math.min(totalForce / FTRT_REFERENCE_FORCE, 1);
+  }
+};
+
+/**
+ * Significance label of an index in its scheme
+ * @param {number} index - Normalized index
+ * @param {string} scheme - Scheme name
+ * @returns {string} 'extreme' | 'high' | 'moderate'
+ */
+export const classifySignificance = (index, scheme = DEFAULT_NORMALIZATION) => {
+  const { thresholds } = getNormalizationScheme(scheme);
+  if (index > thresholds.extreme) return 'extreme';
+  if (index > thresholds.high) return 'high';
+  return 'moderate';
+};
+
+export default {
+  NORMALIZATION_SCHEMES,
+  DEFAULT_NORMALIZATION,
+  getNormalizationScheme,
+  buildClimatology,
+  normalizeTidalMagnitude,
+  classifySignificance
+};
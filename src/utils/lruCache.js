@@ -0,0 +1,56 @@
+/**
+ * LRU Cache
+ * Size-limited map that evicts the least recently used entry, relying on the
+ * insertion order of Map (a read re-inserts the entry at the end)
+ */
+
+/**
+ * Create an LRU cache
+ * @param {Object} options - {maxSize: maximum number of entries (default 1000)}
+ * @returns {Object} {get, set, has, delete, clear, size, stats}
+ */
+export const createLRUCache = (options = {}) => {
+  const { maxSize = 1000 } = options;
+  if (!(maxSize >= 1)) {
+    throw new Error(`Invalid LRU cache size: ${maxSize}`);
+  }
+
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        misses++;
+        return undefined;
+      }
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      hits++;
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+      return value;
+    },
+    has: key => entries.has(key),
+    delete: key => entries.delete(key),
+    clear() {
+      entries.clear();
+    },
+    size: () => entries.size,
+    stats: () => ({ size: entries.size, maxSize, hits, misses, evictions })
+  };
+};
+
+export default {
+  createLRUCache
+};
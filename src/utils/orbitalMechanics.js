@@ -0,0 +1,254 @@
+/**
+ * Orbital Mechanics
+ * Keplerian ephemeris engine: J2000 mean elements with secular rates,
+ * solved with Kepler's equation into heliocentric ecliptic positions,
+ * plus a low-precision geocentric lunar theory
+ */
+
+import { ORBITAL_ELEMENTS, J2000_EPOCH, DAYS_PER_JULIAN_CENTURY, AU } from '@/utils/constants';
+
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_EQUATORIAL_RADIUS = 6.37814e6; // meters, unit of the lunar parallax series
+
+/**
+ * Normalize angle to the range [-180, 180) degrees
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+export const normalizeDegrees = degrees => {
+  const wrapped = ((degrees + 180) % 360 + 360) % 360;
+  return wrapped - 180;
+};
+
+/**
+ * Julian centuries elapsed since J2000.0
+ * @param {number} julianDay - Julian Date
+ * @returns {number} Centuries (T)
+ */
+export const julianCenturiesSinceJ2000 = julianDay => {
+  return (julianDay - J2000_EPOCH) / DAYS_PER_JULIAN_CENTURY;
+};
+
+/**
+ * Solve Kepler's equation M = E - e sin(E) with Newton-Raphson
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (0 <= e < 1)
+ * @param {number} tolerance - Convergence tolerance in radians
+ * @returns {number} Eccentric anomaly in radians
+ */
+export const solveKepler = (meanAnomaly, eccentricity, tolerance = 1e-12) => {
+  let E = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+
+  for (let iter = 0; iter < 50; iter++) {
+    const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < tolerance) break;
+  }
+
+  return E;
+};
+
+/**
+ * Osculating-style mean elements of a planet at a given Julian Date
+ * @param {string} planetName - Planet key (see ORBITAL_ELEMENTS)
+ * @param {number} julianDay - Julian Date
+ * @returns {Object|null} Elements {a, e, i, L, longPeri, longNode} (AU, degrees)
+ */
+export const getOrbitalElements = (planetName, julianDay) => {
+  const entry = ORBITAL_ELEMENTS[planetName];
+  if (!entry) return null;
+
+  const T = julianCenturiesSinceJ2000(julianDay);
+  const { elements, rates } = entry;
+
+  return {
+    a: elements.a + rates.a * T,
+    e: elements.e + rates.e * T,
+    i: elements.i + rates.i * T,
+    L: elements.L + rates.L * T,
+    longPeri: elements.longPeri + rates.longPeri * T,
+    longNode: elements.longNode + rates.longNode * T
+  };
+};
+
+/**
+ * Convert a set of orbital elements to heliocentric ecliptic coordinates
+ * @param {Object} elements - {a, e, i, L, longPeri, longNode} (AU, degrees)
+ * @returns {Object} Position {x, y, z, distance} in AU plus anomalies in degrees
+ */
+export const elementsToPosition = elements => {
+  const { a, e, i, L, longPeri, longNode } = elements;
+
+  const argPeri = (longPeri - longNode) * DEG_TO_RAD;
+  const node = longNode * DEG_TO_RAD;
+  const incl = i * DEG_TO_RAD;
+  const meanAnomaly = normalizeDegrees(L - longPeri) * DEG_TO_RAD;
+
+  const E = solveKepler(meanAnomaly, e);
+
+  // Position in the orbital plane
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cosW = Math.cos(argPeri);
+  const sinW = Math.sin(argPeri);
+  const cosN = Math.cos(node);
+  const sinN = Math.sin(node);
+  const cosI = Math.cos(incl);
+  const sinI = Math.sin(incl);
+
+  // Rotate into the J2000 ecliptic frame
+  const x = (cosW * cosN - sinW * sinN * cosI) * xp + (-sinW * cosN - cosW * sinN * cosI) * yp;
+  const y = (cosW * sinN + sinW * cosN * cosI) * xp + (-sinW * sinN + cosW * cosN * cosI) * yp;
+  const z = (sinW * sinI) * xp + (cosW * sinI) * yp;
+
+  const trueAnomaly = 2 * Math.atan2(
+    Math.sqrt(1 + e) * Math.sin(E / 2),
+    Math.sqrt(1 - e) * Math.cos(E / 2)
+  );
+
+  return {
+    x,
+    y,
+    z,
+    distance: Math.sqrt(x * x + y * y + z * z),
+    meanAnomaly: meanAnomaly / DEG_TO_RAD,
+    eccentricAnomaly: E / DEG_TO_RAD,
+    trueAnomaly: trueAnomaly / DEG_TO_RAD
+  };
+};
+
+/**
+ * Heliocentric position of a planet at a Julian Date
+ * @param {string} planetName - Planet key
+ * @param {number} julianDay - Julian Date
+ * @returns {Object|null} {x, y, z, distance} in AU, distanceMeters,
+ *   ecliptic longitude/latitude in degrees
+ */
+export const calculateHeliocentricPosition = (planetName, julianDay) => {
+  const elements = getOrbitalElements(planetName, julianDay);
+  if (!elements) return null;
+
+  const position = elementsToPosition(elements);
+  const longitude = (Math.atan2(position.y, position.x) / DEG_TO_RAD + 360) % 360;
+  const latitude = Math.asin(position.z / position.distance) / DEG_TO_RAD;
+
+  return {
+    planet: planetName,
+    julianDay,
+    ...position,
+    distanceMeters: position.distance * AU,
+    longitude,
+    latitude,
+    elements
+  };
+};
+
+/**
+ * Heliocentric positions of every planet with orbital elements
+ * @param {number} julianDay - Julian Date
+ * @returns {Object} Map of planet name -> position
+ */
+export const calculateAllPositions = julianDay => {
+  const positions = {};
+  Object.keys(ORBITAL_ELEMENTS).forEach(planetName => {
+    positions[planetName] = calculateHeliocentricPosition(planetName, julianDay);
+  });
+  return positions;
+};
+
+/**
+ * Fundamental lunar arguments (mean elements of the lunar orbit)
+ * The node regresses with the 18.6-year nodal period, the perigee advances
+ * with the 8.85-year apsidal period
+ * @param {number} julianDay - Julian Date
+ * @returns {Object} Degrees in [0, 360): meanLongitude, meanAnomaly, elongation
+ *   (Moon-Sun), argumentOfLatitude, nodeLongitude, perigeeLongitude, sunMeanAnomaly
+ */
+export const getLunarArguments = julianDay => {
+  const T = julianCenturiesSinceJ2000(julianDay);
+  const wrap = degrees => ((degrees % 360) + 360) % 360;
+
+  return {
+    meanLongitude: wrap(218.3165 + 481267.8813 * T),
+    meanAnomaly: wrap(134.9634 + 477198.8676 * T),
+    elongation: wrap(297.8502 + 445267.1115 * T),
+    argumentOfLatitude: wrap(93.2721 + 483202.0175 * T),
+    nodeLongitude: wrap(125.0445 - 1934.1363 * T),
+    perigeeLongitude: wrap(83.3532 + 4069.0137 * T),
+    sunMeanAnomaly: wrap(357.5291 + 35999.0503 * T)
+  };
+};
+
+/**
+ * Geocentric position of the Moon at a Julian Date
+ * Low-precision series of the Astronomical Almanac (about 0.3° in longitude,
+ * 0.2° in latitude, 0.003° in parallax), referred to the J2000 ecliptic like
+ * the planetary positions
+ * @param {number} julianDay - Julian Date
+ * @returns {Object} {x, y, z, distance} in AU, distanceMeters,
+ *   ecliptic longitude/latitude in degrees
+ */
+export const calculateMoonPosition = julianDay => {
+  const T = julianCenturiesSinceJ2000(julianDay);
+  const sin = degrees => Math.sin(degrees * DEG_TO_RAD);
+  const cos = degrees => Math.cos(degrees * DEG_TO_RAD);
+
+  const longitudeOfDate = 218.32 + 481267.881 * T
+    + 6.29 * sin(134.9 + 477198.85 * T)
+    - 1.27 * sin(259.2 - 413335.38 * T)
+    + 0.66 * sin(235.7 + 890534.23 * T)
+    + 0.21 * sin(269.9 + 954397.70 * T)
+    - 0.19 * sin(357.5 + 35999.05 * T)
+    - 0.11 * sin(186.6 + 966404.05 * T);
+  const latitude = 5.13 * sin(93.3 + 483202.03 * T)
+    + 0.28 * sin(228.2 + 960400.87 * T)
+    - 0.28 * sin(318.3 + 6003.18 * T)
+    - 0.17 * sin(217.6 - 407332.20 * T);
+  const parallax = 0.9508
+    + 0.0518 * cos(134.9 + 477198.85 * T)
+    + 0.0095 * cos(259.2 - 413335.38 * T)
+    + 0.0078 * cos(235.7 + 890534.23 * T)
+    + 0.0028 * cos(269.9 + 954397.70 * T);
+
+  // Remove general precession to refer the longitude to the J2000 equinox
+  const longitude = ((longitudeOfDate - 1.396971 * T) % 360 + 360) % 360;
+  const distanceMeters = EARTH_EQUATORIAL_RADIUS / sin(parallax);
+  const distance = distanceMeters / AU;
+
+  return {
+    body: 'moon',
+    julianDay,
+    x: distance * cos(latitude) * cos(longitude),
+    y: distance * cos(latitude) * sin(longitude),
+    z: distance * sin(latitude),
+    distance,
+    distanceMeters,
+    longitude,
+    latitude
+  };
+};
+
+/**
+ * Mean daily motion in ecliptic longitude
+ * @param {string} planetName - Planet key
+ * @returns {number|null} Degrees per day
+ */
+export const getMeanDailyMotion = planetName => {
+  const entry = ORBITAL_ELEMENTS[planetName];
+  if (!entry) return null;
+  return entry.rates.L / DAYS_PER_JULIAN_CENTURY;
+};
+
+export default {
+  normalizeDegrees,
+  julianCenturiesSinceJ2000,
+  solveKepler,
+  getOrbitalElements,
+  elementsToPosition,
+  calculateHeliocentricPosition,
+  calculateAllPositions,
+  getLunarArguments,
+  calculateMoonPosition,
+  getMeanDailyMotion
+};
@@ -0,0 +1,189 @@
+/**
+ * Peak Finding
+ * Local maxima with topographic prominence, width at a relative height,
+ * minimum separation, plateau and edge handling. Shared by every detector
+ * (FTRT, solar cycles, geomagnetic storms) so a "peak" means the same thing
+ * across the application.
+ */
+
+/**
+ * Candidate local maxima, collapsing flat tops to their midpoint
+ * @returns {Array<Object>} {index, plateauStart, plateauEnd, edge}
+ */
+const findLocalMaxima = (values, includeEdges) => {
+  const n = values.length;
+  const maxima = [];
+  let i = 0;
+
+  while (i < n) {
+    // Extent of the run of equal values starting at i
+    let end = i;
+    while (end + 1 < n && values[end + 1] === values[i]) end++;
+
+    const risesIn = i === 0 ? null : values[i - 1] < values[i];
+    const fallsOut = end === n - 1 ? null : values[end + 1] < values[i];
+    const interior = risesIn === true && fallsOut === true;
+    const atEdge = (risesIn === null && fallsOut === true) || (risesIn === true && fallsOut === null);
+
+    if (Number.isFinite(values[i]) && (interior || (includeEdges && atEdge))) {
+      maxima.push({
+        index: Math.floor((i + end) / 2),
+        plateauStart: i,
+        plateauEnd: end,
+        edge: !interior
+      });
+    }
+    i = end + 1;
+  }
+
+  return maxima;
+};
+
+/**
+ * Keep the highest peaks when several lie closer than `distance` samples
+ */
+const selectByDistance = (values, peaks, distance) => {
+  if (distance <= 1) return peaks;
+
+  const keep = new Array(peaks.length).fill(true);
+  const byHeight = peaks.map((_, k) => k).sort((a, b) => values[peaks[b].index] - values[peaks[a].index]);
+
+  byHeight.forEach(k => {
+    if (!keep[k]) return;
+    for (let j = k - 1; j >= 0 && peaks[k].index - peaks[j].index < distance; j--) keep[j] = false;
+    for (let j = k + 1; j < peaks.length && peaks[j].index - peaks[k].index < distance; j++) keep[j] = false;
+  });
+
+  return peaks.filter((_, k) => keep[k]);
+};
+
+/**
+ * Topographic prominence: height above the higher of the two lowest points
+ * reached before climbing to a higher peak on either side. An edge peak has
+ * only one side, which then sets the reference alone.
+ */
+const computeProminence = (values, peak) => {
+  const height = values[peak.index];
+  const n = values.length;
+
+  let leftBase = peak.plateauStart;
+  let leftMin = height;
+  for (let i = peak.plateauStart - 1; i >= 0 && !(values[i] > height); i--) {
+    if (values[i] < leftMin) {
+      leftMin = values[i];
+      leftBase = i;
+    }
+  }
+
+  let rightBase = peak.plateauEnd;
+  let rightMin = height;
+  for (let i = peak.plateauEnd + 1; i < n && !(values[i] > height); i++) {
+    if (values[i] < rightMin) {
+      rightMin = values[i];
+      rightBase = i;
+    }
+  }
+
+  let reference = Math.max(leftMin, rightMin);
+  if (peak.plateauStart === 0) reference = rightMin;
+  if (peak.plateauEnd === n - 1) reference = peak.plateauStart === 0 ? height : leftMin;
+
+  return { prominence: height - reference, leftBase, rightBase };
+};
+
+/**
+ * Width at `relHeight` of the prominence below the peak, with linearly
+ * interpolated fractional crossing positions, bounded by the peak's bases
+ */
+const computeWidth = (values, peak, relHeight) => {
+  const height = values[peak.index] - peak.prominence * relHeight;
+
+  let i = peak.plateauStart;
+  while (i > peak.leftBase && values[i] > height) i--;
+  let left = i;
+  if (values[i] < height && i < peak.plateauStart) {
+    left = i + (height - values[i]) / (values[i + 1] - values[i]);
+  }
+
+  i = peak.plateauEnd;
+  while (i < peak.rightBase && values[i] > height) i++;
+  let right = i;
+  if (values[i] < height && i > peak.plateauEnd) {
+    right = i - (height - values[i]) / (values[i - 1] - values[i]);
+  }
+
+  return { width: right - left, widthHeight: height, left, right };
+};
+
+/**
+ * Find peaks in a uniformly sampled series
+ * Filters are applied in order: height, distance, prominence, width
+ * @param {ArrayLike<number>} values - Series values
+ * @param {Object} options - {height: minimum value (inclusive),
+ *   prominence: minimum prominence, width: minimum width in samples,
+ *   distance: minimum separation in samples (higher peaks win),
+ *   relHeight: fraction of prominence at which width is measured (default 0.5),
+ *   includeEdges: allow maxima on the first/last sample (default false)}
+ * @returns {Array<Object>} Peaks ordered by index: {index, value, prominence,
+ *   leftBase, rightBase, width, widthHeight, left, right (fractional sample
+ *   positions of the width crossings), plateauStart, plateauEnd, edge}
+ */
+export const findPeaks = (values, options = {}) => {
+  const {
+    height = -Infinity,
+    prominence = 0,
+    width = 0,
+    distance = 1,
+    relHeight = 0.5,
+    includeEdges = false
+  } = options;
+
+  if (!values || values.length === 0) return [];
+
+  let peaks = findLocalMaxima(values, includeEdges).filter(p => values[p.index] >= height);
+  peaks = selectByDistance(values, peaks, distance);
+
+  return peaks
+    .map(peak => ({ ...peak, value: values[peak.index], ...computeProminence(values, peak) }))
+    .filter(peak => peak.prominence >= prominence)
+    .map(peak => ({ ...peak, ...computeWidth(values, peak, relHeight) }))
+    .filter(peak => peak.width >= width);
+};
+
+/**
+ * Minima of a series, found as peaks of its negation
+ * @param {ArrayLike<number>} values - Series values
+ * @param {Object} options - findPeaks options; height is a maximum value here
+ * @returns {Array<Object>} Valleys with value restored to the original sign
+ */
+export const findValleys = (values, options = {}) => {
+  const negated = Array.from(values, v => -v);
+  const height = options.height === undefined ? undefined : -options.height;
+  return findPeaks(negated, { ...options, height }).map(peak => ({
+    ...peak,
+    value: -peak.value,
+    widthHeight: -peak.widthHeight
+  }));
+};
+
+/**
+ * Linear interpolation of a sample-aligned coordinate at a fractional position
+ * (e.g. Julian Days or timestamps at a peak's width crossings)
+ * @param {ArrayLike<number>} coordinates - Coordinate per sample
+ * @param {number} position - Fractional sample position
+ * @returns {number} Interpolated coordinate
+ */
+export const interpolateAt = (coordinates, position) => {
+  const last = coordinates.length - 1;
+  const clamped = Math.max(0, Math.min(last, position));
+  const lower = Math.floor(clamped);
+  const upper = Math.min(last, lower + 1);
+  const fraction = clamped - lower;
+  return coordinates[lower] * (1 - fraction) + coordinates[upper] * fraction;
+};
+
+export default {
+  findPeaks,
+  findValleys,
+  interpolateAt
+};
@@ -0,0 +1,117 @@
+/**
+ * Seeded Random Numbers
+ * Reproducible pseudo-random streams for synthetic data: the same seed gives
+ * the same sequence on every run and platform (mulberry32, 32-bit state)
+ */
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer; strings are hashed (FNV-1a)
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export const normalizeSeed = seed => {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  if (!Number.isFinite(seed)) throw new Error(`Invalid random seed: ${seed}`);
+  return Math.trunc(seed) >>> 0;
+};
+
+/**
+ * Create a seeded random stream
+ * @param {number|string} seed - Seed (see normalizeSeed)
+ * @returns {Object} {seed (normalized), next: uniform [0, 1), uniform(min, max),
+ *   normal(mean, sd), exponential(mean), poisson(lambda), fork(label): an
+ *   independent stream derived from this seed and the label}
+ */
+export const createRandom = seed => {
+  const normalized = normalizeSeed(seed);
+  let state = normalized;
+  let spare = null;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Box-Muller; the second deviate of each pair is kept for the next call
+  const normal = (mean = 0, sd = 1) => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return mean + sd * z;
+    }
+    const u = 1 - next();
+    const v = next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return mean + sd * r * Math.cos(2 * Math.PI * v);
+  };
+
+  const poisson = lambda => {
+    if (!(lambda > 0)) return 0;
+    // Knuth's product method; normal approximation for large rates
+    if (lambda > 30) return Math.max(0, Math.round(normal(lambda, Math.sqrt(lambda))));
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = next();
+    while (product > limit) {
+      count++;
+      product *= next();
+    }
+    return count;
+  };
+
+  return {
+    seed: normalized,
+    next,
+    uniform: (min = 0, max = 1) => min + (max - min) * next(),
+    normal,
+    exponential: (mean = 1) => -mean * Math.log(1 - next()),
+    poisson,
+    fork: label => createRandom(normalizeSeed(`${normalized}:${label}`))
+  };
+};
+
+/**
+ * Zero-mean noise with a power-law spectrum P(f) ∝ 1/f^exponent, by spectral
+ * synthesis: 0 is white, 1 pink (flicker), 2 red (random-walk-like)
+ * @param {number} length - Number of samples
+ * @param {Object} options - {sigma: standard deviation (default 1), exponent (default 0)}
+ * @param {Object} random - Stream from createRandom
+ * @returns {Array<number>}
+ */
+export const coloredNoise = (length, options, random) => {
+  const { sigma = 1, exponent = 0 } = options;
+  if (length === 0 || sigma === 0) return new Array(length).fill(0);
+  if (exponent === 0) return Array.from({ length }, () => random.normal(0, sigma));
+
+  const values = new Array(length).fill(0);
+  const harmonics = Math.max(1, Math.floor(length / 2));
+  for (let k = 1; k <= harmonics; k++) {
+    const amplitude = k ** (-exponent / 2);
+    const a = random.normal(0, amplitude);
+    const b = random.normal(0, amplitude);
+    const omega = (2 * Math.PI * k) / length;
+    for (let t = 0; t < length; t++) {
+      values[t] += a * Math.cos(omega * t) + b * Math.sin(omega * t);
+    }
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / length;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / length) || 1;
+  return values.map(v => ((v - mean) / sd) * sigma);
+};
+
+export default {
+  normalizeSeed,
+  createRandom,
+  coloredNoise
+};
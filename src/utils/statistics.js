@@ -259,6 +259,57 @@ export const tTest = (data, populationMean) => {
   };
 };
 
+/**
+ * Circular statistics for angular data
+ * Uses the mean resultant vector, so it is insensitive to the 0/2π wrap-around
+ * @param {Array<number>} angles - Angles in radians
+ * @param {Array<number>} weights - Optional non-negative weights (default: equal)
+ * @returns {Object} {meanAngle (0-2π), resultantLength (0-1), variance, std}
+ */
+export const circularStatistics = (angles, weights = null) => {
+  if (!angles || angles.length === 0) {
+    return { meanAngle: 0, resultantLength: 0, variance: 1, std: Infinity };
+  }
+  
+  let sumWeights = 0;
+  let sumCos = 0;
+  let sumSin = 0;
+  angles.forEach((angle, i) => {
+    const w = weights ? weights[i] : 1;
+    sumWeights += w;
+    sumCos += w * Math.cos(angle);
+    sumSin += w * Math.sin(angle);
+  });
+  
+  const resultantLength = sumWeights > 0 ? Math.hypot(sumCos, sumSin) / sumWeights : 0;
+  const meanAngle = (Math.atan2(sumSin, sumCos) + 2 * Math.PI) % (2 * Math.PI);
+  
+  return {
+    meanAngle,
+    resultantLength,
+    variance: 1 - resultantLength,
+    std: resultantLength > 0 ? Math.sqrt(-2 * Math.log(resultantLength)) : Infinity
+  };
+};
+
+/**
+ * Axial (bidirectional) circular statistics
+ * Angles θ and θ + π are equivalent: statistics are taken on doubled angles
+ * and the mean axis is halved back (range 0-π)
+ * @param {Array<number>} angles - Angles in radians
+ * @param {Array<number>} weights - Optional non-negative weights
+ * @returns {Object} {meanAxis (0-π), resultantLength (0-1), variance, std}
+ */
+export const axialStatistics = (angles, weights = null) => {
+  const doubled = circularStatistics(angles.map(a => 2 * a), weights);
+  return {
+    meanAxis: doubled.meanAngle / 2,
+    resultantLength: doubled.resultantLength,
+    variance: doubled.variance,
+    std: doubled.std / 2
+  };
+};
+
 /**
  * Calculate moving statistics
  * @param {Array<number>} data - Time series data
@@ -403,6 +454,8 @@ export default {
   kurtosis,
   confidenceInterval,
   tTest,
+  circularStatistics,
+  axialStatistics,
   movingStatistics,
   cumulativeSum,
   percentageChange,
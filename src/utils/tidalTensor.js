@@ -0,0 +1,155 @@
+/**
+ * Tidal Tensor
+ * Vector treatment of tidal fields: per-body tidal tensors, their sum,
+ * and the principal axis / magnitude of the net field
+ */
+
+import { GRAVITATIONAL_CONSTANT } from '@/utils/constants';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Tidal tensor of a point mass at relative position r
+ * T = (G M / d³) (3 r̂ r̂ᵀ − I), so the tidal acceleration at displacement ρ
+ * from the target's centre is T·ρ
+ * @param {Array<number>} vector - Position of the source relative to the target (meters)
+ * @param {number} mass - Source mass (kg)
+ * @returns {Array<Array<number>>} 3x3 tensor (s⁻²)
+ */
+export const tidalTensor = (vector, mass) => {
+  const d = Math.hypot(vector[0], vector[1], vector[2]);
+  const unit = vector.map(c => c / d);
+  const k = (GRAVITATIONAL_CONSTANT * mass) / Math.pow(d, 3);
+
+  return [0, 1, 2].map(i => [0, 1, 2].map(j =>
+    k * (3 * unit[i] * unit[j] - (i === j ? 1 : 0))
+  ));
+};
+
+/**
+ * Element-wise sum of 3x3 tensors
+ * @param {Array<Array<Array<number>>>} tensors - Tensors to add
+ * @returns {Array<Array<number>>} Sum tensor
+ */
+export const sumTensors = tensors => {
+  const total = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  tensors.forEach(t => {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        total[i][j] += t[i][j];
+      }
+    }
+  });
+  return total;
+};
+
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix (cyclic Jacobi rotations)
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Object} {values, vectors} sorted by descending eigenvalue;
+ *   vectors[k] is the unit eigenvector for values[k]
+ */
+export const symmetricEigen3 = matrix => {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    const scale = Math.abs(a[0][0]) + Math.abs(a[1][1]) + Math.abs(a[2][2]);
+    if (offDiagonal <= 1e-15 * scale || offDiagonal === 0) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (a[p][q] === 0) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return [0, 1, 2]
+    .map(k => ({ value: a[k][k], vector: [v[0][k], v[1][k], v[2][k]] }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((acc, { value, vector }) => {
+      acc.values.push(value);
+      acc.vectors.push(vector);
+      return acc;
+    }, { values: [], vectors: [] });
+};
+
+/**
+ * Analyze the net tidal field raised on a target by several sources
+ * @param {Array<Object>} sources - [{name, mass, vector}] with vector in meters
+ *   (source position relative to the target centre)
+ * @param {number} radius - Target radius in meters (surface where the field is evaluated)
+ * @returns {Object} Net tidal magnitude along the principal axis, axis orientation,
+ *   eigenvalues and per-source vector contributions
+ */
+export const analyzeTidalField = (sources, radius) => {
+  const tensors = {};
+  sources.forEach(source => {
+    tensors[source.name] = tidalTensor(source.vector, source.mass);
+  });
+
+  const netTensor = sumTensors(Object.values(tensors));
+  const { values, vectors } = symmetricEigen3(netTensor);
+
+  // Principal (stretching) axis; sign is arbitrary, fix it to the upper hemisphere
+  const axis = vectors[0][2] < 0 ? vectors[0].map(c => -c) : vectors[0];
+
+  const contributions = {};
+  sources.forEach(source => {
+    const d = Math.hypot(...source.vector);
+    const unit = source.vector.map(c => c / d);
+    const magnitude = (2 * GRAVITATIONAL_CONSTANT * source.mass * radius) / Math.pow(d, 3);
+    const t = tensors[source.name];
+    const tAxis = [0, 1, 2].map(i => t[i][0] * axis[0] + t[i][1] * axis[1] + t[i][2] * axis[2]);
+
+    contributions[source.name] = {
+      // Tidal acceleration at the sub-source surface point, pointing at the source
+      vector: unit.map(c => c * magnitude),
+      magnitude,
+      // Share of the net field along the principal axis (can be negative)
+      axialComponent: (axis[0] * tAxis[0] + axis[1] * tAxis[1] + axis[2] * tAxis[2]) * radius
+    };
+  });
+
+  return {
+    magnitude: values[0] * radius,
+    axis,
+    axisLongitude: (Math.atan2(axis[1], axis[0]) * RAD_TO_DEG + 360) % 180,
+    axisLatitude: Math.asin(Math.max(-1, Math.min(1, axis[2]))) * RAD_TO_DEG,
+    eigenvalues: values,
+    tensor: netTensor,
+    contributions
+  };
+};
+
+export default {
+  tidalTensor,
+  sumTensors,
+  symmetricEigen3,
+  analyzeTidalField
+};
@@ -0,0 +1,14 @@
+/**
+ * FTRT Web Worker
+ * Runs FTRT tasks (time series, reports, peak scans) off the main thread;
+ * spawned by the worker pool of ftrtEngine.js
+ */
+
+import { attachFTRTWorker } from '@/services/ftrtTasks';
+
+attachFTRTWorker({
+  post: message => self.postMessage(message),
+  listen: handler => {
+    self.onmessage = event => handler(event.data);
+  }
+});
@@ -0,0 +1,18 @@
+/**
+ * FTRT worker thread (Node)
+ * Node counterpart of ftrtWorker.js: the sources use the '@/' alias and
+ * extensionless imports, so sourceLoader.mjs resolves them before the task
+ * module is imported
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { register } from 'node:module';
+
+register('./sourceLoader.mjs', import.meta.url);
+
+const { attachFTRTWorker } = await import('../services/ftrtTasks.js');
+
+attachFTRTWorker({
+  post: message => parentPort.postMessage(message),
+  listen: handler => parentPort.on('message', handler)
+});
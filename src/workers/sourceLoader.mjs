@@ -0,0 +1,33 @@
+/**
+ * Source module loader (Node)
+ * Resolve and load hooks that let plain Node import the sources: the '@/'
+ * alias maps to src/, extensionless specifiers get '.js', files under src/
+ * load as ES modules and their JSON imports need no import attribute.
+ * Registered with module.register() by the Node worker.
+ */
+
+const SRC_URL = new URL('../', import.meta.url);
+
+const hasExtension = specifier => /\.[cm]?[jt]sx?$|\.json$/.test(specifier);
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (specifier.startsWith('@/')) {
+    const url = new URL(specifier.slice(2), SRC_URL);
+    return nextResolve(hasExtension(specifier) ? url.href : `${url.href}.js`, context);
+  }
+  const fromSources = context.parentURL?.startsWith(SRC_URL.href);
+  if (fromSources && specifier.startsWith('.') && !hasExtension(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (url.startsWith(SRC_URL.href) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  if (url.startsWith(SRC_URL.href) && url.endsWith('.json')) {
+    return nextLoad(url, { ...context, importAttributes: { ...context.importAttributes, type: 'json' } });
+  }
+  return nextLoad(url, context);
+};
@@ -0,0 +1,103 @@
+// tests/calendarExport.test.js
+import {
+  foldICSLine,
+  escapeICSText,
+  generateFTRTCalendar,
+  collectFTRTPeakEvents,
+  collectAlignmentEvents,
+  collectSolarCycleEvents
+} from '../src/services/calendarExport';
+
+const octets = line => new TextEncoder().encode(line).length;
+
+describe('Calendar export', () => {
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Longitud heliocéntrica 109.63° '.repeat(6)}`;
+    const folded = foldICSLine(line).split('\r\n');
+    
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach(part => expect(octets(part)).toBeLessThanOrEqual(75));
+    expect(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+  
+  test('should escape TEXT values', () => {
+    expect(escapeICSText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+  
+  test('should produce a CRLF calendar with stable UIDs across exports', () => {
+    const start = new Date('2026-01-01');
+    const end = new Date('2027-01-01');
+    const first = generateFTRTCalendar(start, end, { now: new Date('2026-01-01') });
+    const second = generateFTRTCalendar(start, end, { now: new Date('2026-06-01') });
+    const uids = ics => ics.split('\r\n').filter(line => line.startsWith('UID:'));
+    
+    expect(first.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(first.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(first.replace(/\r\n/g, '').includes('\n')).toBe(false);
+    expect(uids(first).length).toBeGreaterThan(0);
+    expect(uids(second)).toEqual(uids(first));
+    expect(new Set(uids(first)).size).toBe(uids(first).length);
+  });
+  
+  test('should keep peak UIDs when a refined forecast moves the maximum', () => {
+    const start = new Date('2026-01-01');
+    const end = new Date('2027-01-01');
+    const coarse = collectFTRTPeakEvents(start, end, { stepDays: 2 });
+    const fine = collectFTRTPeakEvents(start, end, { stepDays: 0.5 });
+    
+    expect(fine.length).toBe(coarse.length);
+    expect(fine.map(e => e.uid)).toEqual(coarse.map(e => e.uid));
+    expect(fine.some((e, i) => e.description !== coarse[i].description)).toBe(true);
+    expect(fine[0].uid).toMatch(/^ftrt-peak-solar-sun-tidal-venus-jupiter-cycle-\d+@/);
+  });
+  
+  test('should keep peak UIDs when the maximum crosses a fixed epoch grid', () => {
+    const start = new Date('2026-01-01');
+    const end = new Date('2029-01-01');
+    const fine = collectFTRTPeakEvents(start, end, { stepDays: 0.5 });
+    const coarse = collectFTRTPeakEvents(start, end, { stepDays: 3 });
+    const julianDay = event => Date.parse(event.description.match(/^Maximum: (\S+)/)[1]) / 86400000 + 2440587.5;
+    
+    // Some maximum moves into another 5-day Julian Day window, which used to change its UID
+    expect(coarse.some((e, i) => Math.round(julianDay(e) / 5) !== Math.round(julianDay(fine[i]) / 5))).toBe(true);
+    expect(coarse.map(e => e.uid)).toEqual(fine.map(e => e.uid));
+  });
+  
+  test('should key lunar-tide peaks by syzygy', () => {
+    const events = collectFTRTPeakEvents(new Date('2026-01-01'), new Date('2026-04-01'), { target: 'earth' });
+    const cycles = events.map(e => Number(e.uid.match(/-cycle-(-?\d+)@/)[1]));
+    
+    expect(events[0].uid).toMatch(/^ftrt-peak-solar-earth-tidal-moon-sun-cycle-\d+@/);
+    expect(new Set(cycles).size).toBe(cycles.length);
+  });
+  
+  test('should key alignments by their bodies and cycle', () => {
+    const groups = [['venus', 'earth']];
+    const events = collectAlignmentEvents(new Date('2025-01-01'), new Date('2027-01-01'), { groups });
+    const later = collectAlignmentEvents(new Date('2026-01-01'), new Date('2027-01-01'), { groups, tolerance: 2 });
+    
+    expect(events[0].uid).toMatch(/^alignment-venus-earth-cycle-\d+@/);
+    expect(later.map(e => e.uid)).toEqual(events.slice(-later.length).map(e => e.uid));
+  });
+  
+  test('should key solar-cycle milestones by cycle number', () => {
+    const events = collectSolarCycleEvents(new Date('2024-01-01'), new Date('2036-01-01'));
+    
+    expect(events.map(e => e.uid)).toContain('solar-cycle-25-maximum@ftrt-cosmic-evolution-explorer');
+    expect(events.map(e => e.uid)).toContain('solar-cycle-26-minimum@ftrt-cosmic-evolution-explorer');
+    expect(events.find(e => e.uid.startsWith('solar-cycle-25-maximum')).summary).not.toMatch(/predicted/);
+  });
+  
+  test('should date past solar cycles from the catalogue and predict only future ones', () => {
+    const past = collectSolarCycleEvents(new Date('1995-01-01'), new Date('2015-01-01'));
+    const future = collectSolarCycleEvents(new Date('2026-01-01'), new Date('2050-01-01'));
+    
+    expect(past.map(e => e.uid.split('@')[0])).toEqual([
+      'solar-cycle-23-minimum', 'solar-cycle-23-maximum', 'solar-cycle-24-minimum', 'solar-cycle-24-maximum'
+    ]);
+    past.forEach(e => expect(e.summary).not.toMatch(/predicted/));
+    expect(past[1].start.getUTCFullYear()).toBe(2001);
+    expect(future.length).toBeGreaterThan(0);
+    future.forEach(e => expect(e.summary).toMatch(/predicted/));
+  });
+});
@@ -0,0 +1,118 @@
+// tests/cmeLinking.test.js
+import fs from 'fs';
+import path from 'path';
+import {
+  parseSourceLocation,
+  parseCMECatalog,
+  parseStormCatalog,
+  importCatalogFile
+} from '../src/services/cmeCatalog';
+import { dragBasedTransit, predictArrival, linkCMEsToStorms } from '../src/services/cmeLinking';
+import { parseKpProduct, detectGeomagneticStorms } from '../src/services/geomagService';
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const readJSON = name => JSON.parse(readFixture(name));
+
+describe('CME catalog import', () => {
+  test('should parse source locations with west and north positive', () => {
+    expect(parseSourceLocation('S17E32')).toEqual({ latitude: -17, longitude: -32 });
+    expect(parseSourceLocation('n05w110')).toEqual({ latitude: 5, longitude: 110 });
+    expect(parseSourceLocation('')).toBeNull();
+  });
+
+  test('should normalize DONKI CMEs with their most accurate analysis', async () => {
+    const cmes = await importCatalogFile(readFixture('donki-cme.json'));
+
+    expect(cmes.map(c => c.id)).toEqual([
+      '2024-05-08T05:36:00-CME-001',
+      '2024-05-12T10:00:00-CME-001',
+      '2024-05-13T02:00:00-CME-001',
+      '2024-05-14T04:00:00-CME-001'
+    ]);
+    expect(cmes[0]).toMatchObject({
+      startTime: '2024-05-08T05:36:00.000Z',
+      time21_5: '2024-05-08T09:00:00.000Z',
+      speed: 900,
+      halfAngle: 45,
+      source: { latitude: -18, longitude: 8 },
+      activeRegion: 13664,
+      earthDirected: true,
+      linkedEvents: ['2024-05-10T18:00:00-GST-001']
+    });
+    expect(cmes.map(c => c.earthDirected)).toEqual([true, true, false, null]);
+    expect(cmes[3]).toMatchObject({ latitude: 20, longitude: -30, speed: null, sourceLocation: 'N20E30' });
+  });
+
+  test('should read flat CME analyses and storm catalogs', () => {
+    const [cme] = parseCMECatalog([{
+      associatedCMEID: '2024-05-08T05:36:00-CME-001',
+      time21_5: '2024-05-08T09:00Z',
+      latitude: 60,
+      longitude: 0,
+      halfAngle: 25,
+      speed: 900
+    }], { margin: 40 });
+    expect(cme).toMatchObject({ startTime: '2024-05-08T05:36:00.000Z', earthDirected: true });
+
+    const storms = parseStormCatalog(readJSON('donki-gst.json'));
+    expect(storms[0]).toMatchObject({
+      start: '2024-05-10T18:00:00.000Z',
+      end: '2024-05-11T12:00:00.000Z',
+      peakKp: 8.67
+    });
+    expect(() => parseCMECatalog({})).toThrow(/CME catalog/);
+  });
+});
+
+describe('CME-to-storm linking', () => {
+  test('should slow fast CMEs and speed up slow ones toward the solar wind', () => {
+    const fast = dragBasedTransit(1500);
+    const slow = dragBasedTransit(300);
+
+    expect(fast.arrivalSpeed).toBeLessThan(1500);
+    expect(fast.arrivalSpeed).toBeGreaterThan(400);
+    expect(slow.arrivalSpeed).toBeGreaterThan(300);
+    expect(fast.transitHours).toBeLessThan(dragBasedTransit(400).transitHours);
+    // Constant 400 km/s from 21.5 solar radii to 1 AU
+    expect(dragBasedTransit(400).transitHours).toBeCloseTo((149597870.7 - 21.5 * 695700) / 400 / 3600, 6);
+    expect(dragBasedTransit(0)).toBeNull();
+  });
+
+  test('should match Earth-directed CMEs to storms in the Kp record', () => {
+    const cmes = parseCMECatalog(readJSON('donki-cme.json'));
+    const kp = parseKpProduct(readJSON('noaa-planetary-k-index.json'));
+    const storms = detectGeomagneticStorms(kp);
+    const { links, unlinkedStorms, statistics } = linkCMEsToStorms(cmes, storms);
+
+    expect(storms).toHaveLength(2);
+    expect(links).toHaveLength(2);
+    expect(links[0].storm).toBe(storms[0]);
+    expect(links[0].arrival).toBe(predictArrival(cmes[0]).arrival);
+    expect(links[0].errorHours).toBeGreaterThan(0);
+    expect(links[0].errorHours).toBeLessThan(3);
+    expect(links[1].storm).toBeNull();
+    expect(unlinkedStorms).toEqual([storms[1]]);
+    expect(statistics).toMatchObject({
+      earthDirected: 2,
+      hits: 1,
+      falseAlarms: 1,
+      missedStorms: 1,
+      hitRate: 0.5,
+      probabilityOfDetection: 0.5
+    });
+    expect(statistics.rmseHours).toBeCloseTo(links[0].errorHours, 10);
+  });
+
+  test('should link DONKI storms and optionally all CMEs', () => {
+    const cmes = parseCMECatalog(readJSON('donki-cme.json'));
+    const storms = parseStormCatalog(readJSON('donki-gst.json'));
+    const linked = linkCMEsToStorms(cmes, storms);
+    expect(linked.links[0].storm.id).toBe(cmes[0].linkedEvents[0]);
+
+    // The limb CME would arrive two days after the second storm began: still no link
+    const all = linkCMEsToStorms(cmes, storms, { earthDirectedOnly: false, after: 12 });
+    expect(all.links).toHaveLength(3);
+    expect(all.statistics.earthDirected).toBe(2);
+    expect(all.links.find(l => l.cme.earthDirected === false).storm).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+// tests/dataCache.test.js
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import {
+  createMemoryStore,
+  createFileStore,
+  setDataCacheStore,
+  fetchWithCache
+} from '../src/services/dataCache';
+import { NetworkError } from '../src/services/httpClient';
+
+const URL = 'https://services.swpc.noaa.gov/json/test.json';
+
+// Transport answering 200 with an ETag, or 304 when the ETag matches
+const createTransport = () => {
+  const transport = jest.fn(async (url, headers) => {
+    if (transport.offline) throw new Error('Network Error');
+    if (headers['If-None-Match'] === '"v1"') return { status: 304, data: '', headers: {} };
+    return { status: 200, data: [{ ssn: 100 }], headers: { etag: '"v1"' } };
+  });
+  return transport;
+};
+
+describe('Data cache', () => {
+  let now;
+
+  beforeEach(() => {
+    setDataCacheStore(createMemoryStore());
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve fresh entries without a request', async () => {
+    const transport = createTransport();
+    const first = await fetchWithCache(URL, { ttl: 1000, transport });
+    const second = await fetchWithCache(URL, { ttl: 1000, transport });
+
+    expect(first.source).toBe('network');
+    expect(second).toMatchObject({ source: 'cache', data: [{ ssn: 100 }], stale: false });
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return stale entries and revalidate them with their ETag', async () => {
+    const transport = createTransport();
+    await fetchWithCache(URL, { ttl: 1000, transport });
+    now += 5000;
+
+    const updated = new Promise(resolve => {
+      fetchWithCache(URL, { ttl: 1000, transport, onUpdate: resolve }).then(stale => {
+        expect(stale).toMatchObject({ source: 'stale', stale: true });
+      });
+    });
+    expect(await updated).toMatchObject({ source: 'revalidated', stale: false });
+    expect(transport).toHaveBeenLastCalledWith(URL, { 'If-None-Match': '"v1"' });
+    expect((await fetchWithCache(URL, { ttl: 1000, transport })).source).toBe('cache');
+  });
+
+  test('should bypass fresh entries on refresh and fall back to them offline', async () => {
+    const transport = createTransport();
+    await fetchWithCache(URL, { ttl: 1000, transport });
+
+    await fetchWithCache(URL, { ttl: 1000, transport, refresh: true });
+    expect(transport).toHaveBeenCalledTimes(2);
+
+    transport.offline = true;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const offline = await fetchWithCache(URL, { ttl: 1000, transport, refresh: true });
+    expect(offline).toMatchObject({ source: 'offline', data: [{ ssn: 100 }] });
+    expect(warn).toHaveBeenCalled();
+
+    setDataCacheStore(createMemoryStore());
+    await expect(fetchWithCache(URL, { transport })).rejects.toThrow('Network Error');
+  });
+
+  test('should retry without validators when the conditional request is blocked', async () => {
+    const transport = createTransport();
+    await fetchWithCache(URL, { ttl: 1000, transport });
+    now += 2000;
+
+    // A rejected CORS preflight surfaces as a network error on the conditional request only
+    const blocked = jest.fn(async (url, headers) => {
+      if (Object.keys(headers).length > 0) throw new NetworkError('Network Error', { url });
+      return transport(url, headers);
+    });
+    const result = await fetchWithCache(URL, { ttl: 1000, transport: blocked, staleWhileRevalidate: false });
+
+    expect(result).toMatchObject({ source: 'network', stale: false });
+    expect(blocked).toHaveBeenLastCalledWith(URL, {});
+  });
+
+  test('should persist entries on the filesystem in Node', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ftrt-cache-'));
+    const store = createFileStore({ directory, fs: fs.promises });
+    setDataCacheStore(store);
+
+    await fetchWithCache(URL, { transport: createTransport() });
+    expect((await store.get(URL)).etag).toBe('"v1"');
+
+    await store.clear();
+    expect(await store.get(URL)).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+// tests/ephemerisProviders.test.js
+import fs from 'fs';
+import path from 'path';
+import {
+  parseHorizonsVectors,
+  createHorizonsProvider,
+  createAnalyticProvider
+} from '../src/services/ephemerisProviders';
+import { calculateFTRT } from '../src/services/ftrtCalculator';
+import { AU } from '../src/utils/constants';
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// The Horizons fixtures are synthetic: exact states of these uniform circular
+// orbits (see their headers), so interpolation is checked against the orbit itself
+const DEG = Math.PI / 180;
+const T0 = 2460676.5;
+const ORBITS = {
+  jupiter: { radius: 5.2, period: 4332.59, inclination: 1.3, node: 100.5, phase: -22.5 },
+  venus: { radius: 0.7233, period: 224.701, inclination: 3.39, node: 76.68, phase: -25.7 }
+};
+
+const circularPosition = (body, julianDay) => {
+  const { radius, period, inclination, node, phase } = ORBITS[body];
+  const u = phase * DEG + (2 * Math.PI * (julianDay - T0)) / period;
+  const [px, py] = [radius * Math.cos(u), radius * Math.sin(u)];
+  const x = Math.cos(node * DEG) * px - Math.sin(node * DEG) * Math.cos(inclination * DEG) * py;
+  const y = Math.sin(node * DEG) * px + Math.cos(node * DEG) * Math.cos(inclination * DEG) * py;
+  const z = Math.sin(inclination * DEG) * py;
+  return {
+    planet: body,
+    julianDay,
+    x,
+    y,
+    z,
+    distance: radius,
+    distanceMeters: radius * AU,
+    longitude: (Math.atan2(y, x) / DEG + 360) % 360,
+    latitude: Math.asin(z / radius) / DEG
+  };
+};
+
+describe('Ephemeris Providers', () => {
+  test('should parse Horizons CSV and text vector tables', () => {
+    const jupiter = parseHorizonsVectors(readFixture('horizons-jupiter.csv'));
+    const venus = parseHorizonsVectors(readFixture('horizons-venus.txt'));
+    
+    expect(jupiter.body).toBe('jupiter');
+    expect(jupiter.center).toBe('Sun (10)');
+    expect(jupiter.rows).toHaveLength(7);
+    expect(venus.body).toBe('venus');
+    expect(venus.rows[0].vx).toBeCloseTo(-1.5682475e-2, 8);
+  });
+  
+  test('should interpolate between table rows', () => {
+    const provider = createHorizonsProvider([readFixture('horizons-jupiter.csv'), readFixture('horizons-venus.txt')]);
+    
+    // Cubic Hermite error on a 10-day grid: ~R (nh)^4 / 384, largest for Venus
+    [['jupiter', 1e-6], ['venus', 5e-5]].forEach(([body, tolerance]) => {
+      for (let jd = T0 + 0.5; jd < T0 + 60; jd += 3.25) {
+        const interpolated = provider.getPosition(body, jd);
+        const exact = circularPosition(body, jd);
+        ['x', 'y', 'z'].forEach(axis => {
+          expect(Math.abs(interpolated[axis] - exact[axis])).toBeLessThan(tolerance);
+        });
+      }
+    });
+    expect(() => provider.getPosition('jupiter', 2470000.5)).toThrow();
+  });
+  
+  test('should merge overlapping tables without duplicate epochs', () => {
+    const table = parseHorizonsVectors(readFixture('horizons-jupiter.csv'));
+    const overlap = { ...table, rows: table.rows.slice(2) };
+    const provider = createHorizonsProvider([table, overlap]);
+    
+    expect(provider.coverage.jupiter.rows).toBe(7);
+    const jd = table.rows[3].jd;
+    [jd, jd + 1.5].forEach(julianDay => {
+      expect(Number.isFinite(provider.getPosition('jupiter', julianDay).x)).toBe(true);
+    });
+  });
+  
+  test('should feed FTRT with a mixed provider', () => {
+    const analytic = createAnalyticProvider();
+    const provider = createHorizonsProvider(
+      [readFixture('horizons-jupiter.csv'), readFixture('horizons-venus.txt')],
+      { fallback: analytic }
+    );
+    const exact = {
+      id: 'circular',
+      getPosition: (body, julianDay) => (ORBITS[body]
+        ? circularPosition(body, julianDay)
+        : analytic.getPosition(body, julianDay))
+    };
+    const date = new Date('2025-02-01');
+    
+    const withHorizons = calculateFTRT(date, { provider, normalization: 'legacy' });
+    const reference = calculateFTRT(date, { provider: exact, normalization: 'legacy' });
+    
+    expect(withHorizons.ephemeris).toBe('horizons');
+    expect(withHorizons.totalForce / reference.totalForce).toBeCloseTo(1, 4);
+    // The circular orbits differ from the Keplerian model: the tables, not the fallback, were used
+    const analyticForce = calculateFTRT(date, { normalization: 'legacy' }).totalForce;
+    expect(Math.abs(withHorizons.totalForce / analyticForce - 1)).toBeGreaterThan(1e-3);
+  });
+});
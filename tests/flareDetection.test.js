@@ -0,0 +1,99 @@
+// tests/flareDetection.test.js
+import { classifyFlare, detectFlares, buildFlareCatalog } from '../src/services/flareDetection';
+
+const T0 = Date.UTC(2024, 4, 10, 0, 0);
+const MINUTE = 60 * 1000;
+
+// One-minute B1 background with flares added as {start (minute), peak flux,
+// rise and decay minutes}: linear rise, exponential decay
+const series = (minutes, flares) => Array.from({ length: minutes }, (_, m) => {
+  let flux = 1e-7;
+  flares.forEach(({ start, peak, rise, decay }) => {
+    if (m >= start && m <= start + rise) flux += (peak - 1e-7) * ((m - start) / rise);
+    if (m > start + rise) flux += (peak - 1e-7) * Math.exp(-(m - start - rise) / decay);
+  });
+  return { time: T0 + m * MINUTE, flux, satellite: 16 };
+});
+
+describe('Flare detection', () => {
+  test('should classify peak flux with a truncated magnitude', () => {
+    expect(classifyFlare(2.45e-5)).toEqual({ letter: 'M', magnitude: 2.4, label: 'M2.4' });
+    expect(classifyFlare(9.96e-6).label).toBe('C9.9');
+    expect(classifyFlare(1.2e-4).label).toBe('X1.2');
+    expect(classifyFlare(3e-9).letter).toBe('A');
+    expect(classifyFlare(null)).toBeNull();
+  });
+
+  test('should find start, peak and end of an isolated flare', () => {
+    const [flare, ...others] = detectFlares(series(120, [{ start: 20, peak: 2.45e-5, rise: 8, decay: 10 }]));
+
+    expect(others).toHaveLength(0);
+    expect(flare).toMatchObject({
+      start: new Date(T0 + 20 * MINUTE).toISOString(),
+      peak: new Date(T0 + 28 * MINUTE).toISOString(),
+      classification: 'M2.4',
+      riseMinutes: 8,
+      satellite: 16,
+      status: 'complete'
+    });
+    // Halfway back to the starting flux after decay × ln 2 ≈ 7 minutes
+    expect(flare.end).toBe(new Date(T0 + 35 * MINUTE).toISOString());
+    expect(flare.endFlux).toBeLessThanOrEqual((flare.peakFlux + flare.startFlux) / 2);
+    // Triangle rise plus exponential decay, in J/m²
+    expect(flare.integratedFlux).toBeGreaterThan(2.45e-5 * 60 * (4 + 4.5));
+    expect(flare.integratedFlux).toBeLessThan(2.45e-5 * 60 * (4 + 7));
+  });
+
+  test('should end a flare at a new rise, a data gap or the end of the series', () => {
+    const samples = series(240, [
+      { start: 10, peak: 5e-6, rise: 6, decay: 60 },
+      { start: 30, peak: 3e-5, rise: 6, decay: 5 },
+      { start: 120, peak: 2e-6, rise: 5, decay: 30 },
+      { start: 230, peak: 8e-6, rise: 6, decay: 20 }
+    ]).filter(s => s.time < T0 + 130 * MINUTE || s.time >= T0 + 150 * MINUTE);
+    const flares = detectFlares(samples);
+
+    expect(flares.map(f => [f.class, f.status])).toEqual([
+      ['C', 'interrupted'],
+      ['M', 'complete'],
+      ['C', 'gap'],
+      ['C', 'ongoing']
+    ]);
+    expect(flares[0].end).toBe(flares[1].start);
+    expect(flares[3].end).toBeNull();
+    expect(detectFlares(samples, { minClass: 'M' })).toHaveLength(1);
+  });
+
+  test('should ignore slow or shallow rises', () => {
+    const shallow = series(60, [{ start: 10, peak: 1.3e-7, rise: 4, decay: 10 }]);
+    const slow = series(600, [{ start: 10, peak: 2e-6, rise: 400, decay: 60 }]);
+
+    expect(detectFlares(shallow)).toHaveLength(0);
+    expect(detectFlares(slow)).toHaveLength(0);
+  });
+
+  test('should count flares per day with empty days as zero', () => {
+    const flare = (day, peakFlux, integratedFlux) => ({
+      start: new Date(Date.UTC(2024, 4, day, 12)).toISOString(),
+      class: classifyFlare(peakFlux).letter,
+      classification: classifyFlare(peakFlux).label,
+      peakFlux,
+      integratedFlux
+    });
+    const catalog = buildFlareCatalog(
+      [flare(12, 1.5e-5, 0.02), flare(10, 3.1e-6, 0.004), flare(10, 8e-7, 0.001), flare(12, 1.1e-4, 0.1)],
+      { from: '2024-05-09', to: '2024-05-13' }
+    );
+
+    expect(catalog.counts).toEqual({ A: 0, B: 0, C: 1, M: 1, X: 1, total: 3 });
+    expect(catalog.largest.classification).toBe('X1.1');
+    expect(catalog.events.map(e => e.classification)).toEqual(['C3.1', 'M1.5', 'X1.1']);
+    expect(catalog.series.map(s => [s.date, s.flareCount])).toEqual([
+      ['2024-05-09', 0], ['2024-05-10', 1], ['2024-05-11', 0], ['2024-05-12', 2], ['2024-05-13', 0]
+    ]);
+    expect(catalog.series[3].integratedFlux).toBeCloseTo(0.12, 6);
+
+    const monthly = buildFlareCatalog(catalog.events, { bin: 'month', minClass: 'M' });
+    expect(monthly.series).toEqual([expect.objectContaining({ date: '2024-05', month: 5, flareCount: 2 })]);
+  });
+});
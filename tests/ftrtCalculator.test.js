@@ -1,5 +1,33 @@
 // tests/ftrtCalculator.test.js
-import { calculateFTRT } from '../src/services/ftrtCalculator';
+import {
+  calculateFTRT,
+  findNextAlignment,
+  calculateAlignmentScore,
+  calculateFTRTTimeSeries,
+  iterateFTRTChunks,
+  streamFTRTTimeSeries,
+  detectFTRTPeaks,
+  generateFTRTReport,
+  getReferenceClimatology,
+  calculateBarycentricTimeSeries,
+  calculateFTRTFromPositions
+} from '../src/services/ftrtCalculator';
+import { createAnalyticProvider } from '../src/services/ephemerisProviders';
+import { calculateDeepTimeFTRT } from '../src/services/deepTimeFTRT';
+import { correlateWithFTRT } from '../src/services/evolutionData';
+import { findConjunctions, angularSpread } from '../src/services/conjunctionSearch';
+
+// Tidal axes are defined modulo 180°
+const axisDifference = (a, b) => {
+  const d = (((a - b) % 180) + 180) % 180;
+  return Math.min(d, 180 - d);
+};
+
+// Provider placing every planet at a fixed heliocentric longitude
+const fixedLongitudes = longitudes => ({
+  id: 'fixed',
+  getPosition: (planet, julianDay) => ({ planet, julianDay, longitude: longitudes[planet], distance: 1 })
+});
 
 describe('FTRT Calculator', () => {
   test('should calculate valid FTRT for given date', () => {
@@ -20,4 +48,286 @@ describe('FTRT Calculator', () => {
       result.dominantPlanet
     );
   });
+  
+  test('should place Venus inferior conjunction of March 2025', () => {
+    const result = findNextAlignment(new Date('2025-01-01'), 'venus', 'earth');
+    
+    expect(result.date.toISOString().slice(0, 10)).toBe('2025-03-23');
+    expect(result.type).toBe('conjunction');
+    expect(result.angularSeparation).toBeLessThan(0.01);
+  });
+  
+  test('should return an opposition when it comes before the next conjunction', () => {
+    const result = findNextAlignment(new Date('2025-04-01'), 'venus', 'earth');
+    const [opposition] = findConjunctions(
+      ['venus', 'earth'], new Date('2025-04-01'), new Date('2026-04-01'), { includeOppositions: true }
+    ).filter(e => e.type === 'opposition');
+    
+    expect(result.type).toBe('opposition');
+    expect(result.date.getTime()).toBeCloseTo(new Date(opposition.date).getTime(), -5);
+    expect(result.angularSeparation).toBeLessThan(0.01);
+    expect(result.window.start < result.date && result.window.end > result.date).toBe(true);
+  });
+  
+  test('should vector-sum planetary tides', () => {
+    const result = calculateFTRT(new Date('2025-01-01'));
+    
+    expect(result.individualVectors.jupiter.vector).toHaveLength(3);
+    expect(result.totalForce).toBeGreaterThan(0);
+    expect(result.totalForce).toBeLessThanOrEqual(result.tidalField.scalarSum);
+  });
+  
+  test('should align the weighted axis with the tidal field axis', () => {
+    const date = new Date('2025-01-01');
+    const alignment = calculateAlignmentScore(date, { weighted: true });
+    const ftrt = calculateFTRT(date);
+    
+    expect(alignment.score).toBeGreaterThanOrEqual(0);
+    expect(alignment.score).toBeLessThanOrEqual(1);
+    expect(axisDifference(alignment.axisLongitude, ftrt.tidalField.axisLongitude)).toBeLessThan(2);
+    expect(alignment.cluster).toContain('jupiter');
+  });
+  
+  test('should cluster longitudes across the 0/360 wrap', () => {
+    const provider = fixedLongitudes({
+      mercury: 355, venus: 5, earth: 358, mars: 2, jupiter: 355, saturn: 5, uranus: 0, neptune: 0
+    });
+    const alignment = calculateAlignmentScore(new Date('2025-01-01'), { provider });
+    
+    expect(alignment.score).toBeGreaterThan(0.9);
+    expect(axisDifference(alignment.axisLongitude, 0)).toBeLessThan(1);
+    expect(alignment.cluster).toHaveLength(8);
+    expect(alignment.planets.mercury.deviation).toBeCloseTo(5, 6);
+  });
+  
+  test('should score an opposition as aligned', () => {
+    const provider = fixedLongitudes({
+      mercury: 40, venus: 220, earth: 40, mars: 220, jupiter: 40, saturn: 220, uranus: 40, neptune: 220
+    });
+    const alignment = calculateAlignmentScore(new Date('2025-01-01'), { provider });
+    
+    expect(alignment.score).toBeCloseTo(1, 6);
+    expect(axisDifference(alignment.axisLongitude, 40)).toBeLessThan(1e-6);
+    expect(alignment.cluster).toHaveLength(8);
+    expect(new Set(Object.values(alignment.planets).map(p => p.side))).toEqual(new Set(['near', 'far']));
+    
+    const quadrature = fixedLongitudes({
+      mercury: 0, venus: 90, earth: 0, mars: 90, jupiter: 0, saturn: 90, uranus: 0, neptune: 90
+    });
+    expect(calculateAlignmentScore(new Date('2025-01-01'), { provider: quadrature }).score).toBeCloseTo(0, 6);
+  });
+});
+
+describe('FTRT on Earth', () => {
+  test('should report the same structure for Sun and Earth targets', () => {
+    const date = new Date('2025-01-01');
+    const sun = calculateFTRT(date);
+    const earth = calculateFTRT(date, { target: 'earth' });
+    
+    expect(Object.keys(earth).sort()).toEqual(Object.keys(sun).sort());
+    expect(sun.target).toBe('sun');
+    expect(earth.target).toBe('earth');
+    expect(earth.dominantPlanet).toBe('moon');
+    expect(earth.normalization.reference).toMatch(/earth/);
+  });
+  
+  test('should weigh solar against lunar tides at the known ratio', () => {
+    const { individualForces } = calculateFTRT(new Date('2025-01-01'), { target: 'earth' });
+    const ratio = individualForces.sun / individualForces.moon;
+    
+    expect(individualForces.moon).toBeGreaterThan(0.9e-6);
+    expect(individualForces.moon).toBeLessThan(1.4e-6);
+    expect(ratio).toBeGreaterThan(0.35);
+    expect(ratio).toBeLessThan(0.6);
+  });
+  
+  test('should flag syzygy at the full Moon of the March 2025 lunar eclipse', () => {
+    const { lunar } = calculateFTRT(new Date('2025-03-14T06:58:00Z'), { target: 'earth' });
+    
+    expect(lunar.syzygy).toBe('full');
+    expect(Math.abs(lunar.phaseAngle - 180)).toBeLessThan(2);
+  });
+});
+
+describe('Solar barycentric motion', () => {
+  const series = calculateBarycentricTimeSeries(new Date('1985-01-01'), new Date('1995-01-01'), 30);
+  
+  test('should keep the Sun within about two solar radii of the barycentre', () => {
+    const distances = series.map(d => d.barycentric.distanceSolarRadii);
+    const closest = series[distances.indexOf(Math.min(...distances))];
+    
+    expect(Math.max(...distances)).toBeLessThan(2.3);
+    expect(closest.date.slice(0, 4)).toBe('1990');
+    series.forEach(d => expect(d.barycentric.speed).toBeLessThan(17));
+  });
+  
+  test('should share the FTRT series structure', () => {
+    const tidal = calculateFTRT(new Date(series[0].date));
+    const shared = ['date', 'julianDay', 'target', 'metric', 'value', 'normalizedIndex',
+      'normalization', 'dominantPlanet', 'ephemeris'];
+    
+    shared.forEach(key => {
+      expect(series[0]).toHaveProperty(key);
+      expect(tidal).toHaveProperty(key);
+    });
+    expect(series[0].metric).toBe('barycentric');
+    expect(Number.isFinite(series[0].barycentric.dLdt)).toBe(true);
+    expect(() => calculateFTRT(new Date(), { target: 'earth', metric: 'barycentric' })).toThrow();
+    expect(() => calculateFTRT(new Date(), { metric: 'barycentric', normalization: 'legacy' })).toThrow(/legacy/);
+  });
+});
+
+describe('FTRT normalization', () => {
+  const date = new Date('2025-01-01');
+  
+  test('should record the scheme on every result', () => {
+    ['legacy', 'minmax', 'zscore', 'percentile'].forEach(scheme => {
+      const result = calculateFTRT(date, { normalization: scheme });
+      expect(result.normalization.scheme).toBe(scheme);
+    });
+    expect(calculateFTRT(date).normalization.scheme).toBe('percentile');
+    expect(() => calculateFTRT(date, { normalization: 'bogus' })).toThrow();
+  });
+  
+  test('should rank against the reference climatology', () => {
+    const climatology = getReferenceClimatology();
+    const result = calculateFTRT(date);
+    const zscore = calculateFTRT(date, { normalization: 'zscore' });
+    
+    expect(result.normalizedIndex).toBeGreaterThan(0);
+    expect(result.normalizedIndex).toBeLessThan(1);
+    expect(zscore.normalizedIndex).toBeCloseTo((result.totalForce - climatology.mean) / climatology.std, 9);
+  });
+  
+  test('should normalize explicit positions against the given provider', () => {
+    const provider = { ...createAnalyticProvider(), id: 'analytic-copy' };
+    const point = calculateFTRT(date, { provider });
+    const positions = Object.fromEntries(Object.keys(point.individualForces)
+      .map(name => [name, provider.getPosition(name, point.julianDay)]));
+    const result = calculateFTRTFromPositions(positions, { provider });
+    
+    expect(result.normalization.reference).toBe(getReferenceClimatology({ provider }).id);
+    expect(result.normalization.reference).toMatch(/^analytic-copy\//);
+    expect(result.normalizedIndex).toBeCloseTo(point.normalizedIndex, 9);
+  });
+  
+  test('should read peak thresholds in the series scheme', () => {
+    const series = calculateFTRTTimeSeries(new Date('2000-01-01'), new Date('2010-01-01'), 10);
+    const peaks = detectFTRTPeaks(series);
+    
+    expect(peaks.length).toBeGreaterThan(0);
+    peaks.forEach(peak => expect(peak.index).toBeGreaterThan(0.9));
+  });
+});
+
+describe('FTRT streaming', () => {
+  const start = new Date('2025-01-01');
+  const end = new Date('2025-03-01');
+  
+  test('should emit columnar chunks matching point results at sub-daily steps', () => {
+    const chunks = [...iterateFTRTChunks(start, end, { stepDays: 0.25, chunkSize: 50 })];
+    const total = chunks.reduce((sum, c) => sum + c.length, 0);
+    
+    expect(total).toBe(59 * 4 + 1);
+    expect(chunks[0].normalizedIndex).toBeInstanceOf(Float64Array);
+    expect(chunks[1].julianDay[0] - chunks[0].julianDay[49]).toBeCloseTo(0.25, 9);
+    
+    const last = chunks[chunks.length - 1];
+    const point = calculateFTRT(end);
+    expect(last.julianDay[last.length - 1]).toBeCloseTo(point.julianDay, 6);
+    expect(last.normalizedIndex[last.length - 1]).toBeCloseTo(point.normalizedIndex, 9);
+  });
+  
+  test('should find the same peaks across chunk boundaries', () => {
+    const series = calculateFTRTTimeSeries(start, end, 1);
+    const threshold = Math.min(...series.map(d => d.normalizedIndex));
+    const fromArray = detectFTRTPeaks(series, threshold);
+    const fromChunks = detectFTRTPeaks(iterateFTRTChunks(start, end, { stepDays: 1, chunkSize: 7 }), threshold);
+    
+    expect(fromChunks.map(p => p.julianDay)).toEqual(fromArray.map(p => p.julianDay));
+  });
+  
+  test('should keep only statistics in the default report', () => {
+    const report = generateFTRTReport(start, end, { stepDays: 1 });
+    const full = generateFTRTReport(start, end, { stepDays: 1, includeTimeSeries: true });
+    
+    expect(report.timeSeries).toBeNull();
+    expect(report.statistics).toEqual(full.statistics);
+    expect(full.timeSeries).toHaveLength(report.period.dataPoints);
+  });
+  
+  test('should stop an async stream when aborted', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    
+    await expect((async () => {
+      for await (const chunk of streamFTRTTimeSeries(start, end, {
+        stepDays: 1, chunkSize: 10, signal: controller.signal
+      })) {
+        seen.push(chunk);
+        controller.abort();
+      }
+    })()).rejects.toBeDefined();
+    expect(seen).toHaveLength(1);
+  });
+});
+
+describe('Deep-time FTRT', () => {
+  test('should widen the uncertainty band and lose confidence with age', () => {
+    const recent = calculateDeepTimeFTRT(10, { configurations: 4, ensembleSize: 3 });
+    const cambrian = calculateDeepTimeFTRT(541, { configurations: 4, ensembleSize: 3 });
+    
+    expect(recent.confidence).toBeCloseTo(1, 2);
+    expect(recent.regime).toBe('deterministic');
+    expect(cambrian.regime).toBe('chaotic');
+    expect(cambrian.lower).toBeLessThanOrEqual(cambrian.normalizedIndex);
+    expect(cambrian.upper).toBeGreaterThanOrEqual(cambrian.normalizedIndex);
+    expect(cambrian.upper - cambrian.lower).toBeGreaterThan(recent.upper - recent.lower);
+    expect(recent.climatologyRange[1]).toBeGreaterThan(recent.climatologyRange[0]);
+  });
+  
+  test('should lose confidence gradually past the deterministic horizon', () => {
+    const confidences = [50, 100, 200, 500].map(age => calculateDeepTimeFTRT(age).confidence);
+    
+    confidences.forEach(c => {
+      expect(c).toBeGreaterThan(0.2);
+      expect(c).toBeLessThan(0.9);
+    });
+    for (let i = 1; i < confidences.length; i++) {
+      expect(confidences[i]).toBeLessThan(confidences[i - 1]);
+    }
+  });
+  
+  test('should grade deep-time correlations from the band, not the point index', () => {
+    const cambrian = sample => correlateWithFTRT([{ ageMa: 541, ...sample }], 1)
+      .find(c => c.eventAge === 541).correlation;
+    
+    expect(cambrian({ normalizedIndex: 0.8 })).toBe('strong');
+    expect(cambrian({ normalizedIndex: 0.8, lower: 0.3, upper: 0.9 })).toBe('indeterminate');
+    expect(cambrian({ normalizedIndex: 0.8, lower: 0.75, upper: 0.9 })).toBe('strong');
+    expect(cambrian({ normalizedIndex: 0.6, lower: 0.55, upper: 0.8 })).toBe('moderate');
+    expect(cambrian({ normalizedIndex: 0.3, lower: 0.1, upper: 0.4 })).toBe('weak');
+  });
+});
+
+describe('Conjunction search', () => {
+  test('should measure spread across the 0/360 wrap', () => {
+    expect(angularSpread([350, 10, 5])).toBeCloseTo(20);
+    expect(angularSpread([0, 180, 2], true)).toBeCloseTo(2);
+  });
+  
+  test('should find Venus-Earth conjunctions and oppositions', () => {
+    const events = findConjunctions(
+      ['venus', 'earth'], new Date('2025-01-01'), new Date('2027-01-01'),
+      { includeOppositions: true }
+    );
+    
+    expect(events.map(e => e.type)).toEqual(['conjunction', 'opposition', 'conjunction']);
+    expect(events[2].date.slice(0, 10)).toBe('2026-10-24');
+    events.forEach(e => expect(e.spread).toBeLessThan(1e-4));
+    // Cycle indexes count half-turns: even at conjunctions, odd at oppositions
+    expect(events[1].cycle - events[0].cycle).toBe(1);
+    expect(events[2].cycle - events[1].cycle).toBe(1);
+    expect(Math.abs(events[0].cycle % 2)).toBe(0);
+  });
 });
@@ -0,0 +1,129 @@
+// tests/ftrtEngine.test.js
+import { createLRUCache } from '../src/utils/lruCache';
+import { createFTRTEngine } from '../src/services/ftrtEngine';
+import { attachFTRTWorker } from '../src/services/ftrtTasks';
+import { generateFTRTReport } from '../src/services/ftrtCalculator';
+import { generateFTRTCalendar } from '../src/services/calendarExport';
+import { findNextConjunction } from '../src/services/conjunctionSearch';
+
+// Worker handle served by the task protocol in this process, asynchronously
+const createInProcessWorker = () => {
+  let toWorker = null;
+  let toMain = null;
+  attachFTRTWorker({
+    post: message => setTimeout(() => toMain(message), 0),
+    listen: handler => {
+      toWorker = handler;
+    }
+  });
+  return {
+    post: message => setTimeout(() => toWorker(message), 0),
+    onMessage: handler => {
+      toMain = handler;
+    },
+    onError: () => {},
+    terminate: jest.fn()
+  };
+};
+
+const start = new Date('2000-01-01T00:00:00Z');
+const end = new Date('2010-01-01T00:00:00Z');
+
+describe('LRU cache', () => {
+  test('should evict the least recently used entry', () => {
+    const cache = createLRUCache({ maxSize: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.stats()).toMatchObject({ size: 2, hits: 1, evictions: 1 });
+  });
+});
+
+describe('FTRT engine', () => {
+  test('should memoize results by date and configuration', () => {
+    const engine = createFTRTEngine({ workers: false });
+    const first = engine.calculate(start);
+
+    expect(engine.calculate(new Date(start))).toBe(first);
+    expect(engine.calculate(start, { normalization: 'zscore' })).not.toBe(first);
+    expect(engine.cacheStats()).toMatchObject({ size: 2, hits: 1 });
+  });
+
+  test('should run reports in workers with progress and cache their samples', async () => {
+    const engine = createFTRTEngine({ poolSize: 2, createWorker: createInProcessWorker });
+    const progress = [];
+    const report = await engine.report(
+      start, end, { stepDays: 10, includeTimeSeries: true }, { onProgress: p => progress.push(p) }
+    );
+
+    expect(report.statistics).toEqual(generateFTRTReport(start, end, { stepDays: 10 }).statistics);
+    expect(progress[progress.length - 1]).toMatchObject({ completed: 366, total: 366, fraction: 1 });
+
+    const series = await engine.timeSeries(start, end, 10);
+    expect(series[0]).toBe(report.timeSeries[0]);
+    engine.terminate();
+  });
+
+  test('should export calendars in workers with peak-scan progress', async () => {
+    const engine = createFTRTEngine({ poolSize: 1, createWorker: createInProcessWorker });
+    const horizon = new Date('2001-01-01T00:00:00Z');
+    const options = { now: start, alignments: { groups: [['venus', 'earth']] } };
+    const progress = [];
+    const ics = await engine.calendar(start, horizon, options, { onProgress: p => progress.push(p) });
+
+    expect(ics).toBe(generateFTRTCalendar(start, horizon, options));
+    expect(progress[progress.length - 1]).toMatchObject({ completed: 367, total: 367, fraction: 1 });
+    engine.terminate();
+  });
+
+  test('should search the next conjunction in workers', async () => {
+    const engine = createFTRTEngine({ poolSize: 1, createWorker: createInProcessWorker });
+    const planets = ['venus', 'earth', 'jupiter'];
+    const next = await engine.nextConjunction(planets, start, { tolerance: 10 });
+
+    expect(next).toEqual(findNextConjunction(planets, start, { tolerance: 10 }));
+    expect(next.daysUntil).toBeGreaterThan(0);
+    engine.terminate();
+  });
+
+  test('should cancel running and queued tasks', async () => {
+    const handles = [];
+    const engine = createFTRTEngine({
+      poolSize: 1,
+      createWorker: () => {
+        const handle = createInProcessWorker();
+        handles.push(handle);
+        return handle;
+      }
+    });
+    const controller = new AbortController();
+    const running = engine.peaks(start, end, { stepDays: 5 }, {
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+    const queued = engine.peaks(start, end, { stepDays: 5 }, { signal: controller.signal });
+
+    await expect(running).rejects.toThrow();
+    await expect(queued).rejects.toThrow();
+    expect(handles[0].terminate).toHaveBeenCalled();
+    engine.terminate();
+  });
+
+  test('should fall back to inline computation without workers', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const engine = createFTRTEngine({
+      createWorker: () => {
+        throw new Error('no workers here');
+      }
+    });
+
+    const peaks = await engine.peaks(start, end, { stepDays: 10 });
+    expect(Array.isArray(peaks)).toBe(true);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/running FTRT tasks inline/));
+    warn.mockRestore();
+  });
+});
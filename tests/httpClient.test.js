@@ -0,0 +1,90 @@
+// tests/httpClient.test.js
+import {
+  createHttpClient,
+  createTokenBucket,
+  NetworkError,
+  HttpError,
+  ParseError
+} from '../src/services/httpClient';
+
+const URL = 'https://services.swpc.noaa.gov/json/test.json';
+
+// Transport answering from a list of responses, one per attempt
+const createTransport = responses => jest.fn(async () => {
+  const next = responses.shift();
+  if (next instanceof Error) throw next;
+  return next;
+});
+
+const ok = body => ({ status: 200, statusText: 'OK', headers: {}, body });
+
+describe('HTTP client', () => {
+  test('should retry 5xx and 429 responses with backoff', async () => {
+    const transport = createTransport([
+      { status: 503, statusText: 'Service Unavailable', headers: {}, body: '' },
+      { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '0' }, body: '' },
+      ok('[{"ssn": 120}]')
+    ]);
+    const client = createHttpClient({ transport, baseDelayMs: 1 });
+
+    const response = await client.get(URL);
+    expect(response).toMatchObject({ status: 200, data: [{ ssn: 120 }], attempts: 3 });
+    expect(client.stats()).toMatchObject({ requests: 1, attempts: 3, retries: 2, failures: 0 });
+  });
+
+  test('should raise typed errors for network, HTTP and parse failures', async () => {
+    const offline = createHttpClient({ transport: createTransport([new Error('ECONNREFUSED')]), retries: 0 });
+    await expect(offline.get(URL)).rejects.toBeInstanceOf(NetworkError);
+
+    const missing = createHttpClient({
+      transport: createTransport([{ status: 404, statusText: 'Not Found', headers: {}, body: '' }]),
+      baseDelayMs: 1
+    });
+    const error = await missing.get(URL).catch(e => e);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ status: 404, retryable: false, url: URL });
+
+    const garbled = createHttpClient({ transport: createTransport([ok('<html>')]) });
+    await expect(garbled.get(URL)).rejects.toBeInstanceOf(ParseError);
+    await expect(createHttpClient({ transport: createTransport([ok('<html>')]) })
+      .get(URL, { responseType: 'text' })).resolves.toMatchObject({ data: '<html>' });
+  });
+
+  test('should time out hung requests', async () => {
+    const transport = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const client = createHttpClient({ transport, timeoutMs: 5, retries: 0 });
+
+    const error = await client.get(URL).catch(e => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.timeout).toBe(true);
+  });
+
+  test('should limit requests in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const transport = async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return ok('{}');
+    };
+    const client = createHttpClient({ transport, maxConcurrent: 2 });
+
+    await Promise.all(Array.from({ length: 6 }, () => client.get(URL)));
+    expect(peak).toBe(2);
+  });
+});
+
+describe('Token bucket', () => {
+  test('should allow a burst and then pace requests', async () => {
+    const bucket = createTokenBucket({ intervalMs: 20, capacity: 2 });
+    const started = Date.now();
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(15);
+    expect(bucket.available()).toBeLessThan(1);
+  });
+});
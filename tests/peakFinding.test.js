@@ -0,0 +1,105 @@
+// tests/peakFinding.test.js
+import { findPeaks, findValleys } from '../src/utils/peakFinding';
+import { detectSolarCycles, getSolarStatistics, smoothSunspotNumber } from '../src/services/solarAPI';
+import { detectGeomagneticStorms } from '../src/services/geomagService';
+import { detectPeaks } from '../src/utils/correlations';
+import { detectFTRTPeaks } from '../src/services/ftrtCalculator';
+
+describe('Peak finding', () => {
+  const series = [0, 1, 0, 2, 2, 2, 0, 3, 1, 0];
+  
+  test('should collapse plateaus and measure prominence and width', () => {
+    const peaks = findPeaks(series);
+    
+    expect(peaks.map(p => p.index)).toEqual([1, 4, 7]);
+    expect(peaks.map(p => p.prominence)).toEqual([1, 2, 3]);
+    expect(peaks[1].plateauStart).toBe(3);
+    expect(peaks[1].plateauEnd).toBe(5);
+    expect(peaks[1].left).toBeCloseTo(2.5);
+    expect(peaks[1].right).toBeCloseTo(5.5);
+    expect(peaks[1].width).toBeCloseTo(3);
+  });
+  
+  test('should filter by prominence and keep the highest peak within distance', () => {
+    expect(findPeaks(series, { prominence: 1.5 }).map(p => p.index)).toEqual([4, 7]);
+    expect(findPeaks(series, { distance: 4 }).map(p => p.index)).toEqual([1, 7]);
+  });
+  
+  test('should only report edge maxima on request', () => {
+    const edged = [3, 2, 1, 2, 0];
+    
+    expect(findPeaks(edged).map(p => p.index)).toEqual([3]);
+    const peaks = findPeaks(edged, { includeEdges: true });
+    expect(peaks.map(p => p.index)).toEqual([0, 3]);
+    expect(peaks[0].prominence).toBe(3);
+    expect(peaks[0].edge).toBe(true);
+    expect(peaks[1].prominence).toBe(1);
+    expect(findValleys(edged).map(p => p.index)).toEqual([2]);
+  });
+});
+
+describe('Peak-based detectors', () => {
+  test('should keep thresholds strict in the backward-compatible wrappers', () => {
+    const values = [0, 0.8, 0, 0.9, 0, 0.8, 0];
+    const ftrtSeries = values.map((normalizedIndex, i) => ({
+      julianDay: 2451545 + i,
+      normalizedIndex,
+      dominantPlanet: 'jupiter',
+      normalization: { scheme: 'percentile' }
+    }));
+    
+    expect(findPeaks(values, { height: 0.8 }).map(p => p.index)).toEqual([1, 3, 5]);
+    expect(detectPeaks(values, 0.8)).toEqual([3]);
+    expect(detectFTRTPeaks(ftrtSeries, 0.8).map(p => p.julianDay)).toEqual([2451548]);
+  });
+  
+  test('should split a noisy sunspot record into numbered minimum-to-minimum cycles', () => {
+    const solarData = Array.from({ length: 420 }, (_, i) => ({
+      date: `${1986 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, '0')}`,
+      year: 1986 + Math.floor(i / 12),
+      month: (i % 12) + 1,
+      sunspots: 90 - 80 * Math.cos((2 * Math.PI * i) / 132) + (i % 3 === 0 ? 8 : 0)
+    }));
+    const cycles = detectSolarCycles(solarData);
+    
+    expect(cycles.map(c => c.number)).toEqual([23, 24, 25]);
+    expect(cycles[0].start).toBe('1997-01');
+    cycles.slice(0, 2).forEach(cycle => {
+      expect(cycle.length).toBeCloseTo(11, 1);
+      expect(cycle.riseTime).toBeCloseTo(5.5, 1);
+      expect(cycle.decayTime).toBeCloseTo(5.5, 1);
+      expect(Math.abs(cycle.amplitude - 172)).toBeLessThan(2);
+      expect(cycle.waldmeierRatio).toBeCloseTo(cycle.amplitude / cycle.riseTime, 6);
+    });
+    expect(cycles[2]).toMatchObject({ end: null, length: null, complete: false, phase: 'rising' });
+    
+    const { cycles: summary } = getSolarStatistics(solarData);
+    expect(summary.count).toBe(2);
+    expect(summary.meanLength).toBeCloseTo(11, 1);
+    expect(summary.current.number).toBe(25);
+  });
+  
+  test('should smooth sunspot numbers with the tapered 13-month mean', () => {
+    const smoothed = smoothSunspotNumber([...Array(6).fill(0), ...Array(13).fill(12)]);
+    
+    expect(smoothed.slice(0, 6)).toEqual(Array(6).fill(null));
+    expect(smoothed[6]).toBe(6.5);
+    expect(smoothed[12]).toBe(12);
+    expect(smoothed[13]).toBeNull();
+  });
+  
+  test('should report a flat-topped storm once with start and end', () => {
+    const kp = [2, 3, 6, 7, 7, 5, 3, 2, 4.5, 2];
+    const geomagData = kp.map((kpIndex, i) => ({
+      date: new Date(Date.UTC(2024, 4, 10, 3 * i)).toISOString(),
+      kpIndex
+    }));
+    const storms = detectGeomagneticStorms(geomagData);
+    
+    expect(storms).toHaveLength(1);
+    expect(storms[0].peakKp).toBe(7);
+    expect(storms[0].scale.gScale).toBe('G3');
+    expect(storms[0].start < storms[0].date).toBe(true);
+    expect(storms[0].end > storms[0].date).toBe(true);
+  });
+});
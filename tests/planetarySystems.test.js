@@ -0,0 +1,83 @@
+// tests/planetarySystems.test.js
+import {
+  validatePlanetarySystem,
+  loadPlanetarySystem,
+  getPlanetarySystem,
+  listPlanetarySystems
+} from '../src/services/planetarySystems';
+import {
+  calculateFTRT,
+  calculateSynodicPeriod,
+  findNextAlignment,
+  generateFTRTReport
+} from '../src/services/ftrtCalculator';
+
+const definition = {
+  id: 'test-star',
+  name: 'Test Star',
+  epoch: 2451545.0,
+  star: { mass: 1, radius: 1 },
+  planets: [
+    { id: 'inner', mass: 1, period: 100, meanLongitude: 0 },
+    { id: 'outer', mass: 300, semiMajorAxis: 2, meanLongitude: 90 }
+  ]
+};
+
+describe('Planetary systems', () => {
+  test('should list the solar system and bundled examples', () => {
+    const ids = listPlanetarySystems().map(s => s.id);
+    expect(ids).toEqual(expect.arrayContaining(['solar', 'trappist-1', '55-cancri']));
+
+    const trappist = getPlanetarySystem('trappist-1');
+    expect(Object.keys(trappist.planets)).toEqual(['b', 'c', 'd', 'e', 'f', 'g', 'h']);
+    expect(trappist.warnings).toEqual([]);
+  });
+
+  test('should report invalid and inconsistent definitions', () => {
+    const invalid = validatePlanetarySystem({ name: 'Bad', star: { mass: -1, radius: 1 }, planets: [{ id: 'x' }] });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors).toHaveLength(3);
+
+    const mismatched = validatePlanetarySystem({
+      ...definition,
+      planets: [{ id: 'p', mass: 1, period: 365.25, semiMajorAxis: 2, meanLongitude: 0 }]
+    });
+    expect(mismatched.valid).toBe(true);
+    expect(mismatched.warnings[0]).toMatch(/Kepler/);
+
+    expect(() => loadPlanetarySystem('{ not json')).toThrow(/could not be parsed/);
+  });
+
+  test('should derive missing periods and semi-major axes from Kepler\'s third law', () => {
+    const system = loadPlanetarySystem(JSON.stringify(definition));
+
+    expect(system.planets.inner.semiMajorAxis / 1.496e11).toBeCloseTo(0.4217, 3);
+    expect(system.planets.outer.period / 365.25).toBeCloseTo(2.827, 1);
+    expect(system.referencePeriod.stepDays).toBe(5);
+  });
+
+  test('should run the FTRT pipeline on a loaded system', () => {
+    const system = loadPlanetarySystem(definition);
+    const start = new Date('2000-01-01T12:00:00Z');
+
+    const result = calculateFTRT(start, { system });
+    expect(result.system).toBe('test-star');
+    expect(result.target).toBe('star');
+    expect(Object.keys(result.individualForces)).toEqual(['inner', 'outer']);
+    expect(result.normalizedIndex).toBeGreaterThanOrEqual(0);
+    expect(result.normalizedIndex).toBeLessThanOrEqual(1);
+
+    const synodic = calculateSynodicPeriod('inner', 'outer', { system });
+    const alignment = findNextAlignment(start, 'inner', 'outer', 0.1, { system });
+    // The inner planet starts 90° behind and gains a full turn per synodic period
+    expect(alignment.daysUntil).toBeCloseTo(synodic.synodicPeriod / 4, 0);
+
+    const report = generateFTRTReport(start, new Date('2010-01-01T12:00:00Z'), { system });
+    expect(report.system).toBe('test-star');
+    expect(report.planetaryInfluence.mostInfluential).toBe('outer');
+  });
+
+  test('should reject solar-system targets in other systems', () => {
+    expect(() => calculateFTRT(new Date(), { system: 'trappist-1', target: 'earth' })).toThrow(/target/);
+  });
+});
@@ -0,0 +1,101 @@
+// tests/random.test.js
+import { createRandom, coloredNoise, normalizeSeed } from '../src/utils/random';
+import { generateFallbackSolarData } from '../src/services/solarAPI';
+import {
+  simulateGeomagneticData,
+  generateFallbackGeomagData,
+  generatePaleomagTimeSeries
+} from '../src/services/geomagService';
+
+const lag1 = values => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, i) => {
+    den += (v - mean) ** 2;
+    if (i > 0) num += (v - mean) * (values[i - 1] - mean);
+  });
+  return num / den;
+};
+
+describe('Seeded random streams', () => {
+  test('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = Array.from({ length: 5 }, () => a.next());
+
+    expect(Array.from({ length: 5 }, () => b.next())).toEqual(first);
+    expect(createRandom(43).next()).not.toBe(first[0]);
+    expect(createRandom('demo').seed).toBe(normalizeSeed('demo'));
+    expect(createRandom(7).fork('x').next()).toBe(createRandom(7).fork('x').next());
+    expect(createRandom(7).fork('x').next()).not.toBe(createRandom(7).fork('y').next());
+    expect(() => createRandom(NaN)).toThrow(/Invalid random seed/);
+  });
+
+  test('should draw from the requested distributions', () => {
+    const random = createRandom(1);
+    const normals = Array.from({ length: 4000 }, () => random.normal(10, 2));
+    const mean = normals.reduce((a, b) => a + b, 0) / normals.length;
+    const sd = Math.sqrt(normals.reduce((s, v) => s + (v - mean) ** 2, 0) / normals.length);
+    const counts = Array.from({ length: 4000 }, () => random.poisson(3));
+
+    expect(mean).toBeCloseTo(10, 1);
+    expect(sd).toBeCloseTo(2, 1);
+    expect(counts.reduce((a, b) => a + b, 0) / counts.length).toBeCloseTo(3, 1);
+  });
+
+  test('should shape the noise spectrum', () => {
+    const white = coloredNoise(512, { sigma: 2, exponent: 0 }, createRandom(3));
+    const red = coloredNoise(512, { sigma: 2, exponent: 2 }, createRandom(3));
+    const sd = values => Math.sqrt(values.reduce((s, v) => s + v * v, 0) / values.length);
+
+    expect(Math.abs(lag1(white))).toBeLessThan(0.15);
+    expect(lag1(red)).toBeGreaterThan(0.9);
+    expect(sd(red)).toBeCloseTo(2, 6);
+  });
+});
+
+describe('Synthetic data generators', () => {
+  test('should reproduce the solar record and record the seed', () => {
+    const first = generateFallbackSolarData(60, { seed: 99 });
+    const again = generateFallbackSolarData(60, { seed: 99 });
+
+    expect(again.data).toEqual(first.data);
+    expect(first.metadata).toMatchObject({ generator: 'generateFallbackSolarData', seed: 99, points: 60 });
+    expect(generateFallbackSolarData(60, { seed: 100 }).data).not.toEqual(first.data);
+    expect(first.data[0]).toMatchObject({ date: '2015-01-01', year: 2015, month: 1 });
+  });
+
+  test('should follow the configured cycle without noise', () => {
+    const model = { cycleLengthMonths: 48, amplitude: 50, baseline: 60, noise: { sigma: 0 } };
+    const { data } = generateFallbackSolarData(49, { model: { ...model, flux: { noise: { sigma: 0 } } } });
+
+    expect(data[12].sunspots).toBeCloseTo(110, 6);
+    expect(data[36].sunspots).toBeCloseTo(10, 6);
+    expect(data[12].flux).toBeCloseTo(67 + 0.57 * 110, 6);
+  });
+
+  test('should drive geomagnetic storms with the configured rate', () => {
+    const { data: solar } = generateFallbackSolarData(200);
+    const quiet = simulateGeomagneticData(solar, { seed: 5, model: { stormRate: 0 } });
+    const stormy = simulateGeomagneticData(solar, { seed: 5, model: { stormRate: 2 } });
+
+    expect(quiet.data.some(d => d.storm)).toBe(false);
+    expect(stormy.data.filter(d => d.storm).length).toBeGreaterThan(150);
+    expect(stormy.metadata).toMatchObject({ generator: 'simulateGeomagneticData', seed: 5 });
+    expect(simulateGeomagneticData(solar, { seed: 5 }).data).toEqual(simulateGeomagneticData(solar, { seed: 5 }).data);
+
+    const fallback = generateFallbackGeomagData(24, { seed: 'offline-demo' });
+    expect(fallback.metadata.seed).toBe(normalizeSeed('offline-demo'));
+    expect(generateFallbackGeomagData(24, { seed: 'offline-demo' }).data).toEqual(fallback.data);
+  });
+
+  test('should reproduce the paleomagnetic series', () => {
+    const series = generatePaleomagTimeSeries(0, 500, 10, { seed: 11 });
+
+    expect(series.data).toHaveLength(51);
+    expect(generatePaleomagTimeSeries(0, 500, 10, { seed: 11 }).data).toEqual(series.data);
+    series.data.forEach(point => expect(point.uncertainty).toBeLessThan(5000));
+    expect(series.metadata.model.polarityPeriodMa).toBe(157);
+  });
+});
@@ -0,0 +1,52 @@
+// tests/resonanceAnalysis.test.js
+import {
+  calculateSynodicTable,
+  findNearCommensurabilities,
+  findTripleRecurrences,
+  compareWithSolarCycle
+} from '../src/services/resonanceAnalysis';
+
+describe('Resonance Analysis', () => {
+  test('should tabulate every pairwise synodic period', () => {
+    const table = calculateSynodicTable();
+
+    expect(table.pairs).toHaveLength(28);
+    const venusEarth = table.matrix[1][2];
+    expect(venusEarth).toBeCloseTo(583.9, 0);
+    expect(table.matrix[2][1]).toBe(venusEarth);
+  });
+
+  test('should find the Venus-Earth-Jupiter recurrence as the strongest triple', () => {
+    const [strongest] = findTripleRecurrences();
+
+    expect(strongest.planets).toEqual(['venus', 'earth', 'jupiter']);
+    expect(strongest.coefficients).toEqual([3, -5, 2]);
+    expect(strongest.periodYears).toBeCloseTo(22.1, 0);
+    expect(strongest.tidalPeriodYears).toBeCloseTo(11.07, 1);
+  });
+
+  test('should find near-commensurabilities up to the requested order', () => {
+    const greatInequality = findNearCommensurabilities()
+      .find(c => c.planets.join('-') === 'jupiter-saturn');
+    expect(greatInequality.ratio).toBe('5:2');
+    expect(greatInequality.periodYears).toBeGreaterThan(850);
+    expect(greatInequality.periodYears).toBeLessThan(920);
+
+    const venusEarth = c => c.planets.join('-') === 'venus-earth';
+    expect(findNearCommensurabilities().some(venusEarth)).toBe(false);
+    expect(findNearCommensurabilities({ maxOrder: 5 }).find(venusEarth).ratio).toBe('13:8');
+  });
+
+  test('should match candidate periods against detected solar cycles', () => {
+    const cycles = [
+      { start: '1986-09-01', end: '1996-08-01' },
+      { start: '1996-08-01', end: '2008-12-01' }
+    ];
+    const { cycleLength, matches } = compareWithSolarCycle(findTripleRecurrences(), cycles, { tolerance: 0.05 });
+
+    expect(cycleLength.count).toBe(2);
+    expect(cycleLength.mean).toBeCloseTo(11.13, 1);
+    expect(matches[0].coefficients).toEqual([3, -5, 2]);
+    expect(matches[0].harmonic).toBe(1);
+  });
+});
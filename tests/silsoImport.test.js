@@ -0,0 +1,49 @@
+// tests/silsoImport.test.js
+import fs from 'fs';
+import path from 'path';
+import { detectSILSOFormat, parseSILSO, importSILSOFile } from '../src/services/silsoImport';
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('SILSO import', () => {
+  test('should detect the format from the file name', () => {
+    expect(detectSILSOFormat('downloads/SN_ms_tot_V2.0.csv')).toBe('smoothed');
+    expect(detectSILSOFormat('SN_d_hem_V2.0.txt')).toBe('hemisphericDaily');
+    expect(detectSILSOFormat('sunspots.csv')).toBeNull();
+  });
+
+  test('should normalize monthly means into solarAPI records', async () => {
+    const records = await importSILSOFile(readFixture('SN_m_tot_V2.0.csv'), 'monthly');
+
+    expect(records[0]).toMatchObject({
+      date: '1749-01',
+      sunspots: 96.7,
+      year: 1749,
+      month: 1,
+      timestamp: Date.UTC(1749, 0, 1),
+      std: null,
+      provisional: false
+    });
+    expect(records[7]).toMatchObject({ date: '2024-09', provisional: true, observations: 1056 });
+    expect(records[9].sunspots).toBeNull();
+    expect(parseSILSO(readFixture('SN_m_tot_V2.0.csv'), 'monthly', { dropMissing: true })).toHaveLength(9);
+  });
+
+  test('should read hemispheric, yearly and whitespace-separated files', async () => {
+    const file = { name: 'SN_d_hem_V2.0.csv', text: async () => readFixture('SN_d_hem_V2.0.csv') };
+    const hemispheric = await importSILSOFile(file);
+    expect(hemispheric[0]).toMatchObject({ date: '1992-01-01', day: 1, sunspots: 186, north: 119, south: 67 });
+    expect(hemispheric[2]).toMatchObject({ sunspots: null, north: null, south: null });
+
+    const yearly = parseSILSO('1700.5;   8.3; -1.0;  -1;1\n1701.5;  18.3; -1.0;  -1;1\n', 'yearly');
+    expect(yearly[1]).toMatchObject({ date: '1701', year: 1701, month: null, sunspots: 18.3 });
+
+    const smoothed = parseSILSO('1749 07 1749.538  134.4  -1.0   -1 1\n', 'smoothed');
+    expect(smoothed[0]).toMatchObject({ date: '1749-07', sunspots: 134.4, series: 'smoothed' });
+  });
+
+  test('should reject malformed lines', () => {
+    expect(() => parseSILSO('1749;01;1749.042\n', 'monthly')).toThrow(/line 1/);
+    expect(() => parseSILSO('', 'weekly')).toThrow(/Unknown SILSO format/);
+  });
+});
@@ -0,0 +1,89 @@
+// tests/solarForecast.test.js
+import {
+  hathawayFunction,
+  hathawayWidth,
+  fitFluxRelation,
+  fitHathawayCycle,
+  fitMcNishLincoln,
+  compareWithNOAAPrediction
+} from '../src/services/solarForecast';
+
+// Eight overlapping Hathaway cycles, 11 years apart from 1950, with
+// deterministic noise; the last one has 40 observed months
+const amplitudes = [0.004, 0.006, 0.0045, 0.0035, 0.005, 0.0055, 0.004, 0.006];
+const shape = a => ({ a, b: hathawayWidth(a), t0: 0 });
+const solarData = Array.from({ length: 7 * 132 + 40 }, (_, i) => {
+  const clean = amplitudes.reduce((sum, a, k) => sum + hathawayFunction(i - k * 132, shape(a)), 0);
+  const sunspots = Math.max(0, clean + 12 * Math.sin(i * 12.9898) * Math.cos(i * 4.1414));
+  const year = 1950 + Math.floor(i / 12);
+  const month = (i % 12) + 1;
+  return {
+    date: `${year}-${String(month).padStart(2, '0')}`,
+    year,
+    month,
+    sunspots,
+    flux: 65 + 0.85 * sunspots + 0.0004 * sunspots ** 2
+  };
+});
+
+const trueMaximum = (() => {
+  let best = 0;
+  for (let t = 0; t < 144; t += 0.25) best = Math.max(best, hathawayFunction(t, shape(0.006)));
+  return best;
+})();
+
+describe('Solar cycle forecast', () => {
+  test('should fit the Hathaway shape to the observed part of the cycle', () => {
+    const forecast = fitHathawayCycle(solarData);
+
+    expect(forecast.start).toBe('2027-01');
+    expect(forecast.fittedThrough).toBe('2030-04');
+    expect(forecast.parameters.a).toBeCloseTo(0.006, 3);
+    expect(Math.abs(forecast.predictedMaximum.sunspots - trueMaximum)).toBeLessThan(15);
+    expect(forecast.predictedMaximum.reached).toBe(false);
+
+    const [first] = forecast.points;
+    expect(first.date).toBe('2030-05');
+    expect(first.lower).toBeLessThan(first.curveLower);
+    expect(first.upper).toBeGreaterThan(first.curveUpper);
+    expect(first.flux).toBeCloseTo(65 + 0.85 * first.sunspots + 0.0004 * first.sunspots ** 2, 0);
+    expect(forecast.points[forecast.points.length - 1].date).toBe('2039-01');
+  });
+
+  test('should forecast smoothed values with a McNish–Lincoln regression', () => {
+    const forecast = fitMcNishLincoln(solarData);
+
+    expect(forecast.fittedThrough).toBe('2029-10');
+    expect(forecast.parameters.referenceCycles).toHaveLength(6);
+    expect(forecast.points[0].date).toBe('2029-11');
+    expect(Math.abs(forecast.predictedMaximum.sunspots - trueMaximum) / trueMaximum).toBeLessThan(0.15);
+    forecast.points.forEach(point => expect(point.lower).toBeLessThanOrEqual(point.sunspots));
+    expect(() => fitMcNishLincoln(solarData, { minCycles: 10 })).toThrow(/past cycles/);
+  });
+
+  test('should report the divergence from the NOAA prediction', () => {
+    const forecast = fitHathawayCycle(solarData);
+    const noaa = forecast.points.map(point => ({
+      date: point.date,
+      predictedSunspots: point.sunspots * 1.1,
+      predictedFlux: point.flux,
+      lowSunspots: point.sunspots * 1.05,
+      highSunspots: point.sunspots * 1.2
+    }));
+    const comparison = compareWithNOAAPrediction(forecast, noaa);
+
+    expect(comparison.months).toBe(forecast.points.length);
+    expect(comparison.meanDifference).toBeLessThan(0);
+    expect(Math.abs(comparison.maximum.monthsApart)).toBeLessThanOrEqual(1);
+    expect(comparison.maximum.difference / forecast.predictedMaximum.sunspots).toBeCloseTo(-0.1, 2);
+    expect(comparison.withinNOAARange).toBe(0);
+  });
+
+  test('should fit F10.7 as a quadratic in sunspot number', () => {
+    const relation = fitFluxRelation(solarData);
+
+    expect(relation.coefficients[0]).toBeCloseTo(65, 3);
+    expect(relation.coefficients[1]).toBeCloseTo(0.85, 5);
+    expect(relation.sigma).toBeLessThan(1e-6);
+  });
+});
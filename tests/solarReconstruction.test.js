@@ -0,0 +1,112 @@
+// tests/solarReconstruction.test.js
+import fs from 'fs';
+import path from 'path';
+import { parseIntCal, parseBerylliumRecord, importIsotopeFile } from '../src/services/isotopeImport';
+import {
+  ISOTOPE_PRODUCTION,
+  reconstructSolarActivity,
+  combineReconstructions
+} from '../src/services/solarReconstruction';
+import { pearsonCorrelation } from '../src/utils/correlations';
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Known modulation potential: 450 MeV with a 210-year (de Vries) swing
+const years = Array.from({ length: 781 }, (_, i) => -2000 + 5 * i);
+const truePhi = year => 450 + 150 * Math.sin((2 * Math.PI * year) / 210);
+const production = (phi, isotope) => {
+  const { alpha, phi0 } = ISOTOPE_PRODUCTION[isotope];
+  return (1 / (phi + phi0)) ** alpha;
+};
+
+// Forward models matching the reconstruction: 10Be flux ∝ Q; Δ14C relaxes to
+// the relative production with the 1000-year carbon-cycle response
+const beryllium = years.map(year => ({
+  year,
+  value: 1e6 * production(truePhi(year), '10Be'),
+  sigma: 0,
+  isotope: '10Be',
+  quantity: 'flux'
+}));
+const radiocarbon = (() => {
+  const q = years.map(year => production(truePhi(year), '14C'));
+  const qMean = q.reduce((a, b) => a + b, 0) / q.length;
+  let delta = 0;
+  return years.map((year, i) => {
+    for (let step = 0; step < 5; step++) delta += (q[i] / qMean - 1 - delta) / 1000;
+    return { year, value: delta * 1000, sigma: 0, isotope: '14C', quantity: 'delta14C' };
+  });
+})();
+
+describe('Isotope import', () => {
+  test('should read IntCal curves with and without a header', async () => {
+    const records = await importIsotopeFile(readFixture('intcal-sample.14c'), '14C');
+
+    expect(records).toHaveLength(6);
+    expect(records[0]).toMatchObject({ year: 1625, calBP: 325, c14Age: 281, value: -0.6, sigma: 1.7, isotope: '14C' });
+    expect(records[5].year).toBe(1650);
+    expect(parseIntCal('300 235 12 -2.1 1.5\n305 242 12 -2.3 1.5\n')[0]).toMatchObject({ year: 1645, value: -2.3 });
+    expect(() => parseIntCal('cal BP,14C age\n300,235\n')).toThrow(/Delta 14C/);
+  });
+
+  test('should read 10Be series on their age scale', () => {
+    const records = parseBerylliumRecord(readFixture('be10-sample.csv'));
+    expect(records[0]).toMatchObject({ year: 1550, age: 450, value: 1.92, sigma: 0.08, quantity: 'concentration' });
+
+    const fluxes = parseBerylliumRecord(readFixture('be10-sample.csv'), { accumulation: 0.5 });
+    expect(fluxes[3]).toMatchObject({ year: 1580, value: 1.09, quantity: 'flux' });
+
+    const headerless = parseBerylliumRecord('1850 0.9\n1860 1.1\n', { ageScale: 'CE', quantity: 'flux' });
+    expect(headerless.map(r => r.year)).toEqual([1850, 1860]);
+    expect(() => parseBerylliumRecord('depth;dust\n1;2\n')).toThrow(/ageColumn/);
+  });
+});
+
+describe('Solar activity reconstruction', () => {
+  test('should recover the modulation potential from 10Be', () => {
+    const { data, metadata } = reconstructSolarActivity(beryllium, { draws: 20 });
+    const phi = data.map(d => d.modulationPotential);
+    const expected = data.map(d => truePhi(d.decimalYear));
+
+    expect(data).toHaveLength(391);
+    expect(pearsonCorrelation(phi, expected)).toBeGreaterThan(0.99);
+    data.forEach((d, i) => expect(Math.abs(phi[i] - expected[i])).toBeLessThan(40));
+    expect(metadata).toMatchObject({ isotope: '10Be', draws: 20, from: -2000, to: 1900 });
+  });
+
+  test('should invert Δ14C through the carbon-cycle response', () => {
+    const { data } = reconstructSolarActivity(radiocarbon, { draws: 20 });
+    const late = data.filter(d => d.year > -1000);
+
+    expect(pearsonCorrelation(late.map(d => d.modulationPotential), late.map(d => truePhi(d.decimalYear))))
+      .toBeGreaterThan(0.95);
+    expect(Date.parse(data[0].date)).toBe(data[0].timestamp);
+    expect(data[0].date).toBe('-001995');
+  });
+
+  test('should give reproducible uncertainties and refit the sunspot relation', () => {
+    const noisy = beryllium.map(r => ({ ...r, sigma: r.value * 0.05 }));
+    const instrumental = years.filter(y => y >= 1700).map(year => ({ year, sunspots: (truePhi(year) - 100) / 5 }));
+    const first = reconstructSolarActivity(noisy, { seed: 3, calibration: instrumental });
+    const again = reconstructSolarActivity(noisy, { seed: 3, calibration: instrumental });
+
+    expect(again.data).toEqual(first.data);
+    expect(first.metadata.phiToSunspot.slope).toBeCloseTo(5, 0);
+    expect(first.metadata.phiToSunspot.calibrated).toBe(21);
+    first.data.forEach(d => {
+      expect(d.sunspotsLower).toBeLessThanOrEqual(d.sunspotsUpper);
+      expect(d.modulationUpper - d.modulationLower).toBeGreaterThan(10);
+    });
+  });
+
+  test('should combine isotopes into one series for the correlation tools', () => {
+    const be = reconstructSolarActivity(beryllium, { draws: 20 });
+    const c14 = reconstructSolarActivity(radiocarbon, { draws: 20 });
+    const { data, metadata } = combineReconstructions([be, c14]);
+
+    expect(data).toHaveLength(391);
+    expect(data[100].isotope).toEqual(['10Be', '14C']);
+    expect(metadata.sources).toHaveLength(2);
+    expect(pearsonCorrelation(data.map(d => d.sunspots), be.data.map(d => d.sunspots))).toBeGreaterThan(0.9);
+  });
+});
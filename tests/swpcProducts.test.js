@@ -0,0 +1,94 @@
+// tests/swpcProducts.test.js
+import fs from 'fs';
+import path from 'path';
+import {
+  parseTimeTag,
+  parsePlasmaProduct,
+  parseMagProduct,
+  parseGOESProduct,
+  buildCurrentConditions
+} from '../src/services/swpcProducts';
+
+const readFixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+const products = () => ({
+  plasma: parsePlasmaProduct(readFixture('swpc-plasma-2-hour.json')),
+  mag: parseMagProduct(readFixture('swpc-mag-2-hour.json')),
+  xray: parseGOESProduct(readFixture('goes-xrays.json'), { energy: '0.1-0.8nm' }),
+  protons: parseGOESProduct(readFixture('goes-integral-protons-6-hour.json'), { energy: '>=10 MeV' }),
+  electrons: parseGOESProduct(readFixture('goes-integral-electrons-6-hour.json'), { energy: '>=2 MeV' })
+});
+
+const now = Date.parse('2025-01-06T10:20:00Z');
+
+describe('SWPC product parsers', () => {
+  test('should parse both SWPC time tag formats as UTC', () => {
+    expect(parseTimeTag('2025-01-06 10:10:00.000')).toBe(Date.parse('2025-01-06T10:10:00Z'));
+    expect(parseTimeTag('2025-01-06T10:10:00Z')).toBe(Date.parse('2025-01-06T10:10:00Z'));
+    expect(parseTimeTag('not a date')).toBeNull();
+  });
+
+  test('should parse solar-wind tables with numeric values and gaps', () => {
+    const { plasma, mag } = products();
+
+    expect(plasma).toHaveLength(8);
+    expect(plasma[0]).toEqual({ time: Date.parse('2025-01-06T10:10:00Z'), density: 4.21, speed: 418.6, temperature: 71432 });
+    expect(plasma[7].speed).toBeNull();
+    expect(mag[7]).toMatchObject({ bx: -2.52, by: 2.48, bz: -6.25, bt: 7.11 });
+    expect(() => parsePlasmaProduct([{ time_tag: '2025-01-06' }])).toThrow(/SWPC table/);
+  });
+
+  test('should keep the requested GOES energy channel', () => {
+    const { xray, protons } = products();
+
+    expect(xray).toHaveLength(6);
+    expect(xray.every(sample => sample.energy === '0.1-0.8nm')).toBe(true);
+    expect(protons.map(sample => sample.flux)).toEqual([0.214, 0.2204, 0.2268]);
+  });
+
+  test('should read fill values and non-positive fluxes as gaps', () => {
+    const { electrons } = products();
+
+    expect(electrons.map(sample => sample.flux)).toEqual([312.4, 308.9, null]);
+    expect(parseGOESProduct([{ time_tag: '2025-01-06T10:00:00Z', flux: 0 }])[0].flux).toBeNull();
+    expect(parsePlasmaProduct([
+      ['time_tag', 'density', 'speed', 'temperature'],
+      ['2025-01-06 10:00:00.000', '-9999.9', '410.2', '-99999']
+    ])[0]).toMatchObject({ density: null, speed: 410.2, temperature: null });
+  });
+});
+
+describe('Current conditions', () => {
+  test('should align plasma and field on the latest complete time', () => {
+    const conditions = buildCurrentConditions(products(), { now });
+
+    expect(conditions.time).toBe('2025-01-06T10:15:00.000Z');
+    expect(conditions.solarWind).toMatchObject({ speed: 424.8, density: 4.47, quality: 'good', offsetMs: 0 });
+    expect(conditions.imf).toMatchObject({ bz: -6.02, bt: 6.94, quality: 'good' });
+    expect(conditions.protons).toMatchObject({ flux: 0.2268, offsetMs: -5 * 60 * 1000, quality: 'good' });
+  });
+
+  test('should fall back to the previous valid GOES sample over a fill value', () => {
+    const conditions = buildCurrentConditions(products(), { now });
+
+    expect(conditions.electrons).toMatchObject({ flux: 308.9, offsetMs: -10 * 60 * 1000, quality: 'good' });
+  });
+
+  test('should flag missing, stale and suspect readings', () => {
+    const { plasma, ...rest } = products();
+    const disturbed = plasma.map(sample => (sample.density === 4.47 ? { ...sample, density: 450 } : sample));
+    const conditions = buildCurrentConditions(
+      { ...rest, plasma: disturbed, xray: null },
+      { now: now + 60 * 60 * 1000 }
+    );
+
+    expect(conditions.xray).toMatchObject({ flux: null, quality: 'missing' });
+    expect(conditions.solarWind.flags).toEqual(['suspect', 'stale']);
+    expect(conditions.quality).toMatchObject({
+      complete: false,
+      missing: ['xray'],
+      suspect: ['solarWind'],
+      stale: ['solarWind', 'imf', 'protons', 'electrons']
+    });
+  });
+});